@@ -16,7 +16,14 @@ class AIController extends BaseController {
                 "name" => $model['display_name'],
                 "object" => "model",
                 "created" => strtotime($model['created_at']),
-                "owned_by" => $model['provider']
+                "owned_by" => $model['provider'],
+                // Extra fields used by the client's model picker
+                "provider" => $model['provider'],
+                "description" => $model['description'],
+                "context_length" => $model['context_length'] !== null ? (int)$model['context_length'] : null,
+                "capabilities" => $model['capabilities'] ?: [],
+                "is_default" => (bool)$model['is_default'],
+                "display_order" => (int)$model['display_order']
             ];
         }
 
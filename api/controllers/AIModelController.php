@@ -8,12 +8,14 @@ class AIModelController extends BaseController {
     private $aiModelModel;
     private $sessionModelModel;
     private $performanceMonitor;
+    private $chatService;
 
     public function __construct($db) {
         parent::__construct($db);
         $this->aiModelModel = new AIModel($db);
         $this->sessionModelModel = new SessionModel($db);
         $this->performanceMonitor = new PerformanceMonitor($db);
+        $this->chatService = new ChatService($db);
 
         Logger::debug("AIModelController initialized");
     }
@@ -346,23 +348,8 @@ class AIModelController extends BaseController {
         $user = $this->getAuthenticatedUser();
             $sessionId = $this->getRouteParam('sessionId');
 
-            return $this->handleServiceCall(function() use ($sessionId) {
-                $sessionModels = $this->sessionModelModel->getBySessionId($sessionId);
-
-                // Enrich with model details
-                $enrichedModels = [];
-                foreach ($sessionModels as $sessionModel) {
-                    $model = $this->aiModelModel->getById($sessionModel['model_id']);
-                    if ($model) {
-                        $enrichedModels[] = array_merge($sessionModel, [
-                            'model_name' => $model['model_name'],
-                            'name' => $model['model_name'], // For frontend compatibility
-                            'provider' => $model['provider'],
-                            'display_name' => $model['display_name'],
-                            'capabilities' => $model['capabilities']
-                        ]);
-                    }
-                }
+            return $this->handleServiceCall(function() use ($sessionId, $user) {
+                $enrichedModels = $this->chatService->getSessionModelConfigs($sessionId, $user['user_id']);
 
                 return [
                     "models" => $enrichedModels,
@@ -380,11 +367,29 @@ class AIModelController extends BaseController {
             $sessionId = $this->getRouteParam('sessionId');
             $data = $this->getJsonInput();
 
-            if (!isset($data['model_ids']) || !is_array($data['model_ids'])) {
+            // Without model_ids only one model's configuration is updated in place
+            if (!isset($data['model_ids'])) {
+                if (empty($data['model_id']) || !isset($data['configuration'])) {
+                    return $this->error("model_id and configuration are required.", 400, 'VALIDATION_ERROR');
+                }
+
+                return $this->handleServiceCall(function() use ($sessionId, $user, $data) {
+                    return $this->chatService->updateSessionModelConfig(
+                        $sessionId,
+                        $user['user_id'],
+                        $data['model_id'],
+                        $data['configuration']
+                    );
+                }, "Session model configuration updated successfully.", 'SESSION_MODELS_UPDATE_FAILED');
+            }
+
+            if (!is_array($data['model_ids'])) {
                 return $this->error("model_ids array is required.", 400, 'VALIDATION_ERROR');
             }
 
-            return $this->handleServiceCall(function() use ($sessionId, $data) {
+            return $this->handleServiceCall(function() use ($sessionId, $user, $data) {
+                $this->chatService->getSession($sessionId, $user['user_id']);
+
                 // Remove existing models
                 $existingModels = $this->sessionModelModel->getBySessionId($sessionId);
                 foreach ($existingModels as $existingModel) {
@@ -20,6 +20,7 @@ class AuthController extends BaseController {
 
             return $this->success([
                 "token" => $result['token'],
+                "refresh_token" => $result['refresh_token'],
                 "user" => [
                     "id" => $result['user']['id'],
                     "email" => $result['user']['email'],
@@ -55,6 +56,7 @@ class AuthController extends BaseController {
 
             return $this->success([
                 "token" => $result['token'],
+                "refresh_token" => $result['refresh_token'],
                 "user" => [
                     "id" => $result['user']['id'],
                     "email" => $result['user']['email'],
@@ -129,13 +131,14 @@ class AuthController extends BaseController {
     }
 
     public function refresh() {
-        $user = $this->getAuthenticatedUser();
+        $data = $this->getJsonInput();
 
         try {
-            $result = $this->authService->refreshToken($user['user_id']);
+            $result = $this->authService->refreshToken($data['refresh_token'] ?? null);
 
             return $this->success([
                 "token" => $result['token'],
+                "refresh_token" => $result['refresh_token'],
                 "user" => [
                     "id" => $result['user']['id'],
                     "email" => $result['user']['email'],
@@ -158,7 +161,6 @@ class AuthController extends BaseController {
             return $this->error("Token refresh failed.", 401, 'TOKEN_INVALID');
         } catch (Exception $e) {
             Logger::error("Token refresh failed", [
-                'user_id' => $user['user_id'],
                 'error' => $e->getMessage()
             ]);
             return $this->error("Token refresh failed.", 500, 'REFRESH_FAILED');
@@ -166,16 +168,16 @@ class AuthController extends BaseController {
     }
 
     public function logout() {
-        $user = $this->getAuthenticatedUser();
-
+        // Logout is public so an expired access token can still revoke its refresh token
         try {
-            $this->authService->logout($user['user_id']);
+            $data = $this->getJsonInput();
+
+            $this->authService->logout($data['refresh_token'] ?? null);
 
             return $this->success([], "Logout successful. Please discard your token.");
 
         } catch (Exception $e) {
             Logger::error("Logout failed", [
-                'user_id' => $user['user_id'],
                 'error' => $e->getMessage()
             ]);
             return $this->success([], "Logout successful. Please discard your token.");
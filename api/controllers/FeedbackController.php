@@ -0,0 +1,154 @@
+<?php
+class FeedbackController extends BaseController {
+    private $feedbackService;
+
+    public function __construct($db) {
+        parent::__construct($db);
+        $this->feedbackService = new FeedbackService($db);
+    }
+
+    /**
+     * Save the user's rating and comment for a response
+     */
+    public function saveFeedback() {
+        $user = $this->getAuthenticatedUser();
+        $responseId = $this->getRouteParam('responseId');
+
+        try {
+            $data = $this->validate($this->getJsonInput(), [
+                'rating' => 'sometimes|integer|min_value:1|max_value:5',
+                'feedback_text' => 'sometimes|string|max:5000',
+                'is_helpful' => 'sometimes|boolean'
+            ]);
+
+            $feedback = $this->feedbackService->saveFeedback($responseId, $user['user_id'], $data);
+
+            return $this->success(["feedback" => $feedback], "Feedback saved successfully.");
+        } catch (InvalidArgumentException $e) {
+            if (!empty($this->validator->getErrors())) {
+                return $this->getValidationErrorResponse();
+            }
+            return $this->error($e->getMessage(), 404, 'RESPONSE_NOT_FOUND');
+        } catch (Exception $e) {
+            Logger::error("Service call failed", [
+                'error' => $e->getMessage(),
+                'file' => $e->getFile(),
+                'line' => $e->getLine()
+            ]);
+            return $this->error("Operation failed", 500, 'FEEDBACK_SAVE_FAILED');
+        }
+    }
+
+    /**
+     * Mark or unmark a response as the preferred answer
+     */
+    public function setPreferred() {
+        $user = $this->getAuthenticatedUser();
+        $responseId = $this->getRouteParam('responseId');
+
+        try {
+            $data = $this->validate($this->getJsonInput(), [
+                'is_preferred' => 'boolean'
+            ]);
+
+            // 'required' rejects false, so presence is checked separately
+            if (!array_key_exists('is_preferred', $data)) {
+                $this->validator->addCustomError('is_preferred', 'The is_preferred field is required');
+                return $this->getValidationErrorResponse();
+            }
+
+            $result = $this->feedbackService->setPreferred($responseId, $user['user_id'], (bool)$data['is_preferred']);
+
+            return $this->success($result, "Preference saved successfully.");
+        } catch (InvalidArgumentException $e) {
+            if (!empty($this->validator->getErrors())) {
+                return $this->getValidationErrorResponse();
+            }
+            return $this->error($e->getMessage(), 404, 'RESPONSE_NOT_FOUND');
+        } catch (Exception $e) {
+            Logger::error("Service call failed", [
+                'error' => $e->getMessage(),
+                'file' => $e->getFile(),
+                'line' => $e->getLine()
+            ]);
+            return $this->error("Operation failed", 500, 'PREFERENCE_SAVE_FAILED');
+        }
+    }
+
+    /**
+     * List preferred flags and feedback for a session's responses
+     */
+    public function getSessionFeedback() {
+        $user = $this->getAuthenticatedUser();
+        $sessionId = $this->getRouteParam('sessionId');
+
+        try {
+            $feedback = $this->feedbackService->getSessionFeedback($sessionId, $user['user_id']);
+
+            return $this->success(["feedback" => $feedback], "Session feedback retrieved successfully.");
+        } catch (InvalidArgumentException $e) {
+            return $this->error($e->getMessage(), 404, 'SESSION_NOT_FOUND');
+        } catch (Exception $e) {
+            Logger::error("Service call failed", [
+                'error' => $e->getMessage(),
+                'file' => $e->getFile(),
+                'line' => $e->getLine()
+            ]);
+            return $this->error("Operation failed", 500, 'FEEDBACK_RETRIEVAL_FAILED');
+        }
+    }
+
+    /**
+     * Save the user's blind-layout ranking for one turn, best answer first
+     */
+    public function saveBlindRanking() {
+        $user = $this->getAuthenticatedUser();
+        $sessionId = $this->getRouteParam('sessionId');
+
+        try {
+            $data = $this->validate($this->getJsonInput(), [
+                'ranking' => 'required|array'
+            ]);
+
+            $votes = $this->feedbackService->saveBlindRanking($sessionId, $user['user_id'], $data['ranking']);
+
+            return $this->success(["votes" => $votes], "Ranking saved successfully.");
+        } catch (InvalidArgumentException $e) {
+            if (!empty($this->validator->getErrors())) {
+                return $this->getValidationErrorResponse();
+            }
+            return $this->error($e->getMessage(), 400, 'INVALID_RANKING');
+        } catch (Exception $e) {
+            Logger::error("Service call failed", [
+                'error' => $e->getMessage(),
+                'file' => $e->getFile(),
+                'line' => $e->getLine()
+            ]);
+            return $this->error("Operation failed", 500, 'RANKING_SAVE_FAILED');
+        }
+    }
+
+    /**
+     * List the user's blind-layout ranks for a session's responses
+     */
+    public function getBlindVotes() {
+        $user = $this->getAuthenticatedUser();
+        $sessionId = $this->getRouteParam('sessionId');
+
+        try {
+            $votes = $this->feedbackService->getBlindVotes($sessionId, $user['user_id']);
+
+            return $this->success(["votes" => $votes], "Blind votes retrieved successfully.");
+        } catch (InvalidArgumentException $e) {
+            return $this->error($e->getMessage(), 404, 'SESSION_NOT_FOUND');
+        } catch (Exception $e) {
+            Logger::error("Service call failed", [
+                'error' => $e->getMessage(),
+                'file' => $e->getFile(),
+                'line' => $e->getLine()
+            ]);
+            return $this->error("Operation failed", 500, 'BLIND_VOTES_RETRIEVAL_FAILED');
+        }
+    }
+}
+?>
\ No newline at end of file
@@ -0,0 +1,36 @@
+<?php
+class LeaderboardController extends BaseController {
+    private $leaderboardService;
+
+    public function __construct($db) {
+        parent::__construct($db);
+        $this->leaderboardService = new LeaderboardService($db);
+    }
+
+    /**
+     * Model leaderboard for ?range=7d|30d|90d|all and ?scope=mine|all
+     */
+    public function getLeaderboard() {
+        $user = $this->getAuthenticatedUser();
+
+        try {
+            $leaderboard = $this->leaderboardService->getLeaderboard(
+                $user['user_id'],
+                $this->request->getQuery('range', '30d'),
+                $this->request->getQuery('scope', 'mine')
+            );
+
+            return $this->success($leaderboard, "Leaderboard retrieved successfully.");
+        } catch (InvalidArgumentException $e) {
+            return $this->error($e->getMessage(), 400, 'INVALID_LEADERBOARD_FILTER');
+        } catch (Exception $e) {
+            Logger::error("Service call failed", [
+                'error' => $e->getMessage(),
+                'file' => $e->getFile(),
+                'line' => $e->getLine()
+            ]);
+            return $this->error("Operation failed", 500, 'LEADERBOARD_RETRIEVAL_FAILED');
+        }
+    }
+}
+?>
\ No newline at end of file
@@ -0,0 +1,111 @@
+<?php
+class PromptLibraryController extends BaseController {
+    private $libraryService;
+
+    public function __construct($db) {
+        parent::__construct($db);
+        $this->libraryService = new PromptLibraryService($db);
+    }
+
+    /**
+     * List the user's saved prompts
+     */
+    public function getTemplates() {
+        $user = $this->getAuthenticatedUser();
+
+        try {
+            $templates = $this->libraryService->getTemplates($user['user_id']);
+
+            return $this->success(["templates" => $templates], "Prompt library retrieved successfully.");
+        } catch (Exception $e) {
+            return $this->serviceFailure($e, 'PROMPT_LIBRARY_RETRIEVAL_FAILED');
+        }
+    }
+
+    /**
+     * Save a new prompt
+     */
+    public function createTemplate() {
+        $user = $this->getAuthenticatedUser();
+
+        try {
+            $template = $this->libraryService->createTemplate($user['user_id'], $this->getJsonInput());
+
+            return $this->success(["template" => $template], "Prompt saved successfully.");
+        } catch (InvalidArgumentException $e) {
+            return $this->error($e->getMessage(), 400, 'INVALID_PROMPT_TEMPLATE');
+        } catch (Exception $e) {
+            return $this->serviceFailure($e, 'PROMPT_TEMPLATE_SAVE_FAILED');
+        }
+    }
+
+    /**
+     * Replace a saved prompt's title, folder and text
+     */
+    public function updateTemplate() {
+        $user = $this->getAuthenticatedUser();
+        $templateId = $this->getRouteParam('templateId');
+
+        try {
+            $template = $this->libraryService->updateTemplate($templateId, $user['user_id'], $this->getJsonInput());
+
+            return $this->success(["template" => $template], "Prompt updated successfully.");
+        } catch (InvalidArgumentException $e) {
+            return $this->templateError($e);
+        } catch (Exception $e) {
+            return $this->serviceFailure($e, 'PROMPT_TEMPLATE_SAVE_FAILED');
+        }
+    }
+
+    /**
+     * Delete a saved prompt
+     */
+    public function deleteTemplate() {
+        $user = $this->getAuthenticatedUser();
+        $templateId = $this->getRouteParam('templateId');
+
+        try {
+            $this->libraryService->deleteTemplate($templateId, $user['user_id']);
+
+            return $this->success(["template_id" => $templateId], "Prompt deleted successfully.");
+        } catch (InvalidArgumentException $e) {
+            return $this->templateError($e);
+        } catch (Exception $e) {
+            return $this->serviceFailure($e, 'PROMPT_TEMPLATE_DELETE_FAILED');
+        }
+    }
+
+    /**
+     * Add the prompts from a library export
+     */
+    public function importTemplates() {
+        $user = $this->getAuthenticatedUser();
+
+        try {
+            $data = $this->getJsonInput();
+            $templates = $this->libraryService->importTemplates($user['user_id'], $data['templates'] ?? null);
+
+            return $this->success(["templates" => $templates], "Prompts imported successfully.");
+        } catch (InvalidArgumentException $e) {
+            return $this->error($e->getMessage(), 400, 'INVALID_PROMPT_TEMPLATE');
+        } catch (Exception $e) {
+            return $this->serviceFailure($e, 'PROMPT_TEMPLATE_IMPORT_FAILED');
+        }
+    }
+
+    private function templateError(InvalidArgumentException $e) {
+        return $e->getCode() === 404
+            ? $this->error($e->getMessage(), 404, 'PROMPT_TEMPLATE_NOT_FOUND')
+            : $this->error($e->getMessage(), 400, 'INVALID_PROMPT_TEMPLATE');
+    }
+
+    private function serviceFailure(Exception $e, $code) {
+        Logger::error("Service call failed", [
+            'error' => $e->getMessage(),
+            'file' => $e->getFile(),
+            'line' => $e->getLine()
+        ]);
+        return $this->error("Operation failed", 500, $code);
+    }
+}
+?>
\ No newline at end of file
@@ -1,10 +1,12 @@
 <?php
 class SessionController extends BaseController {
     private $chatService;
+    private $importService;
 
     public function __construct($db) {
         parent::__construct($db);
         $this->chatService = new ChatService($db);
+        $this->importService = new SessionImportService($db);
     }
 
     /**
@@ -39,6 +41,46 @@ class SessionController extends BaseController {
         ], "Session created successfully");
     }
 
+    /**
+     * Recreate a session from an exported file, with its models and history
+     */
+    public function importSession() {
+        $user = $this->getAuthenticatedUser();
+            $data = $this->getJsonInput();
+
+            try {
+                $result = $this->importService->importSession($user['user_id'], $data);
+                $session = $result['session'];
+
+                return $this->success([
+                    "session" => [
+                        "id" => $session['id'],
+                        "user_id" => $session['user_id'],
+                        "title" => $session['title'],
+                        "version" => $session['version'],
+                        "is_active" => $session['is_active'],
+                        "total_tokens" => $session['total_tokens'],
+                        "last_message_at" => $session['last_message_at'],
+                        "created_at" => $session['created_at'],
+                        "updated_at" => $session['updated_at']
+                    ],
+                    "model_count" => $result['model_count'],
+                    "prompt_count" => $result['prompt_count'],
+                    "response_count" => $result['response_count']
+                ], "Session imported successfully.");
+            } catch (InvalidArgumentException $e) {
+                return $this->error($e->getMessage(), 400, 'VALIDATION_ERROR');
+            } catch (Exception $e) {
+                Logger::error("Service call failed", [
+                    'error' => $e->getMessage(),
+                    'file' => $e->getFile(),
+                    'line' => $e->getLine()
+                ]);
+                return $this->error("Operation failed", 500, 'SESSION_IMPORT_FAILED');
+            }
+
+    }
+
     /**
      * Get active session for user
      */
@@ -84,20 +126,30 @@ class SessionController extends BaseController {
      */
     public function listSessions() {
         $user = $this->getAuthenticatedUser();
-        $page = (int)($_GET['page'] ?? 1);
-        $limit = (int)($_GET['limit'] ?? 50);
+        $page = max(1, (int)($_GET['page'] ?? 1));
+        $limit = min(100, max(1, (int)($_GET['limit'] ?? 50)));
         $activeOnly = isset($_GET['active_only']) ? filter_var($_GET['active_only'], FILTER_VALIDATE_BOOLEAN) : false;
 
+        $filters = [
+            'active_only' => $activeOnly,
+            'q' => trim($_GET['q'] ?? ''),
+            'from' => $this->parseDateParam($_GET['from'] ?? null),
+            'to' => $this->parseDateParam($_GET['to'] ?? null),
+            'model_ids' => array_values(array_filter(array_map('trim', explode(',', $_GET['model_ids'] ?? '')))),
+            'tags' => array_values(array_filter(array_map('trim', explode(',', $_GET['tags'] ?? ''))))
+        ];
+
         Logger::info("listSessions called with parameters", [
             'user_id' => $user['user_id'],
             'page' => $page,
             'limit' => $limit,
-            'active_only' => $activeOnly
+            'active_only' => $activeOnly,
+            'filters' => array_keys(array_filter($filters))
         ]);
 
         try {
             $chatSessionModel = new ChatSession($this->db);
-            $result = $chatSessionModel->getByUserId($user['user_id'], $page, $limit, $activeOnly);
+            $result = $chatSessionModel->search($user['user_id'], $filters, $page, $limit);
 
             Logger::info("listSessions getByUserId result", [
                 'total_sessions' => $result['pagination']['total'],
@@ -123,7 +175,10 @@ class SessionController extends BaseController {
                         "last_message_at" => $session['last_message_at'],
                         "created_at" => $session['created_at'],
                         "updated_at" => $session['updated_at'],
-                        "model_count" => $session['model_count']
+                        "model_count" => $session['model_count'],
+                        "tags" => $session['meta_tags'] ? (json_decode($session['meta_tags'], true) ?: []) : [],
+                        "category" => $session['meta_category'],
+                        "pinned" => !empty($session['meta_pinned'])
                     ];
                 }, $result['sessions']),
                 "pagination" => $result['pagination']
@@ -458,7 +513,7 @@ class SessionController extends BaseController {
 
                 return $this->success(["message" => "Model removed from session successfully."], "Model removed from session successfully.");
             } catch (InvalidArgumentException $e) {
-                return $this->getValidationErrorResponse();
+                return $this->error($e->getMessage(), 400, 'VALIDATION_ERROR');
             } catch (Exception $e) {
                 Logger::error("Service call failed", [
                     'error' => $e->getMessage(),
@@ -470,6 +525,40 @@ class SessionController extends BaseController {
 
     }
 
+    /**
+     * Reorder models in session
+     */
+    public function reorderModels() {
+        $user = $this->getAuthenticatedUser();
+            $sessionId = $this->getRouteParam('sessionId');
+            $data = $this->getJsonInput();
+
+            if (!isset($data['model_ids']) || !is_array($data['model_ids'])) {
+                return $this->error("model_ids array is required.", 400, 'VALIDATION_ERROR');
+            }
+
+            try {
+                $models = $this->chatService->reorderSessionModels($sessionId, $user['user_id'], $data['model_ids']);
+
+                $result = [
+                    "order" => array_map(function($model) {
+                        return $model['model_id'];
+                    }, $models)
+                ];
+                return $this->success($result, "Session models reordered successfully.");
+            } catch (InvalidArgumentException $e) {
+                return $this->error($e->getMessage(), 400, 'VALIDATION_ERROR');
+            } catch (Exception $e) {
+                Logger::error("Service call failed", [
+                    'error' => $e->getMessage(),
+                    'file' => $e->getFile(),
+                    'line' => $e->getLine()
+                ]);
+                return $this->error("Operation failed", 500, 'MODEL_REORDER_FAILED');
+            }
+
+    }
+
     /**
      * List models for session
      */
@@ -490,6 +579,7 @@ class SessionController extends BaseController {
                             "provider" => $model['provider'],
                             "model_name_full" => $model['model_name_full'],
                             "is_visible" => $model['is_visible'],
+                            "display_order" => (int)$model['display_order'],
                             "usage_count" => $model['usage_count'],
                             "capabilities" => $model['capabilities'],
                             "created_at" => $model['created_at'],
@@ -539,6 +629,57 @@ class SessionController extends BaseController {
 
     }
 
+    /**
+     * Get thinking traces for a session, grouped by response
+     */
+    public function getThinkingTraces() {
+        $user = $this->getAuthenticatedUser();
+            $sessionId = $this->getRouteParam('sessionId');
+
+            if (!$this->hasThinkingTraces($user['user_id'])) {
+                return $this->error("Thinking traces are not included in your plan.", 403, 'FEATURE_NOT_AVAILABLE');
+            }
+
+            try {
+                $traces = $this->chatService->getThinkingTraces($sessionId, $user['user_id']);
+
+                return $this->success(["traces" => $traces], "Thinking traces retrieved successfully.");
+            } catch (InvalidArgumentException $e) {
+                return $this->error($e->getMessage(), 404, 'SESSION_NOT_FOUND');
+            } catch (Exception $e) {
+                Logger::error("Service call failed", [
+                    'error' => $e->getMessage(),
+                    'file' => $e->getFile(),
+                    'line' => $e->getLine()
+                ]);
+                return $this->error("Operation failed", 500, 'THINKING_TRACES_RETRIEVAL_FAILED');
+            }
+
+    }
+
+    /**
+     * Get per-model latency, token and cost totals for a session
+     */
+    public function getSessionStats() {
+        $user = $this->getAuthenticatedUser();
+        $sessionId = $this->getRouteParam('sessionId');
+
+        try {
+            $stats = $this->chatService->getSessionStats($sessionId, $user['user_id']);
+
+            return $this->success(["stats" => $stats], "Session stats retrieved successfully.");
+        } catch (InvalidArgumentException $e) {
+            return $this->error($e->getMessage(), 404, 'SESSION_NOT_FOUND');
+        } catch (Exception $e) {
+            Logger::error("Service call failed", [
+                'error' => $e->getMessage(),
+                'file' => $e->getFile(),
+                'line' => $e->getLine()
+            ]);
+            return $this->error("Operation failed", 500, 'SESSION_STATS_RETRIEVAL_FAILED');
+        }
+    }
+
     /**
      * Chat with specific model
      */
@@ -567,10 +708,19 @@ class SessionController extends BaseController {
                         'id' => $result['response']['id'],
                         'content' => $result['response']['content'],
                         'output_tokens' => $result['response']['output_tokens'],
+                        'generation_time_ms' => $result['response']['generation_time_ms'] ?? null,
+                        'cost' => $result['response']['metadata']['cost'] ?? null,
+                        'follow_up_suggestions' => $result['response']['follow_up_suggestions'] ?? null,
+                        'source_citations' => $result['response']['source_citations'] ?? null,
                         'created_at' => $result['response']['created_at']
                     ],
                     'metadata' => $result['metadata']
                 ];
+
+                if ($this->hasThinkingTraces($user['user_id'])) {
+                    $data['thinking_traces'] = $result['thinking_traces'] ?? [];
+                }
+
                 return $this->success($data, "Chat completed successfully.");
             } catch (InvalidArgumentException $e) {
                 return $this->error($e->getMessage(), 400, 'VALIDATION_ERROR');
@@ -637,5 +787,21 @@ class SessionController extends BaseController {
             }
 
     }
+
+    private function hasThinkingTraces($userId) {
+        $subscriptionManager = new SubscriptionManager($this->db);
+        return $subscriptionManager->hasFeature($userId, 'thinking_traces');
+    }
+
+    /**
+     * Accept only Y-m-d dates from query parameters
+     */
+    private function parseDateParam($value) {
+        if (!$value) {
+            return null;
+        }
+        $date = DateTime::createFromFormat('Y-m-d', $value);
+        return $date && $date->format('Y-m-d') === $value ? $value : null;
+    }
 }
 ?>
\ No newline at end of file
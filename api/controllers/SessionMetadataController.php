@@ -0,0 +1,96 @@
+<?php
+class SessionMetadataController extends BaseController {
+    private $metadataService;
+
+    public function __construct($db) {
+        parent::__construct($db);
+        $this->metadataService = new SessionMetadataService($db);
+    }
+
+    /**
+     * Get a session's tags, category and pin state
+     */
+    public function getMetadata() {
+        $user = $this->getAuthenticatedUser();
+        $sessionId = $this->getRouteParam('sessionId');
+
+        try {
+            $metadata = $this->metadataService->getMetadata($sessionId, $user['user_id']);
+
+            return $this->success(["metadata" => $metadata], "Session metadata retrieved successfully.");
+        } catch (InvalidArgumentException $e) {
+            return $this->error($e->getMessage(), 404, 'SESSION_NOT_FOUND');
+        } catch (Exception $e) {
+            Logger::error("Service call failed", [
+                'error' => $e->getMessage(),
+                'file' => $e->getFile(),
+                'line' => $e->getLine()
+            ]);
+            return $this->error("Operation failed", 500, 'METADATA_RETRIEVAL_FAILED');
+        }
+    }
+
+    /**
+     * Update a session's tags, category or pin state
+     */
+    public function updateMetadata() {
+        $user = $this->getAuthenticatedUser();
+        $sessionId = $this->getRouteParam('sessionId');
+
+        try {
+            $input = $this->getJsonInput();
+            $data = $this->validate($input, [
+                'tags' => 'sometimes|array',
+                'category' => 'sometimes|string|max:100',
+                'pinned' => 'sometimes|boolean'
+            ]);
+
+            // An empty category clears it; the validator drops nulls
+            if (array_key_exists('category', $input) && $input['category'] === null) {
+                $data['category'] = '';
+            }
+
+            if (empty($data)) {
+                $this->validator->addCustomError('metadata', 'Provide tags, category or pinned');
+                return $this->getValidationErrorResponse();
+            }
+
+            $metadata = $this->metadataService->updateMetadata($sessionId, $user['user_id'], $data);
+
+            return $this->success(["metadata" => $metadata], "Session metadata saved successfully.");
+        } catch (InvalidArgumentException $e) {
+            if (!empty($this->validator->getErrors())) {
+                return $this->getValidationErrorResponse();
+            }
+            return $this->error($e->getMessage(), 400, 'INVALID_METADATA');
+        } catch (Exception $e) {
+            Logger::error("Service call failed", [
+                'error' => $e->getMessage(),
+                'file' => $e->getFile(),
+                'line' => $e->getLine()
+            ]);
+            return $this->error("Operation failed", 500, 'METADATA_SAVE_FAILED');
+        }
+    }
+
+    /**
+     * List every tag the user has used, for the session filter
+     */
+    public function getTags() {
+        $user = $this->getAuthenticatedUser();
+
+        try {
+            $tags = $this->metadataService->getTags($user['user_id']);
+
+            return $this->success(["tags" => $tags], "Tags retrieved successfully.");
+        } catch (Exception $e) {
+            Logger::error("Service call failed", [
+                'error' => $e->getMessage(),
+                'file' => $e->getFile(),
+                'line' => $e->getLine()
+            ]);
+            return $this->error("Operation failed", 500, 'TAGS_RETRIEVAL_FAILED');
+        }
+    }
+}
+?>
\ No newline at end of file
@@ -0,0 +1,125 @@
+<?php
+class ShareController extends BaseController {
+    private $shareService;
+
+    public function __construct($db) {
+        parent::__construct($db);
+        $this->shareService = new SessionShareService($db);
+    }
+
+    /**
+     * Create a read-only share link for a session
+     */
+    public function createShare() {
+        $user = $this->getAuthenticatedUser();
+        $sessionId = $this->getRouteParam('sessionId');
+
+        try {
+            $input = $this->getJsonInput();
+            $data = $this->validate($input, [
+                'scope' => 'sometimes|in:public,team',
+                'expires_in_days' => 'sometimes|integer|min_value:1|max_value:' . SessionShareService::MAX_EXPIRY_DAYS
+            ]);
+
+            $share = $this->shareService->createShare(
+                $sessionId,
+                $user['user_id'],
+                $data['scope'] ?? 'public',
+                isset($data['expires_in_days']) ? (int)$data['expires_in_days'] : null
+            );
+
+            return $this->success(["share" => $share], "Share link created successfully.");
+        } catch (InvalidArgumentException $e) {
+            if (!empty($this->validator->getErrors())) {
+                return $this->getValidationErrorResponse();
+            }
+            return $this->error($e->getMessage(), 400, 'INVALID_SHARE');
+        } catch (Exception $e) {
+            Logger::error("Service call failed", [
+                'error' => $e->getMessage(),
+                'file' => $e->getFile(),
+                'line' => $e->getLine()
+            ]);
+            return $this->error("Operation failed", 500, 'SHARE_CREATE_FAILED');
+        }
+    }
+
+    /**
+     * List a session's share links that still work
+     */
+    public function listShares() {
+        $user = $this->getAuthenticatedUser();
+        $sessionId = $this->getRouteParam('sessionId');
+
+        try {
+            $shares = $this->shareService->listShares($sessionId, $user['user_id']);
+
+            return $this->success(["shares" => $shares], "Share links retrieved successfully.");
+        } catch (InvalidArgumentException $e) {
+            return $this->error($e->getMessage(), 404, 'SESSION_NOT_FOUND');
+        } catch (Exception $e) {
+            Logger::error("Service call failed", [
+                'error' => $e->getMessage(),
+                'file' => $e->getFile(),
+                'line' => $e->getLine()
+            ]);
+            return $this->error("Operation failed", 500, 'SHARE_LIST_FAILED');
+        }
+    }
+
+    /**
+     * Revoke a share link
+     */
+    public function revokeShare() {
+        $user = $this->getAuthenticatedUser();
+        $shareId = $this->getRouteParam('shareId');
+
+        try {
+            $share = $this->shareService->revokeShare($shareId, $user['user_id']);
+
+            return $this->success(["share" => $share], "Share link revoked successfully.");
+        } catch (InvalidArgumentException $e) {
+            return $this->error($e->getMessage(), 404, 'SHARE_NOT_FOUND');
+        } catch (Exception $e) {
+            Logger::error("Service call failed", [
+                'error' => $e->getMessage(),
+                'file' => $e->getFile(),
+                'line' => $e->getLine()
+            ]);
+            return $this->error("Operation failed", 500, 'SHARE_REVOKE_FAILED');
+        }
+    }
+
+    /**
+     * Public: the read-only session behind a share token. A bearer token is
+     * optional and only used to admit team members to team links.
+     */
+    public function viewShared() {
+        $token = $this->getRouteParam('token');
+
+        $viewerId = null;
+        $bearer = $this->request->getBearerToken();
+        if ($bearer) {
+            $decoded = JWT::decode($bearer);
+            $viewerId = $decoded ? ($decoded['user_id'] ?? null) : null;
+        }
+
+        try {
+            $shared = $this->shareService->getSharedSession($token, $viewerId);
+
+            return $this->success($shared, "Shared session retrieved successfully.");
+        } catch (InvalidArgumentException $e) {
+            $codes = [403 => 'SHARE_FORBIDDEN', 410 => 'SHARE_EXPIRED'];
+            $status = $e->getCode() ?: 404;
+            return $this->error($e->getMessage(), $status, $codes[$status] ?? 'SHARE_NOT_FOUND');
+        } catch (Exception $e) {
+            Logger::error("Service call failed", [
+                'error' => $e->getMessage(),
+                'file' => $e->getFile(),
+                'line' => $e->getLine()
+            ]);
+            return $this->error("Operation failed", 500, 'SHARED_SESSION_RETRIEVAL_FAILED');
+        }
+    }
+}
+?>
\ No newline at end of file
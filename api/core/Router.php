@@ -182,6 +182,7 @@ class Router {
             'Auth@requestEmailVerification',
             'Auth@verifyEmail',
             'AI@getModels', // OpenAI compatible models endpoint
+            'Share@viewShared', // Read-only share links
             'Billing@handleWebhook' // Webhooks
         ];
 
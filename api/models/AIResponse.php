@@ -66,9 +66,17 @@ class AIResponse {
                 'session_id' => $responseData['session_id'],
                 'content' => $this->sanitizeContent($responseData['content']),
                 'output_tokens' => isset($responseData['token_count']) ? (int)$responseData['token_count'] : 0,
-                'metadata' => isset($responseData['metadata']) ? json_encode($responseData['metadata']) : null
+                'generation_time_ms' => isset($responseData['generation_time_ms']) ? (int)$responseData['generation_time_ms'] : null,
+                'metadata' => isset($responseData['metadata']) ? json_encode($responseData['metadata']) : null,
+                'follow_up_suggestions' => !empty($responseData['follow_up_suggestions']) ? json_encode($responseData['follow_up_suggestions']) : null,
+                'source_citations' => !empty($responseData['source_citations']) ? json_encode($responseData['source_citations']) : null
             ];
 
+            // Imported history keeps its original timestamps
+            if (!empty($responseData['created_at'])) {
+                $insertData['created_at'] = $responseData['created_at'];
+            }
+
             Logger::debug("Creating AI response with data", ['data' => $insertData]);
 
             // Create response using DB CRUD method
@@ -80,7 +88,7 @@ class AIResponse {
                 }
 
                 // Update session stats
-                $this->updateSessionStats($responseData['session_id'], $insertData['output_tokens'], 0);
+                $this->updateSessionStats($responseData['session_id'], $insertData['output_tokens'], $responseData['cost'] ?? 0);
 
                 // Increment model usage count
                 $this->incrementModelUsage($responseData['session_id'], $responseData['model_id']);
@@ -199,10 +207,7 @@ class AIResponse {
             $duration = round((microtime(true) - $startTime) * 1000, 2);
 
             if ($response) {
-                // Decode JSON metadata
-                if ($response['metadata']) {
-                    $response['metadata'] = json_decode($response['metadata'], true);
-                }
+                $response = $this->decodeJsonColumns($response);
 
                 Logger::debug("AI response retrieved by ID", [
                     'response_id' => $responseId,
@@ -445,6 +450,37 @@ class AIResponse {
         }
     }
 
+    /**
+     * Mark or unmark a response as the user's preferred answer
+     */
+    public function setPreferred($responseId, $isPreferred) {
+        $startTime = microtime(true);
+
+        try {
+            $this->db->update($this->table_name, [
+                'is_preferred' => $isPreferred ? 1 : 0
+            ], ['id' => $responseId]);
+
+            $duration = round((microtime(true) - $startTime) * 1000, 2);
+            Logger::info("AI response preference updated", [
+                'response_id' => $responseId,
+                'is_preferred' => (bool)$isPreferred,
+                'duration_ms' => $duration
+            ]);
+
+            return $this->getById($responseId);
+
+        } catch (Exception $e) {
+            $duration = round((microtime(true) - $startTime) * 1000, 2);
+            Logger::error("AI response preference update failed", [
+                'error' => $e->getMessage(),
+                'response_id' => $responseId,
+                'duration_ms' => $duration
+            ]);
+            throw $e;
+        }
+    }
+
     /**
      * Delete response
      */
@@ -481,6 +517,48 @@ class AIResponse {
         }
     }
 
+    /**
+     * Per-model answer count, output tokens, cost and average latency over
+     * every response in a session. Cost lives in metadata (there is no cost
+     * column), the same place the session's total_cost is added from.
+     */
+    public function getSessionStats($sessionId) {
+        $startTime = microtime(true);
+
+        try {
+            $rows = $this->db->query(
+                "SELECT
+                    ar.model_id,
+                    COUNT(*) AS answers,
+                    COALESCE(SUM(ar.output_tokens), 0) AS output_tokens,
+                    COALESCE(SUM(CAST(NULLIF(JSON_UNQUOTE(JSON_EXTRACT(ar.metadata, '$.cost')), 'null') AS DECIMAL(12,6))), 0) AS cost,
+                    AVG(ar.generation_time_ms) AS avg_latency_ms
+                 FROM {$this->table_name} ar
+                 WHERE ar.session_id = ?
+                 GROUP BY ar.model_id",
+                [$sessionId]
+            );
+
+            $duration = round((microtime(true) - $startTime) * 1000, 2);
+            Logger::debug("Session response stats retrieved", [
+                'session_id' => $sessionId,
+                'models' => count($rows),
+                'duration_ms' => $duration
+            ]);
+
+            return $rows;
+
+        } catch (Exception $e) {
+            $duration = round((microtime(true) - $startTime) * 1000, 2);
+            Logger::error("Failed to get session response stats", [
+                'error' => $e->getMessage(),
+                'session_id' => $sessionId,
+                'duration_ms' => $duration
+            ]);
+            throw $e;
+        }
+    }
+
     /**
      * Get conversation thread (prompt + responses)
      */
@@ -499,7 +577,11 @@ class AIResponse {
                         up.created_at,
                         NULL as model_id,
                         NULL as cost,
-                        up.id as prompt_id
+                        NULL as generation_time_ms,
+                        NULL as output_tokens,
+                        up.id as prompt_id,
+                        NULL as follow_up_suggestions,
+                        NULL as source_citations
                     FROM user_prompts up
                     WHERE up.session_id = ?
                     AND EXISTS (SELECT 1 FROM ai_responses ar WHERE ar.prompt_id = up.id)
@@ -510,12 +592,16 @@ class AIResponse {
                         ar.session_id,
                         NULL as user_id,
                         ar.content,
-                        ar.output_tokens,
+                        JSON_EXTRACT(ar.metadata, '$.input_tokens'),
                         ar.metadata,
                         ar.created_at,
                         ar.model_id,
+                        JSON_EXTRACT(ar.metadata, '$.cost'),
+                        ar.generation_time_ms,
+                        ar.output_tokens,
                         ar.prompt_id,
-                        ar.prompt_id as prompt_id
+                        ar.follow_up_suggestions,
+                        ar.source_citations
                     FROM ai_responses ar
                     WHERE ar.session_id = ?
                     ORDER BY created_at ASC
@@ -524,12 +610,7 @@ class AIResponse {
             $params = [$sessionId, $sessionId, $limit];
             $thread = $this->db->query($sql, $params);
 
-            // Decode JSON metadata
-            foreach ($thread as &$item) {
-                if ($item['metadata']) {
-                    $item['metadata'] = json_decode($item['metadata'], true);
-                }
-            }
+            $thread = array_map([$this, 'decodeJsonColumns'], $thread);
 
             $duration = round((microtime(true) - $startTime) * 1000, 2);
 
@@ -553,6 +634,18 @@ class AIResponse {
         }
     }
 
+    /**
+     * Decode the JSON columns of a response or thread row
+     */
+    private function decodeJsonColumns($row) {
+        foreach (['metadata', 'follow_up_suggestions', 'source_citations'] as $column) {
+            if (!empty($row[$column]) && is_string($row[$column])) {
+                $row[$column] = json_decode($row[$column], true);
+            }
+        }
+        return $row;
+    }
+
     /**
      * Check if prompt exists
      */
@@ -0,0 +1,73 @@
+<?php
+class BlindVote {
+    private $db;
+    private $table_name = "blind_votes";
+
+    public function __construct($db) {
+        $this->db = $db;
+        Logger::debug("BlindVote initialized");
+    }
+
+    /**
+     * Store a user's ranking of one turn's answers, best first.
+     * Earlier ranks the user gave those answers are replaced.
+     */
+    public function saveRanking($userId, $sessionId, $responseIds) {
+        $startTime = microtime(true);
+
+        try {
+            $placeholders = implode(', ', array_fill(0, count($responseIds), '?'));
+
+            $this->db->beginTransaction();
+            try {
+                $this->db->query(
+                    "DELETE FROM {$this->table_name}
+                     WHERE user_id = ? AND response_id IN ($placeholders)",
+                    array_merge([$userId], $responseIds)
+                );
+
+                foreach (array_values($responseIds) as $index => $responseId) {
+                    $this->db->create($this->table_name, [
+                        'user_id' => $userId,
+                        'session_id' => $sessionId,
+                        'response_id' => $responseId,
+                        'rank_position' => $index + 1
+                    ]);
+                }
+                $this->db->commit();
+            } catch (Exception $e) {
+                $this->db->rollback();
+                throw $e;
+            }
+
+            $duration = round((microtime(true) - $startTime) * 1000, 2);
+            Logger::info("Blind ranking saved", [
+                'user_id' => $userId,
+                'session_id' => $sessionId,
+                'ranked' => count($responseIds),
+                'duration_ms' => $duration
+            ]);
+
+        } catch (Exception $e) {
+            $duration = round((microtime(true) - $startTime) * 1000, 2);
+            Logger::error("Blind ranking save failed", [
+                'error' => $e->getMessage(),
+                'user_id' => $userId,
+                'session_id' => $sessionId,
+                'duration_ms' => $duration
+            ]);
+            throw $e;
+        }
+    }
+
+    /**
+     * Get the ranks a user has given to answers in a session
+     */
+    public function getBySession($userId, $sessionId) {
+        return $this->db->readMany($this->table_name, [
+            'user_id' => $userId,
+            'session_id' => $sessionId
+        ], 'response_id, rank_position', 'rank_position ASC');
+    }
+}
+?>
\ No newline at end of file
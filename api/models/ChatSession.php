@@ -229,6 +229,121 @@ class ChatSession {
         }
     }
 
+    /**
+     * Get a page of the user's sessions matching the given filters
+     *
+     * Filters: q (title or prompt text), from / to (Y-m-d, inclusive, on the
+     * last activity date), model_ids (sessions using any of them), tags (any
+     * of them), active_only. Pinned sessions come first; each row carries its
+     * conversation_metadata tags, category and pin.
+     */
+    public function search($userId, $filters = [], $page = 1, $limit = 50) {
+        $startTime = microtime(true);
+
+        try {
+            $where = ['cs.user_id = :user_id'];
+            $params = ['user_id' => $userId];
+            $activity = 'COALESCE(cs.last_message_at, cs.created_at)';
+
+            if (!empty($filters['active_only'])) {
+                $where[] = 'cs.is_active = 1';
+            }
+
+            if (!empty($filters['q'])) {
+                $like = '%' . addcslashes($filters['q'], '%_\\') . '%';
+                $where[] = "(cs.title LIKE :q_title OR EXISTS (
+                    SELECT 1 FROM user_prompts up
+                    WHERE up.session_id = cs.id AND up.content LIKE :q_prompt
+                ))";
+                $params['q_title'] = $like;
+                $params['q_prompt'] = $like;
+            }
+
+            if (!empty($filters['from'])) {
+                $where[] = "$activity >= :date_from";
+                $params['date_from'] = $filters['from'] . ' 00:00:00';
+            }
+
+            if (!empty($filters['to'])) {
+                $where[] = "$activity < DATE_ADD(:date_to, INTERVAL 1 DAY)";
+                $params['date_to'] = $filters['to'];
+            }
+
+            if (!empty($filters['tags'])) {
+                $tagConditions = [];
+                foreach (array_values($filters['tags']) as $i => $tag) {
+                    $tagConditions[] = "JSON_CONTAINS(cm.tags, JSON_QUOTE(:tag_$i))";
+                    $params["tag_$i"] = $tag;
+                }
+                $where[] = '(' . implode(' OR ', $tagConditions) . ')';
+            }
+
+            if (!empty($filters['model_ids'])) {
+                $placeholders = [];
+                foreach (array_values($filters['model_ids']) as $i => $modelId) {
+                    $placeholders[] = ":model_$i";
+                    $params["model_$i"] = $modelId;
+                }
+                $where[] = "EXISTS (
+                    SELECT 1 FROM session_models sm
+                    WHERE sm.session_id = cs.id AND sm.model_id IN (" . implode(', ', $placeholders) . ")
+                )";
+            }
+
+            $whereClause = implode(' AND ', $where);
+            $offset = ($page - 1) * $limit;
+
+            $join = "LEFT JOIN conversation_metadata cm ON cm.session_id = cs.id";
+
+            $sessions = $this->db->query(
+                "SELECT cs.*, cm.tags AS meta_tags, cm.category AS meta_category, cm.is_pinned AS meta_pinned
+                 FROM {$this->table_name} cs
+                 $join
+                 WHERE $whereClause
+                 ORDER BY COALESCE(cm.is_pinned, 0) DESC, $activity DESC
+                 LIMIT " . (int)$limit . " OFFSET " . (int)$offset,
+                $params
+            );
+
+            $countRows = $this->db->query(
+                "SELECT COUNT(*) AS total FROM {$this->table_name} cs $join WHERE $whereClause",
+                $params
+            );
+            $total = (int)($countRows[0]['total'] ?? 0);
+
+            $duration = round((microtime(true) - $startTime) * 1000, 2);
+
+            Logger::info("Searched chat sessions by user", [
+                'user_id' => $userId,
+                'filters' => array_keys(array_filter($filters)),
+                'page' => $page,
+                'limit' => $limit,
+                'total_sessions' => $total,
+                'returned_count' => count($sessions),
+                'duration_ms' => $duration
+            ]);
+
+            return [
+                'sessions' => $sessions,
+                'pagination' => [
+                    'page' => $page,
+                    'limit' => $limit,
+                    'total' => $total,
+                    'pages' => ceil($total / $limit)
+                ]
+            ];
+
+        } catch (Exception $e) {
+            $duration = round((microtime(true) - $startTime) * 1000, 2);
+            Logger::error("Failed to search chat sessions", [
+                'error' => $e->getMessage(),
+                'user_id' => $userId,
+                'duration_ms' => $duration
+            ]);
+            throw $e;
+        }
+    }
+
     /**
      * Update session
      */
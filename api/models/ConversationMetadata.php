@@ -0,0 +1,93 @@
+<?php
+class ConversationMetadata {
+    private $db;
+    private $table_name = "conversation_metadata";
+
+    public function __construct($db) {
+        $this->db = $db;
+        Logger::debug("ConversationMetadata initialized");
+    }
+
+    /**
+     * Get a session's metadata row, or null when none has been saved yet
+     */
+    public function getBySessionId($sessionId) {
+        $row = $this->db->readOne($this->table_name, ['session_id' => $sessionId]);
+
+        return $row ? $this->decode($row) : null;
+    }
+
+    /**
+     * Create or update the metadata for a session.
+     * Only the keys present in $data (tags, category, pinned) are changed.
+     */
+    public function upsert($sessionId, $data) {
+        $startTime = microtime(true);
+
+        try {
+            $current = $this->getBySessionId($sessionId);
+
+            $tags = array_key_exists('tags', $data) ? $data['tags'] : ($current['tags'] ?? []);
+            $category = array_key_exists('category', $data) ? $data['category'] : ($current['category'] ?? null);
+            $pinned = array_key_exists('pinned', $data) ? $data['pinned'] : !empty($current['is_pinned']);
+
+            $this->db->query(
+                "INSERT INTO {$this->table_name} (session_id, tags, category, is_pinned)
+                 VALUES (?, ?, ?, ?)
+                 ON DUPLICATE KEY UPDATE
+                    tags = VALUES(tags),
+                    category = VALUES(category),
+                    is_pinned = VALUES(is_pinned)",
+                [$sessionId, json_encode(array_values($tags)), $category, $pinned ? 1 : 0]
+            );
+
+            $duration = round((microtime(true) - $startTime) * 1000, 2);
+            Logger::info("Conversation metadata saved", [
+                'session_id' => $sessionId,
+                'updated_fields' => array_keys($data),
+                'duration_ms' => $duration
+            ]);
+
+            return $this->getBySessionId($sessionId);
+
+        } catch (Exception $e) {
+            $duration = round((microtime(true) - $startTime) * 1000, 2);
+            Logger::error("Conversation metadata save failed", [
+                'error' => $e->getMessage(),
+                'session_id' => $sessionId,
+                'duration_ms' => $duration
+            ]);
+            throw $e;
+        }
+    }
+
+    /**
+     * Every distinct tag used on the user's sessions, alphabetically
+     */
+    public function getTagsForUser($userId) {
+        $rows = $this->db->query(
+            "SELECT cm.tags
+             FROM {$this->table_name} cm
+             JOIN chat_sessions cs ON cs.id = cm.session_id
+             WHERE cs.user_id = ? AND cm.tags IS NOT NULL",
+            [$userId]
+        );
+
+        $tags = [];
+        foreach ($rows as $row) {
+            foreach (json_decode($row['tags'], true) ?: [] as $tag) {
+                $tags[mb_strtolower($tag)] = $tag;
+            }
+        }
+        ksort($tags);
+
+        return array_values($tags);
+    }
+
+    private function decode($row) {
+        $row['tags'] = $row['tags'] ? (json_decode($row['tags'], true) ?: []) : [];
+        $row['custom_fields'] = $row['custom_fields'] ? json_decode($row['custom_fields'], true) : null;
+        return $row;
+    }
+}
+?>
\ No newline at end of file
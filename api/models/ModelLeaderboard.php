@@ -0,0 +1,161 @@
+<?php
+class ModelLeaderboard {
+    private $db;
+
+    public function __construct($db) {
+        $this->db = $db;
+        Logger::debug("ModelLeaderboard initialized");
+    }
+
+    /**
+     * Per-model totals over the answers matching the filters.
+     *
+     * Latency, speed and cost come from ai_responses, with
+     * model_performance_metrics filling in what a response didn't record.
+     * An answer is "contested" when its prompt (same session, same text)
+     * has a preferred answer, so preferred / contested is the share of
+     * decided comparisons the model won.
+     *
+     * Filters: days (null for all time), user_id (null for every user).
+     */
+    public function getModelStats($filters) {
+        $startTime = microtime(true);
+
+        try {
+            [$where, $params] = $this->buildFilter($filters);
+
+            $rows = $this->db->query(
+                "SELECT
+                    m.id AS model_id,
+                    COALESCE(m.display_name, m.model_name) AS model_name,
+                    m.provider,
+                    COUNT(*) AS answers,
+                    AVG(rf.rating) AS avg_rating,
+                    COUNT(rf.rating) AS ratings,
+                    SUM(ar.is_preferred) AS preferred,
+                    SUM(voted.session_id IS NOT NULL) AS contested,
+                    AVG(COALESCE(mpm.tokens_per_second,
+                        ar.output_tokens * 1000 / NULLIF(ar.generation_time_ms, 0))) AS tokens_per_second,
+                    AVG(COALESCE(mpm.cost_usd,
+                        CAST(NULLIF(JSON_UNQUOTE(JSON_EXTRACT(ar.metadata, '$.cost')), 'null') AS DECIMAL(12,6)))) AS cost_per_answer
+                 FROM ai_responses ar
+                 JOIN ai_models m ON m.id = ar.model_id
+                 JOIN chat_sessions cs ON cs.id = ar.session_id
+                 JOIN user_prompts up ON up.id = ar.prompt_id
+                 LEFT JOIN (
+                    SELECT response_id, AVG(rating) AS rating
+                    FROM response_feedback
+                    WHERE rating IS NOT NULL
+                    GROUP BY response_id
+                 ) rf ON rf.response_id = ar.id
+                 LEFT JOIN (
+                    SELECT response_id,
+                        AVG(tokens_per_second) AS tokens_per_second,
+                        AVG(cost_usd) AS cost_usd
+                    FROM model_performance_metrics
+                    GROUP BY response_id
+                 ) mpm ON mpm.response_id = ar.id
+                 LEFT JOIN (
+                    SELECT DISTINCT par.session_id, MD5(pup.content) AS content_key
+                    FROM ai_responses par
+                    JOIN user_prompts pup ON pup.id = par.prompt_id
+                    WHERE par.is_preferred = 1
+                 ) voted ON voted.session_id = ar.session_id AND voted.content_key = MD5(up.content)
+                 WHERE {$where}
+                 GROUP BY m.id, model_name, m.provider",
+                $params
+            );
+
+            $duration = round((microtime(true) - $startTime) * 1000, 2);
+            Logger::debug("Leaderboard stats retrieved", [
+                'days' => $filters['days'] ?? null,
+                'user_id' => $filters['user_id'] ?? null,
+                'models' => count($rows),
+                'duration_ms' => $duration
+            ]);
+
+            return $rows;
+
+        } catch (Exception $e) {
+            $duration = round((microtime(true) - $startTime) * 1000, 2);
+            Logger::error("Failed to get leaderboard stats", [
+                'error' => $e->getMessage(),
+                'duration_ms' => $duration
+            ]);
+            throw $e;
+        }
+    }
+
+    /**
+     * Median latency in ms per model: [model_id => median]
+     */
+    public function getMedianLatencies($filters) {
+        $startTime = microtime(true);
+
+        try {
+            [$where, $params] = $this->buildFilter($filters);
+
+            $rows = $this->db->query(
+                "SELECT model_id, AVG(latency_ms) AS median_latency_ms
+                 FROM (
+                    SELECT model_id, latency_ms,
+                        ROW_NUMBER() OVER (PARTITION BY model_id ORDER BY latency_ms) AS row_pos,
+                        COUNT(*) OVER (PARTITION BY model_id) AS total
+                    FROM (
+                        SELECT ar.model_id,
+                            COALESCE(ar.generation_time_ms, mpm.latency_ms) AS latency_ms
+                        FROM ai_responses ar
+                        JOIN chat_sessions cs ON cs.id = ar.session_id
+                        LEFT JOIN (
+                            SELECT response_id, AVG(latency_ms) AS latency_ms
+                            FROM model_performance_metrics
+                            GROUP BY response_id
+                        ) mpm ON mpm.response_id = ar.id
+                        WHERE {$where}
+                    ) latencies
+                    WHERE latency_ms IS NOT NULL
+                 ) ranked
+                 WHERE row_pos IN (FLOOR((total + 1) / 2), CEIL((total + 1) / 2))
+                 GROUP BY model_id",
+                $params
+            );
+
+            $duration = round((microtime(true) - $startTime) * 1000, 2);
+            Logger::debug("Leaderboard latencies retrieved", [
+                'models' => count($rows),
+                'duration_ms' => $duration
+            ]);
+
+            return array_column($rows, 'median_latency_ms', 'model_id');
+
+        } catch (Exception $e) {
+            $duration = round((microtime(true) - $startTime) * 1000, 2);
+            Logger::error("Failed to get leaderboard latencies", [
+                'error' => $e->getMessage(),
+                'duration_ms' => $duration
+            ]);
+            throw $e;
+        }
+    }
+
+    /**
+     * WHERE clause over ai_responses ar / chat_sessions cs for the filters
+     */
+    private function buildFilter($filters) {
+        $conditions = ['1 = 1'];
+        $params = [];
+
+        if (!empty($filters['days'])) {
+            $conditions[] = 'ar.created_at >= NOW() - INTERVAL ? DAY';
+            $params[] = (int)$filters['days'];
+        }
+
+        if (!empty($filters['user_id'])) {
+            $conditions[] = 'cs.user_id = ?';
+            $params[] = $filters['user_id'];
+        }
+
+        return [implode(' AND ', $conditions), $params];
+    }
+}
+?>
\ No newline at end of file
@@ -0,0 +1,113 @@
+<?php
+class PromptTemplate {
+    private $db;
+    private $table_name = "user_drafts";
+
+    // Library prompts are drafts of their own type; the title and folder
+    // live in the row's metadata
+    const DRAFT_TYPE = 'prompt_template';
+
+    public function __construct($db) {
+        $this->db = $db;
+        Logger::debug("PromptTemplate initialized");
+    }
+
+    /**
+     * All of a user's templates
+     */
+    public function getByUserId($userId) {
+        $rows = $this->db->readMany($this->table_name, [
+            'user_id' => $userId,
+            'draft_type' => self::DRAFT_TYPE,
+            'is_active' => true
+        ], '*', 'created_at ASC');
+
+        return array_map([$this, 'decode'], $rows);
+    }
+
+    public function getById($templateId) {
+        $row = $this->db->readOne($this->table_name, [
+            'id' => $templateId,
+            'draft_type' => self::DRAFT_TYPE,
+            'is_active' => true
+        ]);
+
+        return $row ? $this->decode($row) : null;
+    }
+
+    /**
+     * Create a template from { title, folder, content }
+     */
+    public function create($userId, $template) {
+        $startTime = microtime(true);
+
+        try {
+            $id = $this->db->create($this->table_name, [
+                'user_id' => $userId,
+                'content' => $template['content'],
+                'draft_type' => self::DRAFT_TYPE,
+                'is_active' => true,
+                'metadata' => json_encode([
+                    'title' => $template['title'],
+                    'folder' => $template['folder']
+                ])
+            ]);
+
+            $duration = round((microtime(true) - $startTime) * 1000, 2);
+            Logger::info("Prompt template created", [
+                'template_id' => $id,
+                'user_id' => $userId,
+                'duration_ms' => $duration
+            ]);
+
+            return $this->getById($id);
+
+        } catch (Exception $e) {
+            $duration = round((microtime(true) - $startTime) * 1000, 2);
+            Logger::error("Prompt template creation failed", [
+                'error' => $e->getMessage(),
+                'user_id' => $userId,
+                'duration_ms' => $duration
+            ]);
+            throw $e;
+        }
+    }
+
+    /**
+     * Replace a template's title, folder and content
+     */
+    public function update($templateId, $template) {
+        $this->db->update($this->table_name, [
+            'content' => $template['content'],
+            'metadata' => json_encode([
+                'title' => $template['title'],
+                'folder' => $template['folder']
+            ])
+        ], ['id' => $templateId]);
+
+        Logger::info("Prompt template updated", ['template_id' => $templateId]);
+
+        return $this->getById($templateId);
+    }
+
+    public function delete($templateId) {
+        $this->db->delete($this->table_name, ['id' => $templateId]);
+
+        Logger::info("Prompt template deleted", ['template_id' => $templateId]);
+    }
+
+    private function decode($row) {
+        $metadata = $row['metadata'] ? (json_decode($row['metadata'], true) ?: []) : [];
+
+        return [
+            'id' => $row['id'],
+            'user_id' => $row['user_id'],
+            'title' => $metadata['title'] ?? '',
+            'folder' => $metadata['folder'] ?? null,
+            'content' => $row['content'],
+            'created_at' => $row['created_at'],
+            'updated_at' => $row['updated_at']
+        ];
+    }
+}
+?>
\ No newline at end of file
@@ -0,0 +1,90 @@
+<?php
+class RefreshToken {
+    private $db;
+    private $table_name = "refresh_tokens";
+
+    // Refresh tokens outlive the 24h access token so a client can re-authenticate silently
+    private $ttlSeconds = 60 * 60 * 24 * 30;
+
+    public function __construct($db) {
+        $this->db = $db;
+        Logger::debug("RefreshToken initialized");
+    }
+
+    /**
+     * Issue a new refresh token for a user. Only the hash is stored; the raw
+     * token is returned once to be handed to the client.
+     */
+    public function issue($userId) {
+        $startTime = microtime(true);
+
+        try {
+            $rawToken = bin2hex(random_bytes(32));
+
+            $this->db->create($this->table_name, [
+                'user_id' => $userId,
+                'token_hash' => $this->hashToken($rawToken),
+                'expires_at' => date('Y-m-d H:i:s', time() + $this->ttlSeconds),
+                'revoked' => false
+            ]);
+
+            $duration = round((microtime(true) - $startTime) * 1000, 2);
+            Logger::info("Refresh token issued", [
+                'user_id' => $userId,
+                'duration_ms' => $duration
+            ]);
+
+            return $rawToken;
+
+        } catch (Exception $e) {
+            $duration = round((microtime(true) - $startTime) * 1000, 2);
+            Logger::error("Refresh token issue failed", [
+                'error' => $e->getMessage(),
+                'user_id' => $userId,
+                'duration_ms' => $duration
+            ]);
+            throw $e;
+        }
+    }
+
+    /**
+     * Find a refresh token that is neither revoked nor expired
+     */
+    public function findValid($rawToken) {
+        if (empty($rawToken) || !is_string($rawToken)) {
+            return null;
+        }
+
+        $rows = $this->db->query(
+            "SELECT * FROM {$this->table_name}
+             WHERE token_hash = ? AND revoked = 0 AND expires_at > NOW()
+             LIMIT 1",
+            [$this->hashToken($rawToken)]
+        );
+
+        return $rows[0] ?? null;
+    }
+
+    /**
+     * Revoke a single refresh token
+     */
+    public function revoke($rawToken) {
+        if (empty($rawToken) || !is_string($rawToken)) {
+            return false;
+        }
+
+        $affected = $this->db->query(
+            "UPDATE {$this->table_name} SET revoked = 1 WHERE token_hash = ?",
+            [$this->hashToken($rawToken)]
+        );
+
+        Logger::info("Refresh token revoked", ['revoked_count' => $affected]);
+
+        return $affected > 0;
+    }
+
+    private function hashToken($rawToken) {
+        return hash('sha256', $rawToken);
+    }
+}
+?>
\ No newline at end of file
@@ -0,0 +1,111 @@
+<?php
+class ResponseFeedback {
+    private $db;
+    private $table_name = "response_feedback";
+
+    public function __construct($db) {
+        $this->db = $db;
+        Logger::debug("ResponseFeedback initialized");
+    }
+
+    /**
+     * Create or replace a user's feedback for a response.
+     * There is one row per (user, response); rating and text may be cleared with null.
+     */
+    public function upsert($userId, $responseId, $feedbackData) {
+        $startTime = microtime(true);
+
+        try {
+            $rating = isset($feedbackData['rating']) ? (int)$feedbackData['rating'] : null;
+            $feedbackText = isset($feedbackData['feedback_text']) ? trim($feedbackData['feedback_text']) : null;
+            $isHelpful = isset($feedbackData['is_helpful']) ? (int)(bool)$feedbackData['is_helpful'] : null;
+
+            $this->db->query(
+                "INSERT INTO {$this->table_name} (user_id, response_id, rating, feedback_text, is_helpful)
+                 VALUES (?, ?, ?, ?, ?)
+                 ON DUPLICATE KEY UPDATE
+                    rating = VALUES(rating),
+                    feedback_text = VALUES(feedback_text),
+                    is_helpful = VALUES(is_helpful)",
+                [$userId, $responseId, $rating, $feedbackText !== '' ? $feedbackText : null, $isHelpful]
+            );
+
+            $duration = round((microtime(true) - $startTime) * 1000, 2);
+            Logger::info("Response feedback saved", [
+                'user_id' => $userId,
+                'response_id' => $responseId,
+                'rating' => $rating,
+                'duration_ms' => $duration
+            ]);
+
+            return $this->getForResponse($userId, $responseId);
+
+        } catch (Exception $e) {
+            $duration = round((microtime(true) - $startTime) * 1000, 2);
+            Logger::error("Response feedback save failed", [
+                'error' => $e->getMessage(),
+                'user_id' => $userId,
+                'response_id' => $responseId,
+                'duration_ms' => $duration
+            ]);
+            throw $e;
+        }
+    }
+
+    /**
+     * Get a user's feedback for a single response
+     */
+    public function getForResponse($userId, $responseId) {
+        return $this->db->readOne($this->table_name, [
+            'user_id' => $userId,
+            'response_id' => $responseId
+        ], 'response_id, rating, feedback_text, is_helpful, created_at');
+    }
+
+    /**
+     * Get the preferred flag and a user's feedback for every response in a session.
+     * Responses without feedback are included when they are marked preferred.
+     */
+    public function getBySession($userId, $sessionId) {
+        $startTime = microtime(true);
+
+        try {
+            $rows = $this->db->query(
+                "SELECT
+                    ar.id as response_id,
+                    ar.prompt_id,
+                    ar.model_id,
+                    ar.is_preferred,
+                    rf.rating,
+                    rf.feedback_text,
+                    rf.is_helpful
+                 FROM ai_responses ar
+                 LEFT JOIN {$this->table_name} rf ON rf.response_id = ar.id AND rf.user_id = ?
+                 WHERE ar.session_id = ?
+                 AND (ar.is_preferred = 1 OR rf.id IS NOT NULL)",
+                [$userId, $sessionId]
+            );
+
+            $duration = round((microtime(true) - $startTime) * 1000, 2);
+            Logger::debug("Session feedback retrieved", [
+                'user_id' => $userId,
+                'session_id' => $sessionId,
+                'count' => count($rows),
+                'duration_ms' => $duration
+            ]);
+
+            return $rows;
+
+        } catch (Exception $e) {
+            $duration = round((microtime(true) - $startTime) * 1000, 2);
+            Logger::error("Failed to get session feedback", [
+                'error' => $e->getMessage(),
+                'user_id' => $userId,
+                'session_id' => $sessionId,
+                'duration_ms' => $duration
+            ]);
+            throw $e;
+        }
+    }
+}
+?>
\ No newline at end of file
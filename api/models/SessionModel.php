@@ -54,6 +54,7 @@ class SessionModel {
                 'model_id' => $sessionModelData['model_id'],
                 'is_visible' => isset($sessionModelData['is_visible']) ? (bool)$sessionModelData['is_visible'] : true,
                 'usage_count' => 0,
+                'display_order' => $sessionModelData['display_order'] ?? $this->nextDisplayOrder($sessionModelData['session_id']),
                 'configuration' => isset($sessionModelData['configuration']) ? json_encode($sessionModelData['configuration']) : null
             ];
 
@@ -164,7 +165,7 @@ class SessionModel {
                 $this->table_name,
                 $conditions,
                 '*',
-                'created_at ASC'
+                'display_order ASC, created_at ASC'
             );
 
             // Decode JSON config for each association
@@ -262,7 +263,7 @@ class SessionModel {
         $startTime = microtime(true);
 
         try {
-            $allowedFields = ['is_visible', 'usage_count', 'configuration'];
+            $allowedFields = ['is_visible', 'usage_count', 'configuration', 'display_order'];
             $filteredData = [];
 
             foreach ($allowedFields as $field) {
@@ -435,6 +436,60 @@ class SessionModel {
         }
     }
 
+    /**
+     * Store a new column order; $modelIds lists the session's models first to last
+     */
+    public function reorder($sessionId, $modelIds) {
+        $startTime = microtime(true);
+
+        try {
+            $this->db->beginTransaction();
+
+            foreach (array_values($modelIds) as $position => $modelId) {
+                $this->db->update($this->table_name, [
+                    'display_order' => $position,
+                    'updated_at' => date('Y-m-d H:i:s')
+                ], [
+                    'session_id' => $sessionId,
+                    'model_id' => $modelId
+                ]);
+            }
+
+            $this->db->commit();
+
+            $duration = round((microtime(true) - $startTime) * 1000, 2);
+            Logger::info("Session models reordered", [
+                'session_id' => $sessionId,
+                'model_count' => count($modelIds),
+                'duration_ms' => $duration
+            ]);
+
+            return true;
+
+        } catch (Exception $e) {
+            $this->db->rollback();
+
+            $duration = round((microtime(true) - $startTime) * 1000, 2);
+            Logger::error("Failed to reorder session models", [
+                'error' => $e->getMessage(),
+                'session_id' => $sessionId,
+                'duration_ms' => $duration
+            ]);
+            throw $e;
+        }
+    }
+
+    /**
+     * Position after the session's last model, so new models are added at the end
+     */
+    private function nextDisplayOrder($sessionId) {
+        $rows = $this->db->query(
+            "SELECT COALESCE(MAX(display_order), -1) + 1 AS next_order FROM {$this->table_name} WHERE session_id = :session_id",
+            ['session_id' => $sessionId]
+        );
+        return (int)($rows[0]['next_order'] ?? 0);
+    }
+
     /**
      * Check if session exists
      */
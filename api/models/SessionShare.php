@@ -0,0 +1,115 @@
+<?php
+class SessionShare {
+    private $db;
+    private $table_name = "session_shares";
+
+    public function __construct($db) {
+        $this->db = $db;
+        Logger::debug("SessionShare initialized");
+    }
+
+    /**
+     * Create a share link for a session with a fresh random token
+     */
+    public function create($shareData) {
+        $startTime = microtime(true);
+
+        try {
+            $token = bin2hex(random_bytes(24));
+
+            $this->db->query(
+                "INSERT INTO {$this->table_name} (session_id, user_id, token, scope, expires_at)
+                 VALUES (?, ?, ?, ?, ?)",
+                [
+                    $shareData['session_id'],
+                    $shareData['user_id'],
+                    $token,
+                    $shareData['scope'] ?? 'public',
+                    $shareData['expires_at'] ?? null
+                ]
+            );
+
+            $duration = round((microtime(true) - $startTime) * 1000, 2);
+            Logger::info("Session share created", [
+                'session_id' => $shareData['session_id'],
+                'user_id' => $shareData['user_id'],
+                'scope' => $shareData['scope'] ?? 'public',
+                'duration_ms' => $duration
+            ]);
+
+            return $this->getByToken($token);
+
+        } catch (Exception $e) {
+            $duration = round((microtime(true) - $startTime) * 1000, 2);
+            Logger::error("Session share creation failed", [
+                'error' => $e->getMessage(),
+                'session_id' => $shareData['session_id'] ?? 'unknown',
+                'duration_ms' => $duration
+            ]);
+            throw $e;
+        }
+    }
+
+    public function getById($shareId) {
+        return $this->db->readOne($this->table_name, ['id' => $shareId]);
+    }
+
+    public function getByToken($token) {
+        return $this->db->readOne($this->table_name, ['token' => $token]);
+    }
+
+    /**
+     * Links for a session that haven't been revoked or expired, newest first
+     */
+    public function getActiveBySessionId($sessionId) {
+        return $this->db->query(
+            "SELECT * FROM {$this->table_name}
+             WHERE session_id = ?
+             AND revoked_at IS NULL
+             AND (expires_at IS NULL OR expires_at > NOW())
+             ORDER BY created_at DESC",
+            [$sessionId]
+        );
+    }
+
+    public function revoke($shareId) {
+        $this->db->query(
+            "UPDATE {$this->table_name} SET revoked_at = NOW() WHERE id = ? AND revoked_at IS NULL",
+            [$shareId]
+        );
+
+        Logger::info("Session share revoked", ['share_id' => $shareId]);
+
+        return $this->getById($shareId);
+    }
+
+    public function recordView($shareId) {
+        $this->db->query(
+            "UPDATE {$this->table_name}
+             SET view_count = view_count + 1, last_viewed_at = NOW()
+             WHERE id = ?",
+            [$shareId]
+        );
+    }
+
+    /**
+     * Whether two users belong to a common organization
+     */
+    public function shareOrganization($ownerId, $viewerId) {
+        $rows = $this->db->query(
+            "SELECT 1
+             FROM organization_members owner_membership
+             JOIN organization_members viewer_membership
+                ON viewer_membership.organization_id = owner_membership.organization_id
+             WHERE owner_membership.user_id = ?
+             AND viewer_membership.user_id = ?
+             AND owner_membership.invitation_status = 'accepted'
+             AND viewer_membership.invitation_status = 'accepted'
+             LIMIT 1",
+            [$ownerId, $viewerId]
+        );
+
+        return !empty($rows);
+    }
+}
+?>
\ No newline at end of file
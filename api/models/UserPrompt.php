@@ -56,6 +56,11 @@ class UserPrompt {
                 'metadata' => isset($promptData['metadata']) ? json_encode($promptData['metadata']) : null
             ];
 
+            // Imported history keeps its original timestamps
+            if (!empty($promptData['created_at'])) {
+                $insertData['created_at'] = $promptData['created_at'];
+            }
+
             Logger::debug("Creating user prompt with data", ['data' => $insertData]);
 
             // Create prompt using DB CRUD method
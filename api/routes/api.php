@@ -39,6 +39,7 @@ function registerRoutes($router) {
 
     // Session management routes
     $router->addRoute('POST', '/sessions', 'Session@createSession');
+    $router->addRoute('POST', '/sessions/import', 'Session@importSession');
     $router->addRoute('GET', '/sessions/active', 'Session@getActiveSession');
     $router->addRoute('GET', '/sessions', 'Session@listSessions');
     $router->addRoute('GET', '/sessions/{sessionId}', 'Session@getSession');
@@ -52,14 +53,45 @@ function registerRoutes($router) {
     $router->addRoute('PATCH', '/sessions/{sessionId}/models/{modelId}/toggle', 'Session@toggleModel');
     $router->addRoute('DELETE', '/sessions/{sessionId}/models/{modelId}', 'Session@removeModel');
     $router->addRoute('GET', '/sessions/{sessionId}/models', 'Session@listSessionModels');
+    $router->addRoute('PUT', '/sessions/{sessionId}/models-order', 'Session@reorderModels');
 
     // Session messages route
     $router->addRoute('GET', '/sessions/{sessionId}/messages', 'Session@getSessionMessages');
+    $router->addRoute('GET', '/sessions/{sessionId}/thinking-traces', 'Session@getThinkingTraces');
+    $router->addRoute('GET', '/sessions/{sessionId}/stats', 'Session@getSessionStats');
 
     // Individual model chat endpoints for concurrent multi-model support
     $router->addRoute('POST', '/sessions/{sessionId}/models/{modelId}/chat', 'Session@chatWithModel');
     $router->addRoute('PATCH', '/sessions/{sessionId}/models/{modelId}/visibility', 'Session@toggleModelVisibility');
 
+    // Response feedback routes
+    $router->addRoute('PUT', '/responses/{responseId}/feedback', 'Feedback@saveFeedback');
+    $router->addRoute('PUT', '/responses/{responseId}/preferred', 'Feedback@setPreferred');
+    $router->addRoute('GET', '/sessions/{sessionId}/feedback', 'Feedback@getSessionFeedback');
+    $router->addRoute('GET', '/sessions/{sessionId}/blind-votes', 'Feedback@getBlindVotes');
+    $router->addRoute('PUT', '/sessions/{sessionId}/blind-votes', 'Feedback@saveBlindRanking');
+
+    // Session metadata routes (tags, category, pinning)
+    $router->addRoute('GET', '/sessions/{sessionId}/metadata', 'SessionMetadata@getMetadata');
+    $router->addRoute('PUT', '/sessions/{sessionId}/metadata', 'SessionMetadata@updateMetadata');
+    $router->addRoute('GET', '/session-tags', 'SessionMetadata@getTags');
+
+    // Prompt library (saved prompts with {{variables}})
+    $router->addRoute('GET', '/prompt-templates', 'PromptLibrary@getTemplates');
+    $router->addRoute('POST', '/prompt-templates', 'PromptLibrary@createTemplate');
+    $router->addRoute('POST', '/prompt-templates/import', 'PromptLibrary@importTemplates');
+    $router->addRoute('PUT', '/prompt-templates/{templateId}', 'PromptLibrary@updateTemplate');
+    $router->addRoute('DELETE', '/prompt-templates/{templateId}', 'PromptLibrary@deleteTemplate');
+
+    // Read-only share links; viewing one needs no account
+    $router->addRoute('POST', '/sessions/{sessionId}/shares', 'Share@createShare');
+    $router->addRoute('GET', '/sessions/{sessionId}/shares', 'Share@listShares');
+    $router->addRoute('DELETE', '/shares/{shareId}', 'Share@revokeShare');
+    $router->addRoute('GET', '/shared/{token}', 'Share@viewShared');
+
+    // Model leaderboard from ratings, preferences and response metrics
+    $router->addRoute('GET', '/leaderboard', 'Leaderboard@getLeaderboard');
+
     // Billing routes (protected)
     $router->addRoute('GET', '/billing/subscription', 'Billing@getCurrentSubscription');
     $router->addRoute('GET', '/billing/plans', 'Billing@getSubscriptionPlans');
@@ -331,13 +331,15 @@ CREATE TABLE conversation_metadata (
     summary TEXT,
     priority VARCHAR(20) DEFAULT 'normal',
     category VARCHAR(100),
+    is_pinned BOOLEAN DEFAULT FALSE,
     custom_fields JSON,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     FOREIGN KEY (session_id) REFERENCES chat_sessions(id) ON DELETE CASCADE,
     INDEX idx_conversation_metadata_session_id (session_id),
     INDEX idx_conversation_metadata_category (category),
-    INDEX idx_conversation_metadata_priority (priority)
+    INDEX idx_conversation_metadata_priority (priority),
+    INDEX idx_conversation_metadata_is_pinned (is_pinned)
 );
 
 -- 16. Response Feedback Table
@@ -358,7 +360,22 @@ CREATE TABLE response_feedback (
     INDEX idx_response_feedback_rating (rating)
 );
 
--- REMOVED: Response Comparisons Table (was table 17)
+-- 17. Blind Votes Table
+-- Rankings cast in the blind layout, one row per ranked answer (1 = best).
+-- Kept apart from ai_responses.is_preferred so stars and blind votes don't mix.
+CREATE TABLE blind_votes (
+    id CHAR(36) PRIMARY KEY DEFAULT (UUID()),
+    user_id CHAR(36) NOT NULL,
+    session_id CHAR(36) NOT NULL,
+    response_id CHAR(36) NOT NULL,
+    rank_position INT NOT NULL CHECK (rank_position >= 1),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (session_id) REFERENCES chat_sessions(id) ON DELETE CASCADE,
+    FOREIGN KEY (response_id) REFERENCES ai_responses(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_user_blind_vote (user_id, response_id),
+    INDEX idx_blind_votes_session (user_id, session_id)
+);
 
 -- 18. Model Performance Metrics Table
 CREATE TABLE model_performance_metrics (
@@ -556,6 +573,26 @@ CREATE TABLE email_verifications (
     UNIQUE KEY unique_active_token_per_user (user_id, token_type)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
+-- 28. Session Shares Table
+-- Read-only links to a session. 'team' links are limited to signed-in members
+-- of an organization the owner belongs to.
+CREATE TABLE session_shares (
+    id CHAR(36) PRIMARY KEY DEFAULT (UUID()),
+    session_id CHAR(36) NOT NULL,
+    user_id CHAR(36) NOT NULL,
+    token VARCHAR(64) NOT NULL UNIQUE,
+    scope ENUM('public', 'team') DEFAULT 'public',
+    expires_at TIMESTAMP NULL,
+    revoked_at TIMESTAMP NULL,
+    view_count INT DEFAULT 0,
+    last_viewed_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (session_id) REFERENCES chat_sessions(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_session_shares_session_id (session_id),
+    INDEX idx_session_shares_user_id (user_id)
+);
+
 -- Add foreign key constraint for organizations.created_by after users table exists
 ALTER TABLE organizations ADD CONSTRAINT fk_organizations_created_by 
     FOREIGN KEY (created_by) REFERENCES users(id);
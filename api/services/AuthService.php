@@ -1,11 +1,13 @@
 <?php
 class AuthService {
     private $userModel;
+    private $refreshTokenModel;
     private $validator;
     private $jwtService;
 
     public function __construct($db) {
         $this->userModel = new User($db);
+        $this->refreshTokenModel = new RefreshToken($db);
         $this->validator = new Validator();
         $this->emailVerificationService = new EmailVerificationService($db);
         $this->validateJWTService();
@@ -121,6 +123,7 @@ class AuthService {
 
         return [
             'token' => $jwt,
+            'refresh_token' => $this->refreshTokenModel->issue($user['id']),
             'user' => $user,
             'email_verification_sent' => true
         ];
@@ -186,6 +189,7 @@ class AuthService {
 
         return [
             'token' => $jwt,
+            'refresh_token' => $this->refreshTokenModel->issue($user['id']),
             'user' => $user
         ];
     }
@@ -217,9 +221,19 @@ class AuthService {
         return $user;
     }
 
-    public function refreshToken($userId) {
+    /**
+     * Exchange a refresh token for a new access token. The presented refresh
+     * token is rotated: it is revoked and a new one is returned alongside.
+     */
+    public function refreshToken($refreshToken) {
+        $stored = $this->refreshTokenModel->findValid($refreshToken);
+
+        if (!$stored) {
+            throw new InvalidArgumentException("Refresh token invalid or expired");
+        }
+
         // Fetch fresh user data using the new User model
-        $user = $this->userModel->getById($userId);
+        $user = $this->userModel->getById($stored['user_id']);
 
         if (!$user) {
             throw new InvalidArgumentException("User not found");
@@ -239,6 +253,9 @@ class AuthService {
 
         $newJwt = JWT::encode($tokenData);
 
+        $this->refreshTokenModel->revoke($refreshToken);
+        $newRefreshToken = $this->refreshTokenModel->issue($user['id']);
+
         Logger::info("Token refreshed successfully", [
             'user_id' => $user['id'],
             'email' => $user['email']
@@ -246,17 +263,18 @@ class AuthService {
 
         return [
             'token' => $newJwt,
+            'refresh_token' => $newRefreshToken,
             'user' => $user
         ];
     }
 
-    public function logout($userId) {
-        // In a stateless JWT system, we can't invalidate the token on the server
-        // The client should discard the token
-        // In a real implementation, you might maintain a blacklist or use refresh tokens
+    public function logout($refreshToken = null) {
+        // Access tokens are stateless and expire on their own; revoking the
+        // refresh token stops the client from silently obtaining new ones.
+        $revoked = $this->refreshTokenModel->revoke($refreshToken);
 
         Logger::info("User logout", [
-            'user_id' => $userId
+            'refresh_token_revoked' => $revoked
         ]);
 
         return true;
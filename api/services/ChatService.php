@@ -8,6 +8,27 @@ class ChatService {
     private $aiModelModel;
     private $aiProviderFactory;
 
+    // Tags reasoning models wrap their thinking in
+    private $thinkingPatterns = [
+        '/<think>(.*?)<\/think>/is',  // XML-style tags
+        '/\[THINKING\](.*?)\[\/THINKING\]/is',  // Bracket-style tags
+        '/<thinking>(.*?)<\/thinking>/is',  // Alternative XML tags
+    ];
+
+    // Sampling parameters a session can set per model, with the range each
+    // accepts unless the model's config narrows it
+    private $sessionConfigRanges = [
+        'temperature' => ['min' => 0, 'max' => 2],
+        'top_p' => ['min' => 0, 'max' => 1],
+        'max_tokens' => ['min' => 1, 'max' => null]
+    ];
+
+    private $maxSystemPromptLength = 8000;
+
+    // Caps on what is kept from a provider's follow-ups and sources
+    private $maxFollowUps = 5;
+    private $maxCitations = 50;
+
     public function __construct($db) {
         $this->db = $db;
         $this->chatSessionModel = new ChatSession($db);
@@ -659,30 +680,55 @@ class ChatService {
             // Build conversation context
             $messages = $this->buildConversationContext($sessionId, $prompt);
 
+            // Session-level settings for this model; request options win
+            $configuration = $sessionModel['configuration'] ?? [];
+            if (!empty($configuration['system_prompt'])) {
+                array_unshift($messages, [
+                    'role' => 'system',
+                    'content' => $configuration['system_prompt']
+                ]);
+            }
+            $options = array_merge(
+                array_intersect_key($configuration, $this->sessionConfigRanges),
+                $options
+            );
+
             // Get AI provider
             $provider = $this->aiProviderFactory->create($aiModel);
 
             // Execute chat completion
             $performanceMonitor = new PerformanceMonitor($this->db);
+            $generationStart = microtime(true);
             $aiResponse = $provider->chatCompletions($messages, array_merge($options, [
                 'performance_monitor' => $performanceMonitor,
                 'request_id' => 'single_' . $prompt['id']
             ]));
+            $generationTimeMs = (int)round((microtime(true) - $generationStart) * 1000);
 
             // Extract response data
             $responseContent = $aiResponse['choices'][0]['message']['content'] ?? '';
             $tokenCount = $aiResponse['usage']['completion_tokens'] ?? 0;
+            $inputTokens = $aiResponse['usage']['prompt_tokens'] ?? 0;
             $cost = $this->calculateCost($model, $aiResponse['usage'] ?? []);
 
-            // Create AI response record
+            // Reasoning goes to thinking_traces below; keep it out of the answer
+            $answerContent = $this->stripThinkingBlocks($responseContent);
+
+            // Create AI response record. ai_responses has no cost column, so the
+            // cost travels in metadata and is added to the session's total_cost.
             $response = $this->aiResponseModel->create([
                 'prompt_id' => $prompt['id'],
                 'model_id' => $model['id'],
                 'session_id' => $sessionId,
-                'content' => $responseContent,
+                'content' => $answerContent !== '' ? $answerContent : $responseContent,
                 'token_count' => $tokenCount,
+                'generation_time_ms' => $generationTimeMs,
                 'cost' => $cost,
+                'follow_up_suggestions' => $this->extractFollowUps($aiResponse),
+                'source_citations' => $this->extractCitations($aiResponse),
                 'metadata' => [
+                    'cost' => $cost,
+                    'input_tokens' => $inputTokens,
                     'ai_response' => $aiResponse,
                     'model_config' => $model['config'] ?? null,
                     'session_model_config' => $sessionModel['configuration'] ?? null
@@ -698,7 +744,7 @@ class ChatService {
             ]);
 
             // Extract and store thinking traces from the response content
-            $this->extractAndStoreThinkingTraces($responseContent, $response['id'], $prompt['id'], $sessionId, $userId);
+            $thinkingTraces = $this->extractAndStoreThinkingTraces($responseContent, $response['id'], $prompt['id'], $sessionId, $userId);
 
             if (Environment::get('RATE_LIMIT_ENABLED', 'true') === 'true') {
                 // Record rate limit usage
@@ -724,6 +770,13 @@ class ChatService {
             return [
                 'prompt' => $prompt,
                 'response' => $response,
+                'thinking_traces' => array_map(function($trace) {
+                    return [
+                        'trace_type' => $trace['trace_type'],
+                        'content' => $trace['content'],
+                        'sequence_order' => $trace['sequence_order']
+                    ];
+                }, $thinkingTraces),
                 'metadata' => $aiResponse['metadata'] ?? []
             ];
 
@@ -932,6 +985,170 @@ class ChatService {
         }
     }
 
+    /**
+     * Save the order the session's models are shown in
+     */
+    public function reorderSessionModels($sessionId, $userId, $modelIds) {
+        $this->getSession($sessionId, $userId);
+
+        $current = array_map(function($association) {
+            return $association['model_id'];
+        }, $this->sessionModelModel->getBySessionId($sessionId));
+
+        // The new order must list every model in the session exactly once
+        $sortedNew = $modelIds;
+        $sortedCurrent = $current;
+        sort($sortedNew);
+        sort($sortedCurrent);
+        if ($sortedNew !== $sortedCurrent) {
+            throw new InvalidArgumentException("model_ids must list every model in the session once");
+        }
+
+        $this->sessionModelModel->reorder($sessionId, $modelIds);
+
+        return $this->getSessionModels($sessionId, $userId);
+    }
+
+    /**
+     * Get the session's models with their configuration and the limits it is
+     * validated against
+     */
+    public function getSessionModelConfigs($sessionId, $userId) {
+        $this->getSession($sessionId, $userId);
+
+        $configs = [];
+        foreach ($this->sessionModelModel->getBySessionId($sessionId) as $association) {
+            $model = $this->aiModelModel->getById($association['model_id']);
+            if (!$model) {
+                continue;
+            }
+
+            $configs[] = array_merge($association, [
+                'model_name' => $model['model_name'],
+                'name' => $model['model_name'], // For frontend compatibility
+                'provider' => $model['provider'],
+                'display_name' => $model['display_name'],
+                'capabilities' => $model['capabilities'],
+                'configuration' => $association['configuration'] ?: new stdClass(),
+                'limits' => $this->getSessionConfigLimits($model)
+            ]);
+        }
+
+        return $configs;
+    }
+
+    /**
+     * Validate and save one model's configuration for a session
+     */
+    public function updateSessionModelConfig($sessionId, $userId, $modelId, $configuration) {
+        $startTime = microtime(true);
+
+        $this->getSession($sessionId, $userId);
+
+        $model = $this->aiModelModel->getById($modelId);
+        if (!$model) {
+            throw new InvalidArgumentException("Model not found");
+        }
+
+        $association = null;
+        foreach ($this->sessionModelModel->getBySessionId($sessionId) as $assoc) {
+            if ($assoc['model_id'] === $model['id']) {
+                $association = $assoc;
+                break;
+            }
+        }
+        if (!$association) {
+            throw new InvalidArgumentException("Model not associated with session");
+        }
+
+        $limits = $this->getSessionConfigLimits($model);
+        $cleaned = $this->validateSessionModelConfig($configuration, $limits);
+
+        // An empty object is stored so that clearing every field still updates
+        $this->sessionModelModel->update($association['id'], [
+            'configuration' => $cleaned ?: new stdClass()
+        ]);
+
+        $duration = round((microtime(true) - $startTime) * 1000, 2);
+        Logger::info("Session model configuration updated", [
+            'session_id' => $sessionId,
+            'model_id' => $model['id'],
+            'user_id' => $userId,
+            'fields' => array_keys($cleaned),
+            'duration_ms' => $duration
+        ]);
+
+        return [
+            'model_id' => $model['id'],
+            'configuration' => $cleaned ?: new stdClass(),
+            'limits' => $limits
+        ];
+    }
+
+    /**
+     * Ranges for the per-session parameters. A model's config may lower the
+     * temperature ceiling (max_temperature) and caps max_tokens, falling back
+     * to its context length.
+     */
+    private function getSessionConfigLimits($model) {
+        $config = is_array($model['config']) ? $model['config'] : [];
+        $limits = $this->sessionConfigRanges;
+
+        if (isset($config['max_temperature'])) {
+            $limits['temperature']['max'] = min($limits['temperature']['max'], (float)$config['max_temperature']);
+        }
+
+        $maxTokens = $config['max_tokens'] ?? $model['context_length'] ?? null;
+        $limits['max_tokens']['max'] = $maxTokens !== null ? (int)$maxTokens : null;
+
+        $limits['system_prompt'] = ['max_length' => $this->maxSystemPromptLength];
+
+        return $limits;
+    }
+
+    /**
+     * Check a configuration against the limits and return only the fields set
+     */
+    private function validateSessionModelConfig($configuration, $limits) {
+        if (!is_array($configuration)) {
+            throw new InvalidArgumentException("Configuration must be an object");
+        }
+
+        $cleaned = [];
+
+        foreach (array_keys($this->sessionConfigRanges) as $field) {
+            if (!isset($configuration[$field]) || $configuration[$field] === '') {
+                continue;
+            }
+
+            $value = $configuration[$field];
+            if (!is_numeric($value)) {
+                throw new InvalidArgumentException("$field must be a number");
+            }
+
+            $value = $field === 'max_tokens' ? (int)$value : (float)$value;
+            $min = $limits[$field]['min'];
+            $max = $limits[$field]['max'];
+
+            if ($value < $min || ($max !== null && $value > $max)) {
+                $range = $max !== null ? "between $min and $max" : "at least $min";
+                throw new InvalidArgumentException("$field must be $range");
+            }
+
+            $cleaned[$field] = $value;
+        }
+
+        $systemPrompt = trim((string)($configuration['system_prompt'] ?? ''));
+        if ($systemPrompt !== '') {
+            if (mb_strlen($systemPrompt) > $limits['system_prompt']['max_length']) {
+                throw new InvalidArgumentException("system_prompt must be at most {$limits['system_prompt']['max_length']} characters");
+            }
+            $cleaned['system_prompt'] = $systemPrompt;
+        }
+
+        return $cleaned;
+    }
+
     /**
      * Extract and store thinking traces from AI response content
      */
@@ -943,17 +1160,10 @@ class ChatService {
                 'content_preview' => substr($responseContent, 0, 100)
             ]);
 
-            // Pattern to match thinking traces (common formats: <think>...</think>, [THINKING]...</[THINKING])
-            $patterns = [
-                '/<think>(.*?)<\/think>/is',  // XML-style tags
-                '/\[THINKING\](.*?)\[\/THINKING\]/is',  // Bracket-style tags
-                '/<thinking>(.*?)<\/thinking>/is',  // Alternative XML tags
-            ];
-
             $traces = [];
             $sequenceOrder = 0;
 
-            foreach ($patterns as $pattern) {
+            foreach ($this->thinkingPatterns as $pattern) {
                 if (preg_match_all($pattern, $responseContent, $matches, PREG_SET_ORDER)) {
                     Logger::debug("Found matches for pattern", [
                         'pattern' => $pattern,
@@ -1006,6 +1216,8 @@ class ChatService {
                 ]);
             }
 
+            return $traces;
+
         } catch (Exception $e) {
             Logger::error("Failed to extract thinking traces", [
                 'response_id' => $responseId,
@@ -1013,7 +1225,135 @@ class ChatService {
                 'trace' => $e->getTraceAsString()
             ]);
             // Don't throw exception to avoid breaking the main flow
+            return [];
+        }
+    }
+
+    /**
+     * Remove reasoning blocks from a response so only the answer is stored as content.
+     * The blocks themselves are kept in thinking_traces.
+     */
+    private function stripThinkingBlocks($responseContent) {
+        return trim(preg_replace($this->thinkingPatterns, '', $responseContent));
+    }
+
+    /**
+     * Suggested next questions from a provider response: our own
+     * follow_up_suggestions field or Perplexity-style related_questions.
+     */
+    private function extractFollowUps($aiResponse) {
+        $raw = $aiResponse['follow_up_suggestions'] ?? $aiResponse['related_questions'] ?? [];
+        if (!is_array($raw)) {
+            return [];
+        }
+
+        $suggestions = [];
+        foreach ($raw as $item) {
+            $text = is_string($item) ? trim($item) : '';
+            if ($text !== '' && !in_array($text, $suggestions, true)) {
+                $suggestions[] = $text;
+            }
+        }
+
+        return array_slice($suggestions, 0, $this->maxFollowUps);
+    }
+
+    /**
+     * Sources cited by a provider response as [{title, url}], in the order
+     * the answer's [n] markers refer to them. Accepts our own
+     * source_citations field, Perplexity-style search_results or citations
+     * (plain URLs), and OpenAI url_citation annotations.
+     */
+    private function extractCitations($aiResponse) {
+        $raw = $aiResponse['source_citations']
+            ?? $aiResponse['search_results']
+            ?? $aiResponse['citations']
+            ?? null;
+
+        if ($raw === null) {
+            $annotations = $aiResponse['choices'][0]['message']['annotations'] ?? [];
+            $raw = [];
+            foreach (is_array($annotations) ? $annotations : [] as $annotation) {
+                if (($annotation['type'] ?? null) === 'url_citation' && isset($annotation['url_citation'])) {
+                    $raw[] = $annotation['url_citation'];
+                }
+            }
+        }
+        if (!is_array($raw)) {
+            return [];
+        }
+
+        // Unusable entries keep their place, without a URL, so the numbering
+        // still matches the markers in the answer
+        $citations = [];
+        foreach ($raw as $item) {
+            $url = is_string($item) ? $item : (is_array($item) ? ($item['url'] ?? null) : null);
+            $title = is_array($item) ? ($item['title'] ?? null) : null;
+            $citations[] = [
+                'title' => is_string($title) && trim($title) !== '' ? trim($title) : null,
+                'url' => is_string($url) && preg_match('#^https?://#i', $url) ? $url : null
+            ];
+        }
+
+        return array_slice($citations, 0, $this->maxCitations);
+    }
+
+    /**
+     * Get the ordered thinking traces of a session, grouped by response
+     */
+    public function getThinkingTraces($sessionId, $userId) {
+        $startTime = microtime(true);
+
+        // Verify ownership
+        $this->getSession($sessionId, $userId);
+
+        $rows = $this->db->readMany(
+            'thinking_traces',
+            ['session_id' => $sessionId],
+            'response_id, trace_type, content, sequence_order',
+            'response_id ASC, sequence_order ASC'
+        );
+
+        $traces = [];
+        foreach ($rows as $row) {
+            if (!$row['response_id']) {
+                continue;
+            }
+            $traces[$row['response_id']][] = [
+                'trace_type' => $row['trace_type'],
+                'content' => $row['content'],
+                'sequence_order' => (int)$row['sequence_order']
+            ];
         }
+
+        $duration = round((microtime(true) - $startTime) * 1000, 2);
+        Logger::debug("Thinking traces retrieved", [
+            'session_id' => $sessionId,
+            'user_id' => $userId,
+            'response_count' => count($traces),
+            'duration_ms' => $duration
+        ]);
+
+        return $traces;
+    }
+
+    /**
+     * Latency, token and cost totals per model over the whole session, so
+     * the summary doesn't depend on how much history the client loaded
+     */
+    public function getSessionStats($sessionId, $userId) {
+        // Verify ownership
+        $this->getSession($sessionId, $userId);
+
+        return array_map(function($row) {
+            return [
+                'model_id' => $row['model_id'],
+                'answers' => (int)$row['answers'],
+                'output_tokens' => (int)$row['output_tokens'],
+                'cost' => (float)$row['cost'],
+                'avg_latency_ms' => $row['avg_latency_ms'] !== null ? (float)$row['avg_latency_ms'] : null
+            ];
+        }, $this->aiResponseModel->getSessionStats($sessionId));
     }
 
     /**
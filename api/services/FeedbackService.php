@@ -0,0 +1,133 @@
+<?php
+class FeedbackService {
+    private $db;
+    private $aiResponseModel;
+    private $chatSessionModel;
+    private $feedbackModel;
+    private $blindVoteModel;
+
+    public function __construct($db) {
+        $this->db = $db;
+        $this->aiResponseModel = new AIResponse($db);
+        $this->chatSessionModel = new ChatSession($db);
+        $this->feedbackModel = new ResponseFeedback($db);
+        $this->blindVoteModel = new BlindVote($db);
+
+        Logger::debug("FeedbackService initialized");
+    }
+
+    /**
+     * Save rating, comment and helpful flag for a response the user owns
+     */
+    public function saveFeedback($responseId, $userId, $data) {
+        $this->getOwnedResponse($responseId, $userId);
+
+        return $this->feedbackModel->upsert($userId, $responseId, $data);
+    }
+
+    /**
+     * Mark or unmark a response as preferred
+     */
+    public function setPreferred($responseId, $userId, $isPreferred) {
+        $this->getOwnedResponse($responseId, $userId);
+
+        $response = $this->aiResponseModel->setPreferred($responseId, $isPreferred);
+
+        return [
+            'response_id' => $responseId,
+            'is_preferred' => (bool)$response['is_preferred']
+        ];
+    }
+
+    /**
+     * Preferred flags and feedback for every response in a session
+     */
+    public function getSessionFeedback($sessionId, $userId) {
+        $this->getOwnedSession($sessionId, $userId);
+
+        return array_map(function($row) {
+            return [
+                'response_id' => $row['response_id'],
+                'prompt_id' => $row['prompt_id'],
+                'model_id' => $row['model_id'],
+                'is_preferred' => (bool)$row['is_preferred'],
+                'rating' => $row['rating'] !== null ? (int)$row['rating'] : null,
+                'feedback_text' => $row['feedback_text'],
+                'is_helpful' => $row['is_helpful'] !== null ? (bool)$row['is_helpful'] : null
+            ];
+        }, $this->feedbackModel->getBySession($userId, $sessionId));
+    }
+
+    /**
+     * Save a blind-layout ranking of one turn's answers, best first.
+     * A vote is a ranking with a single answer. Kept apart from the
+     * preferred flag so stars and blind votes don't overwrite each other.
+     */
+    public function saveBlindRanking($sessionId, $userId, $responseIds) {
+        $this->getOwnedSession($sessionId, $userId);
+
+        if (!is_array($responseIds) || count($responseIds) === 0) {
+            throw new InvalidArgumentException("Rank at least one answer");
+        }
+        foreach ($responseIds as $responseId) {
+            if (!is_string($responseId)) {
+                throw new InvalidArgumentException("Ranked answers must be response ids");
+            }
+        }
+        if (count(array_unique($responseIds)) !== count($responseIds)) {
+            throw new InvalidArgumentException("An answer can only be ranked once");
+        }
+
+        foreach ($responseIds as $responseId) {
+            $response = $this->aiResponseModel->getById($responseId);
+            if (!$response || $response['session_id'] !== $sessionId) {
+                throw new InvalidArgumentException("Response not found");
+            }
+        }
+
+        $this->blindVoteModel->saveRanking($userId, $sessionId, array_values($responseIds));
+
+        return $this->getBlindVotes($sessionId, $userId);
+    }
+
+    /**
+     * The user's blind-layout ranks for the answers in a session
+     */
+    public function getBlindVotes($sessionId, $userId) {
+        $this->getOwnedSession($sessionId, $userId);
+
+        return array_map(function($row) {
+            return [
+                'response_id' => $row['response_id'],
+                'rank' => (int)$row['rank_position']
+            ];
+        }, $this->blindVoteModel->getBySession($userId, $sessionId));
+    }
+
+    private function getOwnedResponse($responseId, $userId) {
+        $response = $this->aiResponseModel->getById($responseId);
+
+        if (!$response) {
+            throw new InvalidArgumentException("Response not found");
+        }
+
+        $this->getOwnedSession($response['session_id'], $userId);
+
+        return $response;
+    }
+
+    private function getOwnedSession($sessionId, $userId) {
+        $session = $this->chatSessionModel->getById($sessionId);
+
+        if (!$session) {
+            throw new InvalidArgumentException("Session not found");
+        }
+
+        if ($session['user_id'] !== $userId) {
+            throw new InvalidArgumentException("Access denied");
+        }
+
+        return $session;
+    }
+}
+?>
\ No newline at end of file
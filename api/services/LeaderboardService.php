@@ -0,0 +1,68 @@
+<?php
+class LeaderboardService {
+    private $db;
+    private $leaderboardModel;
+
+    // Range name => days back from now; null covers all time
+    const RANGES = ['7d' => 7, '30d' => 30, '90d' => 90, 'all' => null];
+    const SCOPES = ['mine', 'all'];
+
+    public function __construct($db) {
+        $this->db = $db;
+        $this->leaderboardModel = new ModelLeaderboard($db);
+
+        Logger::debug("LeaderboardService initialized");
+    }
+
+    /**
+     * Each model's rating, preferred rate, latency, speed and cost over the
+     * range, from the user's own sessions or from everyone's. Only
+     * aggregates leave the server, never another user's sessions.
+     */
+    public function getLeaderboard($userId, $range, $scope) {
+        if (!array_key_exists($range, self::RANGES)) {
+            throw new InvalidArgumentException("range must be one of: " . implode(', ', array_keys(self::RANGES)));
+        }
+        if (!in_array($scope, self::SCOPES, true)) {
+            throw new InvalidArgumentException("scope must be one of: " . implode(', ', self::SCOPES));
+        }
+
+        $filters = [
+            'days' => self::RANGES[$range],
+            'user_id' => $scope === 'mine' ? $userId : null
+        ];
+
+        $stats = $this->leaderboardModel->getModelStats($filters);
+        $medians = $this->leaderboardModel->getMedianLatencies($filters);
+
+        $models = array_map(function($row) use ($medians) {
+            $contested = (int)$row['contested'];
+
+            return [
+                'model_id' => $row['model_id'],
+                'model_name' => $row['model_name'],
+                'provider' => $row['provider'],
+                'answers' => (int)$row['answers'],
+                'ratings' => (int)$row['ratings'],
+                'avg_rating' => $this->toFloat($row['avg_rating'], 2),
+                'preferred' => (int)$row['preferred'],
+                'contested' => $contested,
+                'preferred_rate' => $contested > 0 ? round((int)$row['preferred'] / $contested, 4) : null,
+                'median_latency_ms' => $this->toFloat($medians[$row['model_id']] ?? null, 0),
+                'tokens_per_second' => $this->toFloat($row['tokens_per_second'], 2),
+                'cost_per_answer' => $this->toFloat($row['cost_per_answer'], 6)
+            ];
+        }, $stats);
+
+        return [
+            'range' => $range,
+            'scope' => $scope,
+            'models' => $models
+        ];
+    }
+
+    private function toFloat($value, $precision) {
+        return $value === null ? null : round((float)$value, $precision);
+    }
+}
+?>
\ No newline at end of file
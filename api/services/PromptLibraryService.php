@@ -0,0 +1,149 @@
+<?php
+class PromptLibraryService {
+    private $db;
+    private $templateModel;
+
+    const MAX_TEMPLATES = 500;
+    const MAX_TITLE_LENGTH = 120;
+    const MAX_FOLDER_LENGTH = 100;
+    const MAX_CONTENT_LENGTH = 20000;
+
+    public function __construct($db) {
+        $this->db = $db;
+        $this->templateModel = new PromptTemplate($db);
+
+        Logger::debug("PromptLibraryService initialized");
+    }
+
+    /**
+     * The user's templates, by folder then title
+     */
+    public function getTemplates($userId) {
+        $templates = $this->templateModel->getByUserId($userId);
+
+        usort($templates, function($a, $b) {
+            return [mb_strtolower($a['folder'] ?? ''), mb_strtolower($a['title'])]
+                <=> [mb_strtolower($b['folder'] ?? ''), mb_strtolower($b['title'])];
+        });
+
+        return array_map([$this, 'format'], $templates);
+    }
+
+    public function createTemplate($userId, $data) {
+        $template = $this->normalize($data);
+
+        if (count($this->templateModel->getByUserId($userId)) >= self::MAX_TEMPLATES) {
+            throw new InvalidArgumentException("The library is limited to " . self::MAX_TEMPLATES . " prompts");
+        }
+
+        return $this->format($this->templateModel->create($userId, $template));
+    }
+
+    public function updateTemplate($templateId, $userId, $data) {
+        $this->getOwnedTemplate($templateId, $userId);
+
+        return $this->format($this->templateModel->update($templateId, $this->normalize($data)));
+    }
+
+    public function deleteTemplate($templateId, $userId) {
+        $this->getOwnedTemplate($templateId, $userId);
+
+        $this->templateModel->delete($templateId);
+    }
+
+    /**
+     * Add a list of templates from a library export. Every entry is checked
+     * before any is saved, so a bad file adds nothing.
+     */
+    public function importTemplates($userId, $templates) {
+        if (!is_array($templates) || empty($templates)) {
+            throw new InvalidArgumentException("No prompts to import");
+        }
+
+        $normalized = [];
+        foreach (array_values($templates) as $index => $template) {
+            try {
+                $normalized[] = $this->normalize(is_array($template) ? $template : []);
+            } catch (InvalidArgumentException $e) {
+                throw new InvalidArgumentException("Prompt " . ($index + 1) . ": " . $e->getMessage());
+            }
+        }
+
+        $existing = count($this->templateModel->getByUserId($userId));
+        if ($existing + count($normalized) > self::MAX_TEMPLATES) {
+            throw new InvalidArgumentException("The library is limited to " . self::MAX_TEMPLATES . " prompts");
+        }
+
+        $this->db->beginTransaction();
+        try {
+            $created = [];
+            foreach ($normalized as $template) {
+                $created[] = $this->format($this->templateModel->create($userId, $template));
+            }
+            $this->db->commit();
+        } catch (Exception $e) {
+            $this->db->rollback();
+            throw $e;
+        }
+
+        Logger::info("Prompt templates imported", [
+            'user_id' => $userId,
+            'count' => count($created)
+        ]);
+
+        return $created;
+    }
+
+    /**
+     * Trim and check title, folder and content
+     */
+    private function normalize($data) {
+        $title = trim((string)($data['title'] ?? ''));
+        $folder = trim((string)($data['folder'] ?? ''));
+        $content = is_string($data['content'] ?? null) ? $data['content'] : '';
+
+        if ($title === '') {
+            throw new InvalidArgumentException("Title is required");
+        }
+        if (mb_strlen($title) > self::MAX_TITLE_LENGTH) {
+            throw new InvalidArgumentException("Title must be at most " . self::MAX_TITLE_LENGTH . " characters");
+        }
+        if (mb_strlen($folder) > self::MAX_FOLDER_LENGTH) {
+            throw new InvalidArgumentException("Folder must be at most " . self::MAX_FOLDER_LENGTH . " characters");
+        }
+        if (trim($content) === '') {
+            throw new InvalidArgumentException("Prompt text is required");
+        }
+        if (mb_strlen($content) > self::MAX_CONTENT_LENGTH) {
+            throw new InvalidArgumentException("Prompt text must be at most " . self::MAX_CONTENT_LENGTH . " characters");
+        }
+
+        return [
+            'title' => $title,
+            'folder' => $folder !== '' ? $folder : null,
+            'content' => $content
+        ];
+    }
+
+    private function format($template) {
+        return [
+            'id' => $template['id'],
+            'title' => $template['title'],
+            'folder' => $template['folder'],
+            'content' => $template['content'],
+            'created_at' => $template['created_at'],
+            'updated_at' => $template['updated_at']
+        ];
+    }
+
+    private function getOwnedTemplate($templateId, $userId) {
+        $template = $this->templateModel->getById($templateId);
+
+        if (!$template || $template['user_id'] !== $userId) {
+            throw new InvalidArgumentException("Prompt not found", 404);
+        }
+
+        return $template;
+    }
+}
+?>
\ No newline at end of file
@@ -0,0 +1,346 @@
+<?php
+class SessionImportService {
+    private $db;
+    private $chatSessionModel;
+    private $userPromptModel;
+    private $aiResponseModel;
+    private $sessionModelModel;
+    private $aiModelModel;
+    private $feedbackModel;
+
+    const MAX_MODELS = 20;
+    const MAX_PROMPTS = 2000;
+    const MAX_TITLE_LENGTH = 255;
+    const MAX_FOLLOW_UPS = 5;
+    const MAX_CITATIONS = 50;
+    const MAX_TRACES = 50;
+    const MAX_TRACE_TYPE_LENGTH = 50;
+
+    public function __construct($db) {
+        $this->db = $db;
+        $this->chatSessionModel = new ChatSession($db);
+        $this->userPromptModel = new UserPrompt($db);
+        $this->aiResponseModel = new AIResponse($db);
+        $this->sessionModelModel = new SessionModel($db);
+        $this->aiModelModel = new AIModel($db);
+        $this->feedbackModel = new ResponseFeedback($db);
+
+        Logger::debug("SessionImportService initialized");
+    }
+
+    /**
+     * Recreate an exported session for the user: the session, its models in
+     * column order and every prompt with its stored responses, their
+     * follow-up suggestions, citations and thinking traces. Model ids must
+     * already be mapped to models on this instance; nothing is sent to them.
+     */
+    public function importSession($userId, $data) {
+        $startTime = microtime(true);
+
+        $title = $this->normalizeTitle($data['title'] ?? null);
+        $modelIds = $this->validateModels($data['models'] ?? null);
+        $prompts = $this->validatePrompts($data['prompts'] ?? null, $modelIds);
+
+        $this->db->beginTransaction();
+
+        try {
+            $session = $this->chatSessionModel->create([
+                'user_id' => $userId,
+                'title' => $title
+            ]);
+
+            foreach ($modelIds as $modelId) {
+                $this->sessionModelModel->create([
+                    'session_id' => $session['id'],
+                    'model_id' => $modelId
+                ]);
+            }
+
+            $responseCount = 0;
+            foreach ($prompts as $prompt) {
+                $storedPrompt = $this->userPromptModel->create([
+                    'session_id' => $session['id'],
+                    'user_id' => $userId,
+                    'content' => $prompt['content'],
+                    'input_tokens' => $prompt['input_tokens'],
+                    'created_at' => $prompt['created_at'],
+                    'metadata' => ['imported' => true]
+                ]);
+
+                foreach ($prompt['responses'] as $response) {
+                    $storedResponse = $this->aiResponseModel->create([
+                        'prompt_id' => $storedPrompt['id'],
+                        'model_id' => $response['model_id'],
+                        'session_id' => $session['id'],
+                        'content' => $response['content'],
+                        'token_count' => $response['output_tokens'],
+                        'generation_time_ms' => $response['generation_time_ms'],
+                        'cost' => $response['cost'] ?? 0,
+                        'created_at' => $response['created_at'],
+                        'follow_up_suggestions' => $response['follow_up_suggestions'],
+                        'source_citations' => $response['source_citations'],
+                        'metadata' => [
+                            'cost' => $response['cost'],
+                            'input_tokens' => $response['input_tokens'],
+                            'imported' => true
+                        ]
+                    ]);
+
+                    foreach ($response['thinking_traces'] as $order => $trace) {
+                        $this->db->create('thinking_traces', [
+                            'user_id' => $userId,
+                            'session_id' => $session['id'],
+                            'prompt_id' => $storedPrompt['id'],
+                            'response_id' => $storedResponse['id'],
+                            'trace_type' => $trace['trace_type'],
+                            'content' => $trace['content'],
+                            'metadata' => json_encode(['imported' => true]),
+                            'sequence_order' => $order
+                        ]);
+                    }
+
+                    if ($response['is_preferred']) {
+                        $this->aiResponseModel->setPreferred($storedResponse['id'], true);
+                    }
+                    if ($response['rating'] !== null || $response['feedback_text'] !== null) {
+                        $this->feedbackModel->upsert($userId, $storedResponse['id'], [
+                            'rating' => $response['rating'],
+                            'feedback_text' => $response['feedback_text']
+                        ]);
+                    }
+                    $responseCount++;
+                }
+            }
+
+            $this->db->commit();
+
+        } catch (Exception $e) {
+            $this->db->rollback();
+
+            $duration = round((microtime(true) - $startTime) * 1000, 2);
+            Logger::error("Session import failed", [
+                'error' => $e->getMessage(),
+                'user_id' => $userId,
+                'duration_ms' => $duration
+            ]);
+            throw $e;
+        }
+
+        $duration = round((microtime(true) - $startTime) * 1000, 2);
+        Logger::info("Session imported", [
+            'session_id' => $session['id'],
+            'user_id' => $userId,
+            'model_count' => count($modelIds),
+            'prompt_count' => count($prompts),
+            'response_count' => $responseCount,
+            'duration_ms' => $duration
+        ]);
+
+        return [
+            'session' => $this->chatSessionModel->getById($session['id']),
+            'model_count' => count($modelIds),
+            'prompt_count' => count($prompts),
+            'response_count' => $responseCount
+        ];
+    }
+
+    private function normalizeTitle($title) {
+        $title = trim((string)$title);
+        if ($title === '') {
+            return 'Imported session';
+        }
+
+        return mb_substr($title, 0, self::MAX_TITLE_LENGTH);
+    }
+
+    /**
+     * Every model must exist and be active here, and appear only once
+     */
+    private function validateModels($models) {
+        if (!is_array($models) || empty($models)) {
+            throw new InvalidArgumentException("At least one model is required");
+        }
+        if (count($models) > self::MAX_MODELS) {
+            throw new InvalidArgumentException("A session can hold at most " . self::MAX_MODELS . " models");
+        }
+
+        $modelIds = [];
+        foreach ($models as $modelId) {
+            $model = is_string($modelId) ? $this->aiModelModel->getById($modelId) : null;
+            if (!$model || !$model['is_active']) {
+                throw new InvalidArgumentException("Unknown model: " . (is_string($modelId) ? $modelId : 'invalid id'));
+            }
+            if (in_array($model['id'], $modelIds, true)) {
+                throw new InvalidArgumentException("Model listed twice: " . $model['id']);
+            }
+            $modelIds[] = $model['id'];
+        }
+
+        return $modelIds;
+    }
+
+    /**
+     * Check the shape of each prompt and response and normalise the values
+     * that are stored
+     */
+    private function validatePrompts($prompts, $modelIds) {
+        if (!is_array($prompts)) {
+            throw new InvalidArgumentException("prompts must be a list");
+        }
+        if (count($prompts) > self::MAX_PROMPTS) {
+            throw new InvalidArgumentException("At most " . self::MAX_PROMPTS . " prompts can be imported");
+        }
+
+        $normalized = [];
+        foreach (array_values($prompts) as $index => $prompt) {
+            $position = $index + 1;
+            if (!is_array($prompt) || !isset($prompt['content']) || !is_string($prompt['content']) || trim($prompt['content']) === '') {
+                throw new InvalidArgumentException("Prompt {$position} has no content");
+            }
+
+            $responses = [];
+            $answered = [];
+            foreach ($prompt['responses'] ?? [] as $response) {
+                if (!is_array($response) || !isset($response['content']) || !is_string($response['content'])) {
+                    throw new InvalidArgumentException("Prompt {$position} has a response without content");
+                }
+                $modelId = $response['model_id'] ?? null;
+                if (!in_array($modelId, $modelIds, true)) {
+                    throw new InvalidArgumentException("Prompt {$position} has a response from a model not in the session");
+                }
+                if (isset($answered[$modelId])) {
+                    throw new InvalidArgumentException("Prompt {$position} has two responses from the same model");
+                }
+                $answered[$modelId] = true;
+
+                $rating = $this->nullableInt($response['rating'] ?? null);
+                if ($rating !== null && ($rating < 1 || $rating > 5)) {
+                    throw new InvalidArgumentException("Prompt {$position} has a rating outside 1-5");
+                }
+
+                $feedbackText = isset($response['feedback_text']) ? trim((string)$response['feedback_text']) : '';
+
+                $responses[] = [
+                    'model_id' => $modelId,
+                    'content' => $response['content'],
+                    'output_tokens' => $this->nullableInt($response['output_tokens'] ?? null) ?? 0,
+                    'generation_time_ms' => $this->nullableInt($response['generation_time_ms'] ?? null),
+                    'input_tokens' => $this->nullableInt($response['input_tokens'] ?? null),
+                    'cost' => isset($response['cost']) && is_numeric($response['cost']) ? (float)$response['cost'] : null,
+                    'created_at' => $this->normalizeTimestamp($response['created_at'] ?? null),
+                    'follow_up_suggestions' => $this->normalizeFollowUps($response['follow_up_suggestions'] ?? null, $position),
+                    'source_citations' => $this->normalizeCitations($response['source_citations'] ?? null, $position),
+                    'thinking_traces' => $this->normalizeTraces($response['thinking_traces'] ?? null, $position),
+                    'is_preferred' => !empty($response['is_preferred']),
+                    'rating' => $rating,
+                    'feedback_text' => $feedbackText !== '' ? $feedbackText : null
+                ];
+            }
+
+            // Prompts without answers are hidden from the thread, so skip them
+            if (empty($responses)) {
+                continue;
+            }
+
+            $normalized[] = [
+                'content' => $prompt['content'],
+                'input_tokens' => $this->nullableInt($prompt['input_tokens'] ?? null) ?? 0,
+                'created_at' => $this->normalizeTimestamp($prompt['created_at'] ?? null),
+                'responses' => $responses
+            ];
+        }
+
+        return $normalized;
+    }
+
+    /**
+     * Suggested next prompts, kept as ChatService stores them: trimmed,
+     * without blanks or repeats, at most MAX_FOLLOW_UPS
+     */
+    private function normalizeFollowUps($followUps, $position) {
+        if ($followUps === null) {
+            return [];
+        }
+        if (!is_array($followUps)) {
+            throw new InvalidArgumentException("Prompt {$position} has malformed follow-up suggestions");
+        }
+
+        $suggestions = [];
+        foreach ($followUps as $item) {
+            $text = is_string($item) ? trim($item) : '';
+            if ($text !== '' && !in_array($text, $suggestions, true)) {
+                $suggestions[] = $text;
+            }
+        }
+
+        return array_slice($suggestions, 0, self::MAX_FOLLOW_UPS);
+    }
+
+    /**
+     * Sources as [{title, url}]. Entries without a usable URL keep their
+     * place so the answer's [n] markers still line up, as in ChatService.
+     */
+    private function normalizeCitations($citations, $position) {
+        if ($citations === null) {
+            return [];
+        }
+        if (!is_array($citations)) {
+            throw new InvalidArgumentException("Prompt {$position} has malformed citations");
+        }
+
+        $normalized = [];
+        foreach (array_slice(array_values($citations), 0, self::MAX_CITATIONS) as $item) {
+            $url = is_string($item) ? $item : (is_array($item) ? ($item['url'] ?? null) : null);
+            $title = is_array($item) ? ($item['title'] ?? null) : null;
+            $normalized[] = [
+                'title' => is_string($title) && trim($title) !== '' ? trim($title) : null,
+                'url' => is_string($url) && preg_match('#^https?://#i', $url) ? $url : null
+            ];
+        }
+
+        return $normalized;
+    }
+
+    /**
+     * Thinking traces in their stored order, each with a type and content
+     */
+    private function normalizeTraces($traces, $position) {
+        if ($traces === null) {
+            return [];
+        }
+        if (!is_array($traces) || count($traces) > self::MAX_TRACES) {
+            throw new InvalidArgumentException("Prompt {$position} has malformed thinking traces");
+        }
+
+        $normalized = [];
+        foreach ($traces as $trace) {
+            $content = is_array($trace) && is_string($trace['content'] ?? null) ? trim($trace['content']) : '';
+            if ($content === '') {
+                throw new InvalidArgumentException("Prompt {$position} has a thinking trace without content");
+            }
+
+            $type = is_string($trace['trace_type'] ?? null) ? trim($trace['trace_type']) : '';
+            $normalized[] = [
+                'trace_type' => $type !== '' ? mb_substr($type, 0, self::MAX_TRACE_TYPE_LENGTH) : 'reasoning',
+                'content' => $content
+            ];
+        }
+
+        return $normalized;
+    }
+
+    private function nullableInt($value) {
+        return is_numeric($value) ? (int)$value : null;
+    }
+
+    /**
+     * Keep the exported time so the history stays in order; anything
+     * unparseable falls back to the insert time
+     */
+    private function normalizeTimestamp($value) {
+        $time = is_string($value) ? strtotime($value) : false;
+
+        return $time !== false ? date('Y-m-d H:i:s', $time) : null;
+    }
+}
+?>
\ No newline at end of file
@@ -0,0 +1,119 @@
+<?php
+class SessionMetadataService {
+    private $db;
+    private $chatSessionModel;
+    private $metadataModel;
+
+    const MAX_TAGS = 20;
+    const MAX_TAG_LENGTH = 40;
+
+    public function __construct($db) {
+        $this->db = $db;
+        $this->chatSessionModel = new ChatSession($db);
+        $this->metadataModel = new ConversationMetadata($db);
+
+        Logger::debug("SessionMetadataService initialized");
+    }
+
+    /**
+     * Get tags, category and pin state for a session the user owns
+     */
+    public function getMetadata($sessionId, $userId) {
+        $this->getOwnedSession($sessionId, $userId);
+
+        return $this->format($sessionId, $this->metadataModel->getBySessionId($sessionId));
+    }
+
+    /**
+     * Update any of tags, category and pinned for a session the user owns
+     */
+    public function updateMetadata($sessionId, $userId, $data) {
+        $this->getOwnedSession($sessionId, $userId);
+
+        $changes = [];
+
+        if (array_key_exists('tags', $data)) {
+            $changes['tags'] = $this->normalizeTags($data['tags']);
+        }
+
+        if (array_key_exists('category', $data)) {
+            $category = trim((string)$data['category']);
+            $changes['category'] = $category !== '' ? $category : null;
+        }
+
+        if (array_key_exists('pinned', $data)) {
+            $changes['pinned'] = (bool)$data['pinned'];
+        }
+
+        $row = $this->metadataModel->upsert($sessionId, $changes);
+
+        return $this->format($sessionId, $row);
+    }
+
+    /**
+     * Tags across all of the user's sessions, for filtering
+     */
+    public function getTags($userId) {
+        return $this->metadataModel->getTagsForUser($userId);
+    }
+
+    /**
+     * Trim, drop empties and case-insensitive duplicates, and enforce limits
+     */
+    private function normalizeTags($tags) {
+        if (!is_array($tags)) {
+            throw new InvalidArgumentException("Tags must be a list");
+        }
+
+        $normalized = [];
+        foreach ($tags as $tag) {
+            if (!is_string($tag)) {
+                throw new InvalidArgumentException("Tags must be strings");
+            }
+
+            $tag = trim($tag);
+            if ($tag === '') {
+                continue;
+            }
+            // Tag filters are sent comma-separated
+            if (strpos($tag, ',') !== false) {
+                throw new InvalidArgumentException("Tags cannot contain commas");
+            }
+            if (mb_strlen($tag) > self::MAX_TAG_LENGTH) {
+                throw new InvalidArgumentException("Tags must be at most " . self::MAX_TAG_LENGTH . " characters");
+            }
+
+            $normalized[mb_strtolower($tag)] = $tag;
+        }
+
+        if (count($normalized) > self::MAX_TAGS) {
+            throw new InvalidArgumentException("A session can have at most " . self::MAX_TAGS . " tags");
+        }
+
+        return array_values($normalized);
+    }
+
+    private function format($sessionId, $row) {
+        return [
+            'session_id' => $sessionId,
+            'tags' => $row['tags'] ?? [],
+            'category' => $row['category'] ?? null,
+            'pinned' => !empty($row['is_pinned'])
+        ];
+    }
+
+    private function getOwnedSession($sessionId, $userId) {
+        $session = $this->chatSessionModel->getById($sessionId);
+
+        if (!$session) {
+            throw new InvalidArgumentException("Session not found");
+        }
+
+        if ($session['user_id'] !== $userId) {
+            throw new InvalidArgumentException("Access denied");
+        }
+
+        return $session;
+    }
+}
+?>
\ No newline at end of file
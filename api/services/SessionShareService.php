@@ -0,0 +1,171 @@
+<?php
+class SessionShareService {
+    private $db;
+    private $chatSessionModel;
+    private $shareModel;
+    private $aiResponseModel;
+    private $chatService;
+
+    const SCOPES = ['public', 'team'];
+    const MAX_EXPIRY_DAYS = 365;
+    // Upper bound on thread rows returned to a shared view
+    const MAX_SHARED_MESSAGES = 5000;
+
+    public function __construct($db) {
+        $this->db = $db;
+        $this->chatSessionModel = new ChatSession($db);
+        $this->shareModel = new SessionShare($db);
+        $this->aiResponseModel = new AIResponse($db);
+        $this->chatService = new ChatService($db);
+
+        Logger::debug("SessionShareService initialized");
+    }
+
+    /**
+     * Create a read-only link to a session the user owns. Without
+     * $expiresInDays the link lasts until it is revoked.
+     */
+    public function createShare($sessionId, $userId, $scope = 'public', $expiresInDays = null) {
+        $this->getOwnedSession($sessionId, $userId);
+
+        if (!in_array($scope, self::SCOPES, true)) {
+            throw new InvalidArgumentException("Scope must be public or team");
+        }
+        if ($expiresInDays !== null && ($expiresInDays < 1 || $expiresInDays > self::MAX_EXPIRY_DAYS)) {
+            throw new InvalidArgumentException("Links can expire after 1 to " . self::MAX_EXPIRY_DAYS . " days");
+        }
+
+        $share = $this->shareModel->create([
+            'session_id' => $sessionId,
+            'user_id' => $userId,
+            'scope' => $scope,
+            'expires_at' => $expiresInDays !== null
+                ? date('Y-m-d H:i:s', strtotime("+{$expiresInDays} days"))
+                : null
+        ]);
+
+        return $this->format($share);
+    }
+
+    /**
+     * Links for a session that still work
+     */
+    public function listShares($sessionId, $userId) {
+        $this->getOwnedSession($sessionId, $userId);
+
+        return array_map([$this, 'format'], $this->shareModel->getActiveBySessionId($sessionId));
+    }
+
+    /**
+     * Revoke a link; it stops working immediately
+     */
+    public function revokeShare($shareId, $userId) {
+        $share = $this->shareModel->getById($shareId);
+        if (!$share || $share['user_id'] !== $userId) {
+            throw new InvalidArgumentException("Share link not found");
+        }
+
+        return $this->format($this->shareModel->revoke($shareId));
+    }
+
+    /**
+     * The shared session for a token: title, models and the conversation
+     * without anything private to the owner (metadata, feedback, user ids).
+     * $viewerId is the signed-in viewer, if any, for team links.
+     */
+    public function getSharedSession($token, $viewerId = null) {
+        $share = is_string($token) && $token !== '' ? $this->shareModel->getByToken($token) : null;
+        if (!$share) {
+            throw new InvalidArgumentException("Share link not found", 404);
+        }
+        if ($share['revoked_at'] !== null || ($share['expires_at'] !== null && strtotime($share['expires_at']) <= time())) {
+            throw new InvalidArgumentException("This share link has expired or been revoked", 410);
+        }
+        if ($share['scope'] === 'team' && $viewerId !== $share['user_id']) {
+            if ($viewerId === null) {
+                throw new InvalidArgumentException("Sign in to view this team link", 403);
+            }
+            if (!$this->shareModel->shareOrganization($share['user_id'], $viewerId)) {
+                throw new InvalidArgumentException("This link is shared with the owner's team only", 403);
+            }
+        }
+
+        $session = $this->chatSessionModel->getById($share['session_id']);
+        if (!$session) {
+            throw new InvalidArgumentException("Share link not found", 404);
+        }
+
+        $this->shareModel->recordView($share['id']);
+
+        $models = array_map(function($model) {
+            return [
+                'model_id' => $model['model_id'],
+                'model_name' => $model['model_name'],
+                'model_name_full' => $model['model_name_full'],
+                'provider' => $model['provider'],
+                'is_visible' => $model['is_visible'],
+                'display_order' => (int)$model['display_order']
+            ];
+        }, $this->chatService->getSessionModels($session['id'], $share['user_id']));
+
+        $messages = array_map(function($row) {
+            return [
+                'type' => $row['type'],
+                'id' => $row['id'],
+                'prompt_id' => $row['prompt_id'],
+                'model_id' => $row['model_id'],
+                'content' => $row['content'],
+                'input_tokens' => $row['input_tokens'],
+                'output_tokens' => $row['output_tokens'],
+                'generation_time_ms' => $row['generation_time_ms'],
+                'cost' => $row['cost'],
+                'follow_up_suggestions' => $row['follow_up_suggestions'],
+                'source_citations' => $row['source_citations'],
+                'created_at' => $row['created_at']
+            ];
+        }, $this->aiResponseModel->getConversationThread($session['id'], self::MAX_SHARED_MESSAGES));
+
+        return [
+            'share' => [
+                'scope' => $share['scope'],
+                'expires_at' => $share['expires_at']
+            ],
+            'session' => [
+                'title' => $session['title'],
+                'created_at' => $session['created_at'],
+                'last_message_at' => $session['last_message_at']
+            ],
+            'models' => $models,
+            'messages' => $messages
+        ];
+    }
+
+    private function format($share) {
+        return [
+            'id' => $share['id'],
+            'session_id' => $share['session_id'],
+            'token' => $share['token'],
+            'scope' => $share['scope'],
+            'expires_at' => $share['expires_at'],
+            'revoked_at' => $share['revoked_at'],
+            'view_count' => (int)$share['view_count'],
+            'last_viewed_at' => $share['last_viewed_at'],
+            'created_at' => $share['created_at']
+        ];
+    }
+
+    private function getOwnedSession($sessionId, $userId) {
+        $session = $this->chatSessionModel->getById($sessionId);
+
+        if (!$session) {
+            throw new InvalidArgumentException("Session not found");
+        }
+
+        if ($session['user_id'] !== $userId) {
+            throw new InvalidArgumentException("Access denied");
+        }
+
+        return $session;
+    }
+}
+?>
\ No newline at end of file
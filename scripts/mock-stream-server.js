@@ -0,0 +1,103 @@
+// Local stand-in for `POST sessions/{id}/models/{modelId}/chat` that streams
+// its answer in chunks, for exercising the client's streaming mode.
+//
+//   MOCK_STREAM_MODE=sse|text|json MOCK_STREAM_PORT=4010 npm run mock:stream
+//
+// Point the client at it with VITE_API_BASE_URL=http://localhost:4010/ and
+// VITE_CHAT_STREAMING=true. `json` answers with a buffered body to exercise
+// the fallback path.
+import http from "node:http";
+
+const PORT = Number(process.env.MOCK_STREAM_PORT || 4010);
+const MODE = process.env.MOCK_STREAM_MODE || "sse";
+const CHUNK_DELAY_MS = Number(process.env.MOCK_STREAM_DELAY_MS || 60);
+
+const CHAT_ROUTE = /^\/sessions\/([^/]+)\/models\/([^/]+)\/chat$/;
+
+const answerFor = (modelId, prompt) =>
+  `**${modelId}** received: _${prompt}_\n\n` +
+  "Here is a streamed code sample:\n\n" +
+  "```js\nconst sum = (a, b) => a + b;\nconsole.log(sum(2, 3));\n```\n\n" +
+  "- first point\n- second point\n\nDone.";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET, POST, PUT, DELETE, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type, Authorization, Accept",
+};
+
+const readBody = (req) =>
+  new Promise((resolve) => {
+    let raw = "";
+    req.on("data", (chunk) => (raw += chunk));
+    req.on("end", () => {
+      try {
+        resolve(JSON.parse(raw || "{}"));
+      } catch {
+        resolve({});
+      }
+    });
+  });
+
+const envelope = (content) => ({
+  success: true,
+  message: "Chat completed successfully.",
+  data: {
+    response: {
+      id: `mock-${Date.now()}`,
+      content,
+      output_tokens: content.split(/\s+/).length,
+      created_at: new Date().toISOString(),
+    },
+  },
+});
+
+const server = http.createServer(async (req, res) => {
+  if (req.method === "OPTIONS") {
+    res.writeHead(204, corsHeaders);
+    res.end();
+    return;
+  }
+
+  const match = req.method === "POST" && CHAT_ROUTE.exec(req.url);
+  if (!match) {
+    res.writeHead(404, { ...corsHeaders, "Content-Type": "application/json" });
+    res.end(JSON.stringify({ success: false, message: "Resource not found" }));
+    return;
+  }
+
+  const body = await readBody(req);
+  const content = answerFor(match[2], body.content || "");
+  const tokens = content.match(/\S+\s*|\s+/g) || [];
+
+  if (MODE === "json") {
+    await sleep(CHUNK_DELAY_MS * tokens.length);
+    res.writeHead(200, { ...corsHeaders, "Content-Type": "application/json" });
+    res.end(JSON.stringify(envelope(content)));
+    return;
+  }
+
+  const isSse = MODE === "sse";
+  res.writeHead(200, {
+    ...corsHeaders,
+    "Content-Type": isSse ? "text/event-stream" : "text/plain; charset=utf-8",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+
+  for (const token of tokens) {
+    res.write(isSse ? `data: ${JSON.stringify({ token })}\n\n` : token);
+    await sleep(CHUNK_DELAY_MS);
+  }
+
+  if (isSse) {
+    res.write(`event: done\ndata: ${JSON.stringify(envelope(content))}\n\n`);
+  }
+  res.end();
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock stream server (${MODE}) on http://localhost:${PORT}`);
+});
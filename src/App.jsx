@@ -12,34 +12,27 @@ import ChangePassword from "./pages/ChangePassword";
 import ResetPassword from "./pages/ResetPassword";
 import { AuthProvider, AuthContext } from "./guards/context/AuthContext";
 import { ToastContainer } from "react-toastify";
-import { sessionService } from "./services/chat/session/SessionService";
 import UpgradePlan from "./pages/UpgradePlan";
+import SharedSession from "./pages/SharedSession";
+import Leaderboard from "./pages/Leaderboard";
+import { sortSessions } from "./utils/sessionGroups";
 
 const AppContent = () => {
   const location = useLocation();
   const { token } = useContext(AuthContext);
 
   const noLayoutRoutes = ["/login", "/signup", "/forgot-password", "/reset-password"];
-  const hideLayout = noLayoutRoutes.includes(location.pathname);
+  // Share links open as a standalone read-only page, signed in or not.
+  const hideLayout =
+    noLayoutRoutes.includes(location.pathname) ||
+    location.pathname.startsWith("/shared/");
 
   const [sessionData, setSessionData] = useState(null);
   const [sessionMessages, setSessionMessages] = useState([]);
   const [sessionModels, setSessionModels] = useState([]);
   const [sessions, setSessions] = useState([]);
 
-  useEffect(() => {
-    if (!token) return;
-
-    const loadSessions = async () => {
-      const res = await sessionService.getSessions();
-      if (res.ok) {
-        setSessions(res.data.data.sessions);
-      }
-    };
-
-    loadSessions();
-  }, [token]);
-
+  // Sidebar loads the session list itself, page by page, for its filters.
   useEffect(() => {
     if (!token) {
       setSessionData(null);
@@ -50,7 +43,7 @@ const AppContent = () => {
   }, [token]);
 
   const handleSessionCreated = (newSession) => {
-    setSessions((prev) => [newSession, ...prev]);
+    setSessions((prev) => sortSessions([newSession, ...prev]));
   };
 
   return (
@@ -81,6 +74,7 @@ const AppContent = () => {
           <Route path="/signup" element={<Signup />} />
           <Route path="/forgot-password" element={<ForgotPassword />} />
           <Route path="/reset-password" element={<ResetPassword />} />
+          <Route path="/shared/:token" element={<SharedSession />} />
 
           <Route
             path="/dashboard"
@@ -118,6 +112,14 @@ const AppContent = () => {
               </AuthGuard>
             }
           />
+          <Route
+            path="/leaderboard"
+            element={
+              <AuthGuard>
+                <Leaderboard />
+              </AuthGuard>
+            }
+          />
           <Route
             path="/upgrade"
             element={
@@ -12,7 +12,8 @@ import {
   faHistory,
   faQuestionCircle,
   faSignOutAlt,
-  faKey
+  faKey,
+  faTrophy
 } from "@fortawesome/free-solid-svg-icons";
 
 import "../styles/Header.css";
@@ -51,6 +52,9 @@ const Header = () => {
               <li><a href="#"><FontAwesomeIcon icon={faBookmark} /> Saved Comparisons</a></li>
               <li><a href="#"><FontAwesomeIcon icon={faHistory} /> History</a></li>
               <li><a href="#"><FontAwesomeIcon icon={faQuestionCircle} /> Help & Support</a></li>
+              <li onClick={() => navigate("/leaderboard")}>
+                <FontAwesomeIcon icon={faTrophy} /> Model Leaderboard
+              </li>
               <li onClick={() => navigate("/change-password")}>
                 <FontAwesomeIcon icon={faKey} /> Change Password
               </li>
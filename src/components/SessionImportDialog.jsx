@@ -0,0 +1,119 @@
+import React, { useState } from "react";
+import "../styles/ConfirmDialog.css";
+import {
+  buildImportPayload,
+  duplicateMappings,
+  matchModels,
+  summarizeExport,
+} from "../utils/sessionImport";
+
+// Preview of a parsed session export before it's recreated. Each exported
+// model is matched to one on this instance where possible; the rest can be
+// mapped by hand or skipped. `onImport(payload)` resolves to true once the
+// session exists.
+const SessionImportDialog = ({ data, catalog, onImport, onCancel }) => {
+  const [title, setTitle] = useState(data.session.title);
+  const [mapping, setMapping] = useState(() => matchModels(data.models, catalog));
+  const [importing, setImporting] = useState(false);
+
+  const { turns, answers } = summarizeExport(data);
+  const duplicates = duplicateMappings(mapping);
+  const mappedCount = Object.values(mapping).filter(Boolean).length;
+  const unmatched = data.models.filter(
+    (m) => !catalog.some((c) => String(c.id) === String(m.model_id))
+  );
+  const canImport = mappedCount > 0 && duplicates.size === 0 && !importing;
+
+  const handleImport = async () => {
+    setImporting(true);
+    const imported = await onImport(buildImportPayload(data, mapping, title));
+    setImporting(false);
+    if (imported) onCancel();
+  };
+
+  return (
+    <div className="confirm-overlay" onClick={onCancel}>
+      <div
+        className="confirm-dialog import-dialog"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <h3 className="confirm-title">Import session</h3>
+
+        <label className="metadata-field">
+          Title
+          <input
+            value={title}
+            maxLength={255}
+            onChange={(e) => setTitle(e.target.value)}
+          />
+        </label>
+
+        <p className="import-summary">
+          {turns} {turns === 1 ? "prompt" : "prompts"} · {data.models.length}{" "}
+          {data.models.length === 1 ? "model" : "models"}
+          {data.exported_at &&
+            ` · exported ${new Date(data.exported_at).toLocaleString()}`}
+        </p>
+
+        {unmatched.length > 0 && (
+          <p className="import-warning">
+            {unmatched.length === 1 ? "1 model isn't" : `${unmatched.length} models aren't`}{" "}
+            available here. Map {unmatched.length === 1 ? "it" : "them"} to another model
+            or skip {unmatched.length === 1 ? "its" : "their"} answers.
+          </p>
+        )}
+
+        <ul className="import-models">
+          {data.models.map((m) => (
+            <li
+              key={m.model_id}
+              className={duplicates.has(m.model_id) ? "import-model-conflict" : ""}
+            >
+              <span className="import-model-name">
+                {m.model_name_full || m.model_name || m.model_id}
+                <small>
+                  {answers[m.model_id] || 0} answers
+                  {m.provider ? ` · ${m.provider}` : ""}
+                </small>
+              </span>
+              <select
+                value={mapping[m.model_id]}
+                onChange={(e) =>
+                  setMapping((prev) => ({ ...prev, [m.model_id]: e.target.value }))
+                }
+              >
+                <option value="">Skip</option>
+                {catalog.map((c) => (
+                  <option key={c.id} value={String(c.id)}>
+                    {c.name}
+                    {c.provider ? ` (${c.provider})` : ""}
+                  </option>
+                ))}
+              </select>
+            </li>
+          ))}
+        </ul>
+
+        {duplicates.size > 0 && (
+          <p className="import-warning">
+            Two models are mapped to the same one. Pick a different model or skip one.
+          </p>
+        )}
+        {mappedCount === 0 && (
+          <p className="import-warning">Map at least one model to import.</p>
+        )}
+
+        <div className="confirm-actions">
+          <button className="btn-cancel" onClick={onCancel}>
+            Cancel
+          </button>
+          <button className="btn-confirm" onClick={handleImport} disabled={!canImport}>
+            {importing ? "Importing…" : "Import"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SessionImportDialog;
@@ -0,0 +1,120 @@
+import React, { useState } from "react";
+import "../styles/ConfirmDialog.css";
+
+// Editor for a session's category and tags. `knownTags` and
+// `knownCategories` feed the suggestions; `onSave({ tags, category })`
+// resolves to true once stored.
+const SessionMetadataDialog = ({
+  session,
+  knownTags = [],
+  knownCategories = [],
+  onSave,
+  onCancel,
+}) => {
+  const [category, setCategory] = useState(session.category || "");
+  const [tags, setTags] = useState(session.tags || []);
+  const [tagInput, setTagInput] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  const addTag = (raw) => {
+    const tag = raw.replace(/,/g, "").trim();
+    setTagInput("");
+    if (!tag || tags.some((t) => t.toLowerCase() === tag.toLowerCase())) return;
+    setTags([...tags, tag]);
+  };
+
+  const removeTag = (tag) => setTags(tags.filter((t) => t !== tag));
+
+  const handleTagKey = (e) => {
+    if (e.key === "Enter" || e.key === ",") {
+      e.preventDefault();
+      addTag(tagInput);
+    } else if (e.key === "Backspace" && !tagInput && tags.length > 0) {
+      removeTag(tags[tags.length - 1]);
+    }
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    // A tag still in the input counts, so Save doesn't silently drop it.
+    const pending = tagInput.replace(/,/g, "").trim();
+    const finalTags =
+      pending && !tags.some((t) => t.toLowerCase() === pending.toLowerCase())
+        ? [...tags, pending]
+        : tags;
+    const saved = await onSave({ tags: finalTags, category: category.trim() });
+    setSaving(false);
+    if (saved) onCancel();
+  };
+
+  return (
+    <div className="confirm-overlay" onClick={onCancel}>
+      <div
+        className="confirm-dialog metadata-dialog"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <h3 className="confirm-title">Organise "{session.title}"</h3>
+
+        <label className="metadata-field">
+          Category
+          <input
+            list="session-categories"
+            value={category}
+            placeholder="e.g. Literature review"
+            maxLength={100}
+            onChange={(e) => setCategory(e.target.value)}
+          />
+          <datalist id="session-categories">
+            {knownCategories.map((c) => (
+              <option key={c} value={c} />
+            ))}
+          </datalist>
+        </label>
+
+        <label className="metadata-field">
+          Tags
+          <div className="tag-editor">
+            {tags.map((tag) => (
+              <span className="session-tag" key={tag}>
+                {tag}
+                <button
+                  type="button"
+                  onClick={() => removeTag(tag)}
+                  aria-label={`Remove tag ${tag}`}
+                >
+                  ×
+                </button>
+              </span>
+            ))}
+            <input
+              list="session-tags"
+              value={tagInput}
+              placeholder={tags.length === 0 ? "Add a tag and press Enter" : ""}
+              maxLength={40}
+              onChange={(e) => setTagInput(e.target.value)}
+              onKeyDown={handleTagKey}
+            />
+            <datalist id="session-tags">
+              {knownTags
+                .filter((t) => !tags.includes(t))
+                .map((t) => (
+                  <option key={t} value={t} />
+                ))}
+            </datalist>
+          </div>
+        </label>
+
+        <div className="confirm-actions">
+          <button className="btn-cancel" onClick={onCancel}>
+            Cancel
+          </button>
+          <button className="btn-confirm" onClick={handleSave} disabled={saving}>
+            {saving ? "Saving…" : "Save"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SessionMetadataDialog;
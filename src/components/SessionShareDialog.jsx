@@ -0,0 +1,134 @@
+import React, { useEffect, useState } from "react";
+import { toast } from "react-toastify";
+import "../styles/ConfirmDialog.css";
+import { sessionShareService } from "../services/chat/session/SessionShareService";
+
+const EXPIRY_OPTIONS = [
+  { days: "", label: "Never" },
+  { days: "1", label: "1 day" },
+  { days: "7", label: "7 days" },
+  { days: "30", label: "30 days" },
+  { days: "90", label: "90 days" },
+];
+
+const shareUrl = (token) => `${window.location.origin}/shared/${token}`;
+
+// Creates and revokes read-only links to a session. Public links open for
+// anyone; team links only for signed-in members of the owner's organization.
+const SessionShareDialog = ({ session, onCancel }) => {
+  const [shares, setShares] = useState(null);
+  const [scope, setScope] = useState("public");
+  const [expiryDays, setExpiryDays] = useState("");
+  const [creating, setCreating] = useState(false);
+
+  useEffect(() => {
+    sessionShareService.getShares(session.id).then((res) => {
+      if (res.ok) setShares(res.data.data.shares);
+      else setShares([]);
+    });
+  }, [session.id]);
+
+  const copyLink = async (share) => {
+    try {
+      await navigator.clipboard.writeText(shareUrl(share.token));
+      toast.success("Link copied");
+    } catch {
+      toast.error("Could not copy the link");
+    }
+  };
+
+  const handleCreate = async () => {
+    setCreating(true);
+    const res = await sessionShareService.createShare(session.id, {
+      scope,
+      ...(expiryDays ? { expires_in_days: Number(expiryDays) } : {}),
+    });
+    setCreating(false);
+
+    if (!res.ok) {
+      toast.error(res.error?.message || "Could not create a share link");
+      return;
+    }
+    const { share } = res.data.data;
+    setShares((prev) => [share, ...(prev || [])]);
+    copyLink(share);
+  };
+
+  const handleRevoke = async (share) => {
+    const res = await sessionShareService.revokeShare(share.id);
+    if (!res.ok) {
+      toast.error(res.error?.message || "Could not revoke the link");
+      return;
+    }
+    setShares((prev) => prev.filter((s) => s.id !== share.id));
+  };
+
+  return (
+    <div className="confirm-overlay" onClick={onCancel}>
+      <div
+        className="confirm-dialog share-dialog"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <h3 className="confirm-title">Share "{session.title}"</h3>
+
+        <div className="share-form">
+          <label>
+            Who can open it
+            <select value={scope} onChange={(e) => setScope(e.target.value)}>
+              <option value="public">Anyone with the link</option>
+              <option value="team">My team (signed in)</option>
+            </select>
+          </label>
+          <label>
+            Expires after
+            <select value={expiryDays} onChange={(e) => setExpiryDays(e.target.value)}>
+              {EXPIRY_OPTIONS.map(({ days, label }) => (
+                <option key={label} value={days}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <button className="btn-confirm" onClick={handleCreate} disabled={creating}>
+            {creating ? "Creating…" : "Create link"}
+          </button>
+        </div>
+
+        {shares === null ? (
+          <p className="share-empty">Loading links…</p>
+        ) : shares.length === 0 ? (
+          <p className="share-empty">No active links. Links are read-only.</p>
+        ) : (
+          <ul className="share-list">
+            {shares.map((share) => (
+              <li key={share.id}>
+                <input readOnly value={shareUrl(share.token)} onFocus={(e) => e.target.select()} />
+                <span className="share-details">
+                  {share.scope === "team" ? "Team" : "Public"} ·{" "}
+                  {share.expires_at
+                    ? `expires ${new Date(share.expires_at).toLocaleDateString()}`
+                    : "no expiry"}{" "}
+                  · {share.view_count} {share.view_count === 1 ? "view" : "views"}
+                </span>
+                <div className="share-actions">
+                  <button onClick={() => copyLink(share)}>Copy</button>
+                  <button className="share-revoke" onClick={() => handleRevoke(share)}>
+                    Revoke
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <div className="confirm-actions">
+          <button className="btn-cancel" onClick={onCancel}>
+            Done
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SessionShareDialog;
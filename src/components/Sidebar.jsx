@@ -1,10 +1,52 @@
-import React, { useState } from "react";
+import React, { useEffect, useRef, useState } from "react";
 import { FontAwesomeIcon } from "@fortawesome/react-fontawesome";
-import { faPlus, faEllipsisV } from "@fortawesome/free-solid-svg-icons";
+import {
+  faPlus,
+  faEllipsisV,
+  faFilter,
+  faThumbtack,
+  faFileImport,
+} from "@fortawesome/free-solid-svg-icons";
+import { toast } from "react-toastify";
 import "../styles/Sidebar.css";
 import { sessionService } from "../services/chat/session/SessionService";
+import { sessionMetadataService } from "../services/chat/session/SessionMetadataService";
+import { chatService } from "../services/chat/ChatService";
+import { feedbackService } from "../services/chat/feedback/FeedbackService";
+import { attachFeedback } from "../utils/responseFeedback";
+import { groupSessionsByDate, sortSessions } from "../utils/sessionGroups";
 import { useNavigate } from "react-router-dom";
 import ConfirmDialog from "../components/Common/ConfirmDialog";
+import SessionMetadataDialog from "./SessionMetadataDialog";
+import SessionImportDialog from "./SessionImportDialog";
+import SessionShareDialog from "./SessionShareDialog";
+import { parseSessionExport } from "../utils/sessionImport";
+
+const PAGE_SIZE = 30;
+const SEARCH_DEBOUNCE_MS = 300;
+// Distance from the bottom of the panel at which the next page is fetched.
+const LOAD_MORE_THRESHOLD_PX = 80;
+
+const EMPTY_FILTERS = { from: "", to: "", modelIds: [], tags: [] };
+
+const fetchSessions = (search, filters, page) =>
+  sessionService.getSessions({
+    q: search,
+    from: filters.from,
+    to: filters.to,
+    model_ids: filters.modelIds,
+    tags: filters.tags,
+    page,
+    limit: PAGE_SIZE,
+  });
+
+// Appends a page, skipping sessions already listed (the list can shift
+// while scrolling when sessions are created or deleted).
+const mergePage = (prev, rows, page) => {
+  if (page === 1) return rows;
+  const known = new Set(prev.map((s) => s.id));
+  return [...prev, ...rows.filter((s) => !known.has(s.id))];
+};
 
 const Sidebar = ({ sessions, setSessions, onSessionChange }) => {
   const [openMenu, setOpenMenu] = useState(null);
@@ -17,8 +59,133 @@ const Sidebar = ({ sessions, setSessions, onSessionChange }) => {
 
   const [deleteTarget, setDeleteTarget] = useState(null);
 
+  const [query, setQuery] = useState("");
+  const [search, setSearch] = useState("");
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [showFilters, setShowFilters] = useState(false);
+  const [filterModels, setFilterModels] = useState([]);
+  const [knownTags, setKnownTags] = useState([]);
+  const [metadataTarget, setMetadataTarget] = useState(null);
+  const [importData, setImportData] = useState(null);
+  const [shareTarget, setShareTarget] = useState(null);
+  const importInput = useRef(null);
+  const [page, setPage] = useState(1);
+  const [hasMore, setHasMore] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
+  // Only the latest request may update the list.
+  const requestId = useRef(0);
+
   const navigate = useNavigate();
 
+  useEffect(() => {
+    const timer = setTimeout(() => setSearch(query.trim()), SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [query]);
+
+  useEffect(() => {
+    const id = ++requestId.current;
+
+    fetchSessions(search, filters, 1).then((res) => {
+      if (id !== requestId.current || !res.ok) return;
+
+      const { sessions: rows, pagination } = res.data.data;
+      setSessions(rows);
+      setPage(1);
+      setHasMore(1 < pagination.pages);
+      setLoadingMore(false);
+    });
+  }, [search, filters, setSessions]);
+
+  useEffect(() => {
+    chatService.getModels().then((res) => {
+      if (res.ok) setFilterModels(res.data.data);
+    });
+    sessionMetadataService.getTags().then((res) => {
+      if (res.ok) setKnownTags(res.data.data.tags);
+    });
+  }, []);
+
+  const loadMore = async () => {
+    if (!hasMore || loadingMore) return;
+
+    const id = ++requestId.current;
+    const nextPage = page + 1;
+    setLoadingMore(true);
+
+    const res = await fetchSessions(search, filters, nextPage);
+    if (id !== requestId.current) return;
+    setLoadingMore(false);
+    if (!res.ok) return;
+
+    const { sessions: rows, pagination } = res.data.data;
+    setSessions((prev) => mergePage(prev, rows, nextPage));
+    setPage(nextPage);
+    setHasMore(nextPage < pagination.pages);
+  };
+
+  const handleScroll = (e) => {
+    const el = e.currentTarget;
+    if (el.scrollHeight - el.scrollTop - el.clientHeight < LOAD_MORE_THRESHOLD_PX) {
+      loadMore();
+    }
+  };
+
+  const toggleFilter = (key, value) => {
+    setFilters((prev) => ({
+      ...prev,
+      [key]: prev[key].includes(value)
+        ? prev[key].filter((v) => v !== value)
+        : [...prev[key], value],
+    }));
+  };
+
+  const activeFilterCount =
+    (filters.from ? 1 : 0) +
+    (filters.to ? 1 : 0) +
+    filters.modelIds.length +
+    filters.tags.length;
+
+  const knownCategories = [
+    ...new Set(sessions.map((s) => s.category).filter(Boolean)),
+  ].sort();
+
+  const saveMetadata = async (session, changes) => {
+    const res = await sessionMetadataService.updateMetadata(session.id, changes);
+    if (!res.ok) {
+      toast.error(res.error?.message || "Could not save session details");
+      return false;
+    }
+
+    const { tags, category, pinned } = res.data.data.metadata;
+    setSessions((prev) =>
+      sortSessions(
+        prev.map((s) => (s.id === session.id ? { ...s, tags, category, pinned } : s))
+      )
+    );
+    if (changes.tags) {
+      setKnownTags((prev) =>
+        [...new Set([...prev, ...tags])].sort((a, b) => a.localeCompare(b))
+      );
+    }
+    return true;
+  };
+
+  const togglePin = (session) => {
+    setOpenMenu(null);
+    saveMetadata(session, { pinned: !session.pinned });
+  };
+
+  const openMetadata = (session) => {
+    setOpenMenu(null);
+    setMetadataTarget(session);
+  };
+
+  const openShare = (session) => {
+    setOpenMenu(null);
+    setShareTarget(session);
+  };
+  const isFiltered = !!search || activeFilterCount > 0;
+
   const handleNew = () => {
     localStorage.removeItem("currentSessionId");
     setCurrentSessionId(null);
@@ -35,6 +202,7 @@ const Sidebar = ({ sessions, setSessions, onSessionChange }) => {
       const res = await sessionService.getSessionById(session.id);
       const modelRes = await sessionService.getSessionModels(session.id);
       const msgRes = await sessionService.getSessionMessages(session.id);
+      const feedbackRes = await feedbackService.getSessionFeedback(session.id);
 
       if (!res.ok || !modelRes.ok) return;
 
@@ -43,7 +211,10 @@ const Sidebar = ({ sessions, setSessions, onSessionChange }) => {
 
       onSessionChange(
         res.data.data.session,
-        msgRes?.data?.data?.messages || [],
+        attachFeedback(
+          msgRes?.data?.data?.messages || [],
+          feedbackRes?.data?.data?.feedback || []
+        ),
         modelRes.data.data.models
       );
 
@@ -53,6 +224,45 @@ const Sidebar = ({ sessions, setSessions, onSessionChange }) => {
     }
   };
 
+  const handleImportFile = async (e) => {
+    const file = e.target.files[0];
+    // Reset so choosing the same file again still fires onChange.
+    e.target.value = "";
+    if (!file) return;
+
+    const { data, error } = parseSessionExport(await file.text());
+    if (error) {
+      toast.error(error);
+      return;
+    }
+
+    // The dialog matches models once when it opens, so the catalog must be
+    // here first; the load on mount may have failed or not finished yet.
+    if (filterModels.length === 0) {
+      const res = await chatService.getModels();
+      if (!res.ok) {
+        toast.error(res.error?.message || "Could not load the models to import into");
+        return;
+      }
+      setFilterModels(res.data.data);
+    }
+    setImportData(data);
+  };
+
+  const handleImport = async (payload) => {
+    const res = await sessionService.importSession(payload);
+    if (!res.ok) {
+      toast.error(res.error?.message || "Could not import the session");
+      return false;
+    }
+
+    const { session } = res.data.data;
+    setSessions((prev) => sortSessions([session, ...prev.filter((s) => s.id !== session.id)]));
+    toast.success(`Imported "${session.title}"`);
+    handleActivate(session);
+    return true;
+  };
+
   const startEditing = (session) => {
     setEditingSessionId(session.id);
     setEditTitle(session.title);
@@ -123,77 +333,252 @@ const Sidebar = ({ sessions, setSessions, onSessionChange }) => {
 
   return (
     <>
-      <aside className="sessions-panel">
+      <aside className="sessions-panel" onScroll={handleScroll}>
         <div className="sessions-header">
           <h2>Research Sessions</h2>
-          <button className="new-session-btn" onClick={handleNew}>
-            <FontAwesomeIcon icon={faPlus} /> New
+          <div className="sessions-header-actions">
+            <button
+              className="import-session-btn"
+              onClick={() => importInput.current?.click()}
+              title="Import a session exported as JSON"
+            >
+              <FontAwesomeIcon icon={faFileImport} /> Import
+            </button>
+            <button className="new-session-btn" onClick={handleNew}>
+              <FontAwesomeIcon icon={faPlus} /> New
+            </button>
+          </div>
+          <input
+            ref={importInput}
+            type="file"
+            accept="application/json,.json"
+            hidden
+            onChange={handleImportFile}
+          />
+        </div>
+
+        <div className="sessions-search">
+          <input
+            type="search"
+            placeholder="Search titles and prompts"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+          />
+          <button
+            className={`filter-toggle ${activeFilterCount > 0 ? "active" : ""}`}
+            onClick={() => setShowFilters(!showFilters)}
+            title="Filters"
+          >
+            <FontAwesomeIcon icon={faFilter} />
+            {activeFilterCount > 0 && <span>{activeFilterCount}</span>}
           </button>
         </div>
 
-        <div className="sessions-list">
-          {sessions.map((session) => (
-            <div
-              key={session.id}
-              className={`session-item ${
-                currentSessionId === session.id ? "active" : ""
-              }`}
-              onClick={() => handleActivate(session)}
-            >
-              <div className="session-main">
-                {editingSessionId === session.id ? (
-                  <input
-                    className="session-edit-input"
-                    value={editTitle}
-                    autoFocus
-                    onChange={(e) => setEditTitle(e.target.value)}
-                    onBlur={() => saveEdit(session)}
-                    onKeyDown={(e) => {
-                      if (e.key === "Enter") saveEdit(session);
-                      if (e.key === "Escape") cancelEdit();
-                    }}
-                  />
-                ) : (
-                  <div className="session-info">
-                    <div className="session-name">{session.title}</div>
-                    <div className="session-date">
-                      {formatDateTime(
-                        session.last_message_at || session.created_at
-                      )}
-                    </div>
-                  </div>
-                )}
-
-                <button
-                  className="session-menu-btn"
-                  onClick={(e) => {
-                    e.stopPropagation();
-                    setOpenMenu(openMenu === session.id ? null : session.id);
-                  }}
-                >
-                  <FontAwesomeIcon icon={faEllipsisV} />
-                </button>
+        {showFilters && (
+          <div className="sessions-filters">
+            <label>
+              From
+              <input
+                type="date"
+                value={filters.from}
+                max={filters.to || undefined}
+                onChange={(e) => setFilters({ ...filters, from: e.target.value })}
+              />
+            </label>
+            <label>
+              To
+              <input
+                type="date"
+                value={filters.to}
+                min={filters.from || undefined}
+                onChange={(e) => setFilters({ ...filters, to: e.target.value })}
+              />
+            </label>
+
+            {filterModels.length > 0 && (
+              <div className="filter-models">
+                <span>Models used</span>
+                {filterModels.map((model) => (
+                  <label key={model.id}>
+                    <input
+                      type="checkbox"
+                      checked={filters.modelIds.includes(model.id)}
+                      onChange={() => toggleFilter("modelIds", model.id)}
+                    />
+                    {model.name}
+                  </label>
+                ))}
+              </div>
+            )}
+
+            {knownTags.length > 0 && (
+              <div className="filter-tags">
+                <span>Tags</span>
+                <div>
+                  {knownTags.map((tag) => (
+                    <button
+                      key={tag}
+                      className={`session-tag ${
+                        filters.tags.includes(tag) ? "selected" : ""
+                      }`}
+                      onClick={() => toggleFilter("tags", tag)}
+                    >
+                      {tag}
+                    </button>
+                  ))}
+                </div>
               </div>
+            )}
+
+            {activeFilterCount > 0 && (
+              <button
+                className="clear-filters"
+                onClick={() => setFilters(EMPTY_FILTERS)}
+              >
+                Clear filters
+              </button>
+            )}
+          </div>
+        )}
+
+        <div className="sessions-list">
+          {sessions.length === 0 && isFiltered && (
+            <div className="sessions-empty">No sessions match.</div>
+          )}
 
-              {openMenu === session.id && (
+          {groupSessionsByDate(sessions).map((group) => (
+            <React.Fragment key={group.label}>
+              <div className="session-group-label">{group.label}</div>
+              {group.sessions.map((session) => (
                 <div
-                  className="session-menu"
-                  onClick={(e) => e.stopPropagation()}
+                  key={session.id}
+                  className={`session-item ${
+                    currentSessionId === session.id ? "active" : ""
+                  }`}
+                  onClick={() => handleActivate(session)}
                 >
-                  <button onClick={() => startEditing(session)}>Edit</button>
-                  <button
-                    className="delete-btn"
-                    onClick={() => setDeleteTarget(session)}
-                  >
-                    Delete
-                  </button>
+                  <div className="session-main">
+                    {editingSessionId === session.id ? (
+                      <input
+                        className="session-edit-input"
+                        value={editTitle}
+                        autoFocus
+                        onChange={(e) => setEditTitle(e.target.value)}
+                        onBlur={() => saveEdit(session)}
+                        onKeyDown={(e) => {
+                          if (e.key === "Enter") saveEdit(session);
+                          if (e.key === "Escape") cancelEdit();
+                        }}
+                      />
+                    ) : (
+                      <div className="session-info">
+                        <div className="session-name">
+                          {session.pinned && (
+                            <FontAwesomeIcon
+                              className="session-pin"
+                              icon={faThumbtack}
+                              title="Pinned"
+                            />
+                          )}
+                          {session.title}
+                        </div>
+                        <div className="session-date">
+                          {formatDateTime(
+                            session.last_message_at || session.created_at
+                          )}
+                          {session.category && (
+                            <span className="session-category">
+                              {session.category}
+                            </span>
+                          )}
+                        </div>
+                        {session.tags?.length > 0 && (
+                          <div className="session-tags">
+                            {session.tags.map((tag) => (
+                              <span className="session-tag" key={tag}>
+                                {tag}
+                              </span>
+                            ))}
+                          </div>
+                        )}
+                      </div>
+                    )}
+
+                    <button
+                      className="session-menu-btn"
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        setOpenMenu(openMenu === session.id ? null : session.id);
+                      }}
+                    >
+                      <FontAwesomeIcon icon={faEllipsisV} />
+                    </button>
+                  </div>
+
+                  {openMenu === session.id && (
+                    <div
+                      className="session-menu"
+                      onClick={(e) => e.stopPropagation()}
+                    >
+                      <button onClick={() => togglePin(session)}>
+                        {session.pinned ? "Unpin" : "Pin"}
+                      </button>
+                      <button onClick={() => openMetadata(session)}>
+                        Tags & category
+                      </button>
+                      <button onClick={() => openShare(session)}>Share</button>
+                      <button onClick={() => startEditing(session)}>Edit</button>
+                      <button
+                        className="delete-btn"
+                        onClick={() => setDeleteTarget(session)}
+                      >
+                        Delete
+                      </button>
+                    </div>
+                  )}
                 </div>
-              )}
-            </div>
+              ))}
+            </React.Fragment>
           ))}
+
+          {hasMore && (
+            <button
+              className="load-more-btn"
+              onClick={loadMore}
+              disabled={loadingMore}
+            >
+              {loadingMore ? "Loading…" : "Load more"}
+            </button>
+          )}
         </div>
       </aside>
 
+      {metadataTarget && (
+        <SessionMetadataDialog
+          session={metadataTarget}
+          knownTags={knownTags}
+          knownCategories={knownCategories}
+          onSave={(changes) => saveMetadata(metadataTarget, changes)}
+          onCancel={() => setMetadataTarget(null)}
+        />
+      )}
+
+      {shareTarget && (
+        <SessionShareDialog
+          session={shareTarget}
+          onCancel={() => setShareTarget(null)}
+        />
+      )}
+
+      {importData && (
+        <SessionImportDialog
+          data={importData}
+          catalog={filterModels}
+          onImport={handleImport}
+          onCancel={() => setImportData(null)}
+        />
+      )}
+
       <ConfirmDialog
         open={!!deleteTarget}
         title="Delete Session"
@@ -0,0 +1,82 @@
+import React, { useState } from "react";
+
+// Toolbar control for bringing another catalog model into a running
+// session. `onAdd(modelId, backfill)` is called with the chosen model and
+// whether earlier prompts should be replayed to it.
+const AddModelControl = ({ available, onOpen, onAdd, disabled, disabledReason }) => {
+  const [open, setOpen] = useState(false);
+  const [modelId, setModelId] = useState("");
+  const [backfill, setBackfill] = useState(true);
+  const [adding, setAdding] = useState(false);
+
+  const chosen = available.some((m) => String(m.id) === modelId)
+    ? modelId
+    : String(available[0]?.id ?? "");
+
+  const toggle = () => {
+    if (!open) onOpen();
+    setOpen(!open);
+  };
+
+  const handleAdd = async () => {
+    if (!chosen) return;
+    setAdding(true);
+    const added = await onAdd(chosen, backfill);
+    setAdding(false);
+    if (added) {
+      setOpen(false);
+      setModelId("");
+    }
+  };
+
+  return (
+    <div className="add-model">
+      <button
+        className="add-model-btn"
+        onClick={toggle}
+        disabled={disabled}
+        title={disabled ? disabledReason : "Add a model to this session"}
+      >
+        + Add model
+      </button>
+
+      {open && !disabled && (
+        <div className="add-model-menu">
+          {available.length === 0 ? (
+            <div className="rows-empty">Every available model is already here.</div>
+          ) : (
+            <>
+              <select value={chosen} onChange={(e) => setModelId(e.target.value)}>
+                {available.map((m) => (
+                  <option key={m.id} value={m.id}>
+                    {m.name}
+                    {m.provider ? ` (${m.provider})` : ""}
+                  </option>
+                ))}
+              </select>
+
+              <label className="add-model-backfill">
+                <input
+                  type="checkbox"
+                  checked={backfill}
+                  onChange={(e) => setBackfill(e.target.checked)}
+                />
+                Replay earlier prompts
+              </label>
+
+              <button
+                className="add-model-confirm"
+                onClick={handleAdd}
+                disabled={adding || !chosen}
+              >
+                {adding ? "Adding…" : "Add"}
+              </button>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AddModelControl;
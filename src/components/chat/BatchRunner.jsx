@@ -0,0 +1,338 @@
+import React, { useRef, useState } from "react";
+import { toast } from "react-toastify";
+import "../../styles/ConfirmDialog.css";
+import { chatService } from "../../services/chat/ChatService";
+import { sessionService } from "../../services/chat/session/SessionService";
+import { API_ERROR_TYPES } from "../../services/ApiError";
+import { batchCells, cellKey, parseBatchFile } from "../../utils/batchPrompts";
+import { formatLatency, toResponseStats } from "../../utils/responseStats";
+
+// Answers in flight at once; the pace setting spaces out when they start.
+const BATCH_CONCURRENCY = 2;
+
+// Requests started per minute. The chat endpoint allows 10 a minute on the
+// free tier and answers over the limit with a plain failure, so the default
+// stays under it.
+const PACE_OPTIONS = [5, 10, 30, 60];
+const DEFAULT_PACE = 10;
+
+// How long to hold the queue after a 429 that names no Retry-After.
+const RATE_LIMIT_BACKOFF_MS = 30000;
+
+const CELL_LABELS = {
+  queued: "·",
+  running: "…",
+  done: "✓",
+  failed: "✕",
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Runs a file of prompts against the session's visible models and shows a
+// prompt × model grid as answers come in. Every answer is stored in the
+// session like a normal prompt; `onClose(changed)` reports whether any
+// were, so the caller can reload the session.
+const BatchRunner = ({ sessionId, models, onClose }) => {
+  const [prompts, setPrompts] = useState(null);
+  const [fileName, setFileName] = useState("");
+  const [pace, setPace] = useState(DEFAULT_PACE);
+  const [cells, setCells] = useState({});
+  const [status, setStatus] = useState("idle");
+
+  // The queue and run bookkeeping live in refs so workers see changes made
+  // after they started. A pause bumps `runCounter`, which ends the current
+  // workers once their answer is in.
+  const queue = useRef([]);
+  const runCounter = useRef(0);
+  const running = useRef(false);
+  const nextStartAt = useRef(0);
+  const controllers = useRef(new Set());
+  const changed = useRef(false);
+  const fileInput = useRef(null);
+
+  const updateCell = (key, update) =>
+    setCells((prev) => ({ ...prev, [key]: { ...prev[key], ...update } }));
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+
+    const { prompts: parsed, error } = parseBatchFile(await file.text(), file.name);
+    if (error) {
+      toast.error(error);
+      return;
+    }
+    setPrompts(parsed);
+    setFileName(file.name);
+  };
+
+  const runCell = async (cell) => {
+    const controller = new AbortController();
+    controllers.current.add(controller);
+    updateCell(cell.key, { status: "running", error: null });
+    const startedAt = performance.now();
+
+    try {
+      const res = await chatService.sendPromptToModel(
+        sessionId,
+        cell.modelId,
+        prompts[cell.promptIndex],
+        { signal: controller.signal }
+      );
+
+      if (res.aborted) return;
+
+      if (res.ok) {
+        changed.current = true;
+        updateCell(cell.key, {
+          status: "done",
+          stats: toResponseStats(res.data?.data?.response, performance.now() - startedAt),
+        });
+      } else if (res.error?.type === API_ERROR_TYPES.RATE_LIMIT) {
+        // Back in line at the front, and nothing new starts until the
+        // server is ready again.
+        const retryAfterMs =
+          res.error.retryAfter !== null
+            ? res.error.retryAfter * 1000
+            : RATE_LIMIT_BACKOFF_MS;
+        nextStartAt.current = Math.max(nextStartAt.current, Date.now() + retryAfterMs);
+        queue.current.unshift(cell);
+        updateCell(cell.key, { status: "queued" });
+      } else {
+        updateCell(cell.key, {
+          status: "failed",
+          error: res.error?.message || "The model did not respond.",
+        });
+      }
+    } catch (err) {
+      console.error(`Batch prompt to model ${cell.modelId} failed`, err);
+      updateCell(cell.key, { status: "failed", error: "The model did not respond." });
+    } finally {
+      controllers.current.delete(controller);
+    }
+  };
+
+  const startRun = () => {
+    const runId = ++runCounter.current;
+    const interval = 60000 / pace;
+    running.current = true;
+    setStatus("running");
+
+    const work = async () => {
+      while (runCounter.current === runId && queue.current.length > 0) {
+        const wait = nextStartAt.current - Date.now();
+        if (wait > 0) {
+          await sleep(wait);
+          continue;
+        }
+        nextStartAt.current = Date.now() + interval;
+        await runCell(queue.current.shift());
+      }
+    };
+
+    Promise.all(Array.from({ length: BATCH_CONCURRENCY }, work)).then(() => {
+      if (runCounter.current !== runId) return;
+      running.current = false;
+      setStatus(queue.current.length > 0 ? "paused" : "finished");
+    });
+  };
+
+  const handleStart = async () => {
+    const res = await sessionService.activateSession(sessionId);
+    if (!res.ok) {
+      toast.error(res.error?.message || "Could not open the session");
+      return;
+    }
+
+    const all = batchCells(prompts, models);
+    queue.current = all;
+    setCells(Object.fromEntries(all.map((c) => [c.key, { status: "queued" }])));
+    startRun();
+  };
+
+  const handlePause = () => {
+    runCounter.current++;
+    running.current = false;
+    setStatus("paused");
+  };
+
+  // Puts failed cells back in the queue and runs it if it has finished. A
+  // paused run stays paused; Resume picks the cells up.
+  const retry = (keys) => {
+    const failed = batchCells(prompts, models).filter((c) => keys.includes(c.key));
+    if (failed.length === 0) return;
+
+    queue.current.push(...failed);
+    setCells((prev) => {
+      const next = { ...prev };
+      failed.forEach((c) => {
+        next[c.key] = { status: "queued" };
+      });
+      return next;
+    });
+    if (!running.current && status !== "paused") startRun();
+  };
+
+  const handleClose = () => {
+    runCounter.current++;
+    running.current = false;
+    controllers.current.forEach((c) => c.abort());
+    onClose(changed.current);
+  };
+
+  const counts = { queued: 0, running: 0, done: 0, failed: 0 };
+  Object.values(cells).forEach((cell) => {
+    counts[cell.status]++;
+  });
+  const failedKeys = Object.keys(cells).filter((k) => cells[k].status === "failed");
+  const total = prompts ? prompts.length * models.length : 0;
+  const active = status === "running" || counts.running > 0;
+
+  return (
+    <div className="confirm-overlay" onClick={active ? undefined : handleClose}>
+      <div className="confirm-dialog batch-dialog" onClick={(e) => e.stopPropagation()}>
+        <h3 className="confirm-title">Batch run</h3>
+
+        {status === "idle" ? (
+          <div className="batch-setup">
+            <p className="confirm-message">
+              Send every prompt in a CSV (with a "prompt" column) or JSONL file to
+              the {models.length} visible {models.length === 1 ? "model" : "models"}.
+              Answers are saved in this session.
+            </p>
+            <div className="batch-setup-row">
+              <button className="btn-cancel" onClick={() => fileInput.current?.click()}>
+                {prompts ? "Choose another file" : "Choose file"}
+              </button>
+              {prompts && (
+                <span>
+                  {fileName}: {prompts.length} prompts × {models.length} models ={" "}
+                  {total} answers
+                </span>
+              )}
+              <input
+                ref={fileInput}
+                type="file"
+                accept=".csv,.jsonl,.ndjson,text/csv"
+                hidden
+                onChange={handleFile}
+              />
+            </div>
+            <label className="batch-setup-row">
+              Pace
+              <select value={pace} onChange={(e) => setPace(Number(e.target.value))}>
+                {PACE_OPTIONS.map((n) => (
+                  <option key={n} value={n}>
+                    {n} requests a minute
+                  </option>
+                ))}
+              </select>
+              {prompts && <span>about {Math.ceil(total / pace)} min</span>}
+            </label>
+          </div>
+        ) : (
+          <>
+            <div className="batch-summary">
+              <span>
+                {counts.done} of {total} done
+              </span>
+              {counts.failed > 0 && <span className="batch-failed">{counts.failed} failed</span>}
+              {status === "paused" && (
+                <label>
+                  Paused · pace
+                  <select value={pace} onChange={(e) => setPace(Number(e.target.value))}>
+                    {PACE_OPTIONS.map((n) => (
+                      <option key={n} value={n}>
+                        {n} a minute
+                      </option>
+                    ))}
+                  </select>
+                </label>
+              )}
+              {status === "finished" && counts.failed === 0 && <span>Finished</span>}
+            </div>
+
+            <div className="batch-grid-wrap">
+              <table className="batch-grid">
+                <thead>
+                  <tr>
+                    <th>#</th>
+                    <th>Prompt</th>
+                    {models.map((m) => (
+                      <th key={m.id}>{m.name}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {prompts.map((prompt, index) => (
+                    <tr key={index}>
+                      <td>{index + 1}</td>
+                      <td className="batch-prompt" title={prompt}>
+                        {prompt}
+                      </td>
+                      {models.map((m) => {
+                        const key = cellKey(index, m.id);
+                        const cell = cells[key] || { status: "queued" };
+                        return (
+                          <td key={m.id} className={`batch-cell ${cell.status}`}>
+                            {cell.status === "failed" ? (
+                              <button
+                                onClick={() => retry([key])}
+                                title={`${cell.error} Click to retry.`}
+                              >
+                                {CELL_LABELS.failed}
+                              </button>
+                            ) : (
+                              <span
+                                title={
+                                  cell.status === "done"
+                                    ? formatLatency(cell.stats?.latencyMs)
+                                    : cell.status
+                                }
+                              >
+                                {CELL_LABELS[cell.status]}
+                              </span>
+                            )}
+                          </td>
+                        );
+                      })}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </>
+        )}
+
+        <div className="confirm-actions">
+          <button className="btn-cancel" onClick={handleClose}>
+            {active ? "Stop and close" : "Close"}
+          </button>
+          {status === "idle" && (
+            <button className="btn-confirm" onClick={handleStart} disabled={!prompts}>
+              Run
+            </button>
+          )}
+          {status === "running" && (
+            <button className="btn-confirm" onClick={handlePause}>
+              Pause
+            </button>
+          )}
+          {status === "paused" && (
+            <button className="btn-confirm" onClick={startRun}>
+              Resume
+            </button>
+          )}
+          {failedKeys.length > 0 && status !== "idle" && (
+            <button className="btn-confirm" onClick={() => retry(failedKeys)}>
+              Retry failed
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default BatchRunner;
@@ -0,0 +1,167 @@
+import React, { useState } from "react";
+import MarkdownContent from "./MarkdownContent";
+import { buildTurnRows } from "../../utils/sessionTurns";
+import { splitReasoning } from "../../utils/reasoning";
+import {
+  blindLabel,
+  computeWinRates,
+  seededShuffle,
+  turnRank,
+  turnWinner,
+} from "../../utils/blindComparison";
+
+// Only saved, complete answers can be ranked, and only once every answer
+// to the prompt has finished.
+const canReceiveVote = (msg) => !!msg.id && !msg.error && !msg.stopped && !msg.pending;
+const isSettled = (msg) => canReceiveVote(msg) || !!msg.error || !!msg.stopped;
+
+const formatRate = (rate) => (rate === null ? "—" : `${Math.round(rate * 100)}%`);
+
+// Blind layout: every prompt's answers in their own shuffled order, named
+// only "Model A", "Model B", … The order is reshuffled per turn, so learning
+// one turn's identities says nothing about the next. The evaluator picks
+// answers best first, then saves the pick (a vote) or several (a ranking)
+// through `onRank(responseIds)`, which resolves to true once stored; `ranks`
+// holds what is saved. The names show once a turn is ranked. Stats,
+// reasoning and feedback controls are left out because they can give a
+// model away.
+const BlindComparison = ({ sessionId, models, messages, ranks, onRank }) => {
+  // Unsaved picks per turn: model ids, best first.
+  const [picks, setPicks] = useState({});
+  const [savingTurn, setSavingTurn] = useState(null);
+
+  const rows = buildTurnRows(models, messages);
+  const { votedTurns, models: rates } = computeWinRates(models, rows, ranks);
+  const namesById = Object.fromEntries(models.map((m) => [String(m.id), m.name]));
+
+  const setTurnPicks = (turn, ids) => setPicks((prev) => ({ ...prev, [turn]: ids }));
+
+  const togglePick = (turn, id) => {
+    const picked = picks[turn] || [];
+    setTurnPicks(
+      turn,
+      picked.includes(id) ? picked.filter((p) => p !== id) : [...picked, id]
+    );
+  };
+
+  const saveRanking = async (row) => {
+    const picked = picks[row.turn] || [];
+    setSavingTurn(row.turn);
+    const saved = await onRank(picked.map((id) => row.responses[id].id));
+    setSavingTurn(null);
+    if (saved) setTurnPicks(row.turn, []);
+  };
+
+  return (
+    <div className="rows-view blind-view">
+      <div className="blind-scores">
+        <span className="blind-scores-title">
+          Win rate · {votedTurns} of {rows.length} prompts voted
+        </span>
+        {rates.map((r) => (
+          <span className="blind-score" key={r.id} title={`${r.wins} of ${r.contests} votes`}>
+            {r.name} <strong>{formatRate(r.winRate)}</strong>
+          </span>
+        ))}
+      </div>
+
+      {rows.length === 0 && (
+        <div className="rows-empty">Send a prompt to start comparing.</div>
+      )}
+
+      {rows.map((row) => {
+        const ids = seededShuffle(
+          Object.keys(row.responses).sort(),
+          `${sessionId}:${row.turn}`
+        );
+        const winner = turnWinner(row, ranks);
+        const votable = ids.filter((id) => canReceiveVote(row.responses[id]));
+        const canRank =
+          !winner && votable.length > 1 && ids.every((id) => isSettled(row.responses[id]));
+        const picked = canRank ? picks[row.turn] || [] : [];
+
+        return (
+          <section className="rows-turn" key={row.turn}>
+            <div className="rows-prompt">
+              <span className="rows-prompt-index">#{row.turn}</span>
+              {row.prompt}
+            </div>
+
+            <div className="rows-grid" style={{ "--model-count": Math.max(ids.length, 1) }}>
+              {ids.map((id, index) => {
+                const msg = row.responses[id];
+                const rank = winner ? turnRank(row, id, ranks) : null;
+                const pickIndex = picked.indexOf(id);
+                return (
+                  <div
+                    className={`rows-cell blind-cell ${winner === id ? "winner" : ""}`}
+                    key={id}
+                  >
+                    <div className="blind-cell-header">
+                      <strong>{blindLabel(index)}</strong>
+                      {winner && <span className="blind-name">{namesById[id]}</span>}
+                      {rank === 1 && <span className="blind-winner">Voted best</span>}
+                      {rank > 1 && <span className="blind-rank">#{rank}</span>}
+                      {pickIndex !== -1 && (
+                        <span className="blind-rank picked">#{pickIndex + 1}</span>
+                      )}
+                    </div>
+
+                    <div className="chat-bubble msg-ai">
+                      {msg.error ? (
+                        <div className="error-text">No answer</div>
+                      ) : msg.pending ? (
+                        <div className="dot-loader">
+                          <span></span>
+                          <span></span>
+                          <span></span>
+                        </div>
+                      ) : (
+                        <MarkdownContent content={splitReasoning(msg.content).answer} />
+                      )}
+                    </div>
+
+                    {canRank && canReceiveVote(msg) && (
+                      <button
+                        className={`blind-vote ${pickIndex !== -1 ? "picked" : ""}`}
+                        onClick={() => togglePick(row.turn, id)}
+                        disabled={savingTurn === row.turn}
+                      >
+                        {pickIndex !== -1
+                          ? "Unpick"
+                          : picked.length === 0
+                          ? `Vote for ${blindLabel(index)}`
+                          : `Rank #${picked.length + 1}`}
+                      </button>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+
+            {picked.length > 0 && (
+              <div className="blind-actions">
+                <button
+                  className="btn-confirm"
+                  onClick={() => saveRanking(row)}
+                  disabled={savingTurn === row.turn}
+                >
+                  {picked.length === 1 ? "Save vote" : "Save ranking"}
+                </button>
+                <button
+                  className="btn-cancel"
+                  onClick={() => setTurnPicks(row.turn, [])}
+                  disabled={savingTurn === row.turn}
+                >
+                  Clear
+                </button>
+              </div>
+            )}
+          </section>
+        );
+      })}
+    </div>
+  );
+};
+
+export default BlindComparison;
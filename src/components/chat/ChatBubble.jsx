@@ -0,0 +1,111 @@
+import React from "react";
+import MarkdownContent from "./MarkdownContent";
+import FeedbackBar from "./FeedbackBar";
+import ReasoningSection from "./ReasoningSection";
+import CitationList from "./CitationList";
+import FollowUpChips from "./FollowUpChips";
+import { splitReasoning } from "../../utils/reasoning";
+import {
+  formatCost,
+  formatLatency,
+  formatTokens,
+} from "../../utils/responseStats";
+
+// One prompt or response in a model's thread: a typing loader while the
+// answer is pending, an error with Retry when it failed, Markdown otherwise.
+// Saved responses also get the feedback bar when `onFeedback` is given.
+//
+// `reasoning` is the response's stored thinking traces, or null when the
+// plan doesn't include them; reasoning tags are never shown in the answer.
+// Cited sources are listed under the answer, and follow-up suggestions are
+// offered as chips when `onFollowUp(text, send)` is given.
+const ChatBubble = ({
+  msg,
+  onRetry,
+  retryDisabled = false,
+  onFeedback,
+  reasoning = null,
+  onFollowUp,
+  followUpDisabled = false,
+}) => {
+  if (msg.pending && !msg.content) {
+    return (
+      <div className="chat-bubble msg-ai typing">
+        <div className="dot-loader">
+          <span></span>
+          <span></span>
+          <span></span>
+        </div>
+      </div>
+    );
+  }
+
+  if (msg.error) {
+    return (
+      <div className="chat-bubble msg-ai msg-error">
+        <div className="error-text">{msg.error}</div>
+        {msg.prompt && onRetry && (
+          <button
+            className="retry-btn"
+            onClick={onRetry}
+            disabled={retryDisabled}
+          >
+            Retry
+          </button>
+        )}
+      </div>
+    );
+  }
+
+  const { traces, answer } =
+    msg.type === "response"
+      ? splitReasoning(msg.content)
+      : { traces: [], answer: msg.content };
+  const shownTraces = reasoning?.length ? reasoning : traces;
+  const citations = msg.citations || [];
+  const citationScope = msg.id || msg.key;
+
+  return (
+    <>
+      {reasoning && shownTraces.length > 0 && (
+        <ReasoningSection traces={shownTraces} streaming={msg.streaming} />
+      )}
+      <div
+        className={`chat-bubble ${
+          msg.type === "prompt" ? "msg-user" : "msg-ai"
+        } ${msg.streaming ? "streaming" : ""} ${msg.stopped ? "stopped" : ""}`}
+      >
+        <MarkdownContent
+          content={answer}
+          streaming={msg.streaming}
+          citations={
+            citations.length > 0 ? { scope: citationScope, count: citations.length } : null
+          }
+        />
+        {msg.stopped && <div className="stopped-label">Stopped</div>}
+        {citations.length > 0 && (
+          <CitationList citations={citations} scope={citationScope} />
+        )}
+        {msg.stats && (
+          <div className="response-meta">
+            <span title="Latency">{formatLatency(msg.stats.latencyMs)}</span>
+            <span title="Output tokens">{formatTokens(msg.stats.outputTokens)}</span>
+            <span title="Cost">{formatCost(msg.stats.cost)}</span>
+          </div>
+        )}
+        {onFollowUp && msg.followUps?.length > 0 && !msg.streaming && (
+          <FollowUpChips
+            suggestions={msg.followUps}
+            onPick={onFollowUp}
+            disabled={followUpDisabled}
+          />
+        )}
+        {onFeedback && msg.type === "response" && msg.id && !msg.streaming && (
+          <FeedbackBar feedback={msg.feedback} onChange={onFeedback} />
+        )}
+      </div>
+    </>
+  );
+};
+
+export default ChatBubble;
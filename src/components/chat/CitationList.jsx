@@ -0,0 +1,32 @@
+import React from "react";
+import { citationId } from "../../utils/responseExtras";
+
+const hostname = (url) => {
+  try {
+    return new URL(url).hostname.replace(/^www\./, "");
+  } catch {
+    return url;
+  }
+};
+
+// Numbered sources under an answer. Each entry is the target of the
+// matching [n] marker in the text, scoped by `scope` so answers on the same
+// page don't share ids.
+const CitationList = ({ citations, scope }) => (
+  <ol className="citation-list" aria-label="Sources">
+    {citations.map((c, index) => (
+      <li key={index} id={citationId(scope, index + 1)}>
+        {c.url ? (
+          <a href={c.url} target="_blank" rel="noopener noreferrer">
+            {c.title || hostname(c.url)}
+          </a>
+        ) : (
+          <span>{c.title || "Source unavailable"}</span>
+        )}
+        {c.url && c.title && <small>{hostname(c.url)}</small>}
+      </li>
+    ))}
+  </ol>
+);
+
+export default CitationList;
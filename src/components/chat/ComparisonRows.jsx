@@ -0,0 +1,76 @@
+import React from "react";
+import ChatBubble from "./ChatBubble";
+import { buildTurnRows } from "../../utils/sessionTurns";
+
+// Prompt-aligned layout: each prompt is a row and every model's answer sits
+// beside the others in the same grid row, so answers line up by height and
+// the whole comparison scrolls as one. Without `onRetry`, `onFeedback` and
+// `onFollowUp` the answers are read-only.
+const ComparisonRows = ({
+  models,
+  messages,
+  loadingModels = {},
+  onRetry,
+  onFeedback,
+  reasoningFor,
+  onFollowUp,
+  followUpDisabled = false,
+}) => {
+  const rows = buildTurnRows(models, messages);
+
+  return (
+    <div
+      className="rows-view"
+      style={{ "--model-count": Math.max(models.length, 1) }}
+    >
+      <div className="rows-grid rows-header">
+        {models.map((model) => (
+          <div className="rows-header-cell" key={model.id}>
+            {model.name}
+          </div>
+        ))}
+      </div>
+
+      {rows.length === 0 && (
+        <div className="rows-empty">Send a prompt to start comparing.</div>
+      )}
+
+      {rows.map((row) => (
+        <section className="rows-turn" key={row.turn}>
+          <div className="rows-prompt">
+            <span className="rows-prompt-index">#{row.turn}</span>
+            {row.prompt}
+          </div>
+
+          <div className="rows-grid">
+            {models.map((model) => {
+              const msg = row.responses[model.id];
+              return (
+                <div className="rows-cell" key={model.id}>
+                  {msg ? (
+                    <ChatBubble
+                      msg={msg}
+                      onRetry={onRetry && (() => onRetry(model.id, msg))}
+                      retryDisabled={!!loadingModels[model.id]}
+                      onFeedback={
+                        onFeedback &&
+                        ((changes) => onFeedback(model.id, msg, changes))
+                      }
+                      reasoning={reasoningFor ? reasoningFor(msg) : null}
+                      onFollowUp={onFollowUp}
+                      followUpDisabled={followUpDisabled}
+                    />
+                  ) : (
+                    <div className="rows-missing">No response</div>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        </section>
+      ))}
+    </div>
+  );
+};
+
+export default ComparisonRows;
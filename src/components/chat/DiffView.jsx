@@ -0,0 +1,143 @@
+import React, { useMemo, useState } from "react";
+import MarkdownContent from "./MarkdownContent";
+import { buildTurnRows } from "../../utils/sessionTurns";
+import { diffWords } from "../../utils/wordDiff";
+
+const isComparable = (msg) =>
+  !!msg && !!msg.content && !msg.pending && !msg.streaming && !msg.error;
+
+const truncate = (text, length = 60) =>
+  text.length > length ? `${text.slice(0, length)}…` : text;
+
+// Streaming tokens elsewhere re-render the view, so the diff is only
+// recomputed when one of the two compared answers changes.
+const DiffPanes = ({ leftName, rightName, leftContent, rightContent }) => {
+  const diff = useMemo(
+    () => diffWords(leftContent, rightContent),
+    [leftContent, rightContent]
+  );
+
+  return (
+    <>
+      <div className="diff-similarity">{diff.similarity}% similar</div>
+
+      <div className="diff-panes">
+        <div className="diff-pane">
+          <div className="diff-pane-header">
+            {leftName}
+            <span className="diff-legend diff-del">removed</span>
+          </div>
+          <div className="chat-bubble msg-ai">
+            <MarkdownContent content={diff.left} diff="del" />
+          </div>
+        </div>
+
+        <div className="diff-pane">
+          <div className="diff-pane-header">
+            {rightName}
+            <span className="diff-legend diff-ins">added</span>
+          </div>
+          <div className="chat-bubble msg-ai">
+            <MarkdownContent content={diff.right} diff="ins" />
+          </div>
+        </div>
+      </div>
+    </>
+  );
+};
+
+// Picks two finished answers to the same prompt and shows them side by side
+// with removed words highlighted on the left and added words on the right.
+const DiffView = ({ models, messages }) => {
+  const rows = buildTurnRows(models, messages)
+    .map((row) => ({
+      ...row,
+      modelIds: models
+        .filter((m) => isComparable(row.responses[m.id]))
+        .map((m) => String(m.id)),
+    }))
+    .filter((row) => row.modelIds.length >= 2);
+
+  const [selection, setSelection] = useState({ turn: null, left: null, right: null });
+
+  // Model ids are kept as strings so they compare equal to <select> values.
+  // Fall back to the latest prompt and its first two answers whenever the
+  // stored choice no longer applies (new session, model removed, ...).
+  const row = rows.find((r) => r.turn === selection.turn) || rows[rows.length - 1];
+  const leftId = row?.modelIds.includes(selection.left)
+    ? selection.left
+    : row?.modelIds[0];
+  const rightId =
+    row?.modelIds.includes(selection.right) && selection.right !== leftId
+      ? selection.right
+      : row?.modelIds.find((id) => id !== leftId);
+
+  if (!row) {
+    return (
+      <div className="diff-view">
+        <div className="rows-empty">
+          Diff needs at least two finished answers to the same prompt.
+        </div>
+      </div>
+    );
+  }
+
+  const modelName = (id) => models.find((m) => String(m.id) === id)?.name || id;
+
+  const select = (field) => (e) => {
+    const value = field === "turn" ? Number(e.target.value) : e.target.value;
+    setSelection({ turn: row.turn, left: leftId, right: rightId, [field]: value });
+  };
+
+  return (
+    <div className="diff-view">
+      <div className="diff-controls">
+        <label>
+          Prompt
+          <select value={row.turn} onChange={select("turn")}>
+            {rows.map((r) => (
+              <option key={r.turn} value={r.turn}>
+                #{r.turn} {truncate(r.prompt)}
+              </option>
+            ))}
+          </select>
+        </label>
+
+        <label>
+          Compare
+          <select value={leftId} onChange={select("left")}>
+            {row.modelIds.map((id) => (
+              <option key={id} value={id}>
+                {modelName(id)}
+              </option>
+            ))}
+          </select>
+        </label>
+
+        <label>
+          with
+          <select value={rightId} onChange={select("right")}>
+            {row.modelIds
+              .filter((id) => id !== leftId)
+              .map((id) => (
+                <option key={id} value={id}>
+                  {modelName(id)}
+                </option>
+              ))}
+          </select>
+        </label>
+      </div>
+
+      <div className="diff-prompt">{row.prompt}</div>
+
+      <DiffPanes
+        leftName={modelName(leftId)}
+        rightName={modelName(rightId)}
+        leftContent={row.responses[leftId].content}
+        rightContent={row.responses[rightId].content}
+      />
+    </div>
+  );
+};
+
+export default DiffView;
@@ -0,0 +1,46 @@
+import React from "react";
+import MarkdownContent from "./MarkdownContent";
+import { formatCost, formatLatency, formatTokens } from "../../utils/responseStats";
+
+// Static page for the HTML export: every prompt followed by each model's
+// answer, rendered with the same Markdown pipeline as the Dashboard. It's
+// turned into a string, so it must not rely on effects or app CSS.
+const ExportDocument = ({ session, models, turns, exportedAt }) => (
+  <article className="export">
+    <header>
+      <h1>{session.title}</h1>
+      <p className="export-meta">
+        Exported {exportedAt.toLocaleString()} · {models.map((m) => m.name).join(", ")}
+      </p>
+    </header>
+
+    {turns.map((turn) => (
+      <section className="export-turn" key={turn.index}>
+        <h2>Prompt {turn.index}</h2>
+        <blockquote className="export-prompt">{turn.prompt}</blockquote>
+
+        {turn.answers.map(({ model, content, stats, feedback }) => (
+          <div className="export-answer" key={model.id}>
+            <h3>
+              {model.name}
+              {feedback.isPreferred && <span className="export-preferred">★ preferred</span>}
+            </h3>
+            <p className="export-stats">
+              {formatLatency(stats.latencyMs)} · {formatTokens(stats.outputTokens)} ·{" "}
+              {formatCost(stats.cost)}
+              {feedback.rating ? ` · rated ${feedback.rating}/5` : ""}
+            </p>
+            <MarkdownContent content={content} />
+            {feedback.comment && (
+              <p className="export-note">
+                <strong>Note:</strong> {feedback.comment}
+              </p>
+            )}
+          </div>
+        ))}
+      </section>
+    ))}
+  </article>
+);
+
+export default ExportDocument;
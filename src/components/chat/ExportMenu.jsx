@@ -0,0 +1,46 @@
+import React, { useState } from "react";
+import { EXPORT_TYPES } from "../../utils/sessionExport";
+
+// Toolbar dropdown for downloading the open session. `onExport(typeId)`
+// builds and downloads the file and resolves once it's done.
+const ExportMenu = ({ onExport, disabled }) => {
+  const [open, setOpen] = useState(false);
+  const [exporting, setExporting] = useState(null);
+
+  const handleExport = async (typeId) => {
+    setExporting(typeId);
+    await onExport(typeId);
+    setExporting(null);
+    setOpen(false);
+  };
+
+  return (
+    <div className="add-model export-menu">
+      <button
+        className="add-model-btn"
+        onClick={() => setOpen(!open)}
+        disabled={disabled}
+        title="Download this session"
+      >
+        Export
+      </button>
+
+      {open && !disabled && (
+        <div className="add-model-menu export-menu-list">
+          {EXPORT_TYPES.map(({ id, label }) => (
+            <button
+              key={id}
+              className="export-menu-item"
+              onClick={() => handleExport(id)}
+              disabled={exporting !== null}
+            >
+              {exporting === id ? "Preparing…" : label}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ExportMenu;
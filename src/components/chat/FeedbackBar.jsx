@@ -0,0 +1,87 @@
+import React, { useState } from "react";
+import { FontAwesomeIcon } from "@fortawesome/react-fontawesome";
+import { faStar, faComment } from "@fortawesome/free-solid-svg-icons";
+import { EMPTY_FEEDBACK } from "../../utils/responseFeedback";
+
+const RATINGS = [1, 2, 3, 4, 5];
+
+// Preferred star, 1–5 rating and optional comment under a saved response.
+// `onChange` receives only the fields that changed.
+const FeedbackBar = ({ feedback = EMPTY_FEEDBACK, onChange }) => {
+  const [editingComment, setEditingComment] = useState(false);
+  const [draft, setDraft] = useState(feedback.comment);
+
+  const openComment = () => {
+    setDraft(feedback.comment);
+    setEditingComment(true);
+  };
+
+  const saveComment = () => {
+    setEditingComment(false);
+    if (draft.trim() !== feedback.comment) onChange({ comment: draft.trim() });
+  };
+
+  return (
+    <div className="feedback-bar">
+      <div className="feedback-actions">
+        <button
+          className={`feedback-star ${feedback.isPreferred ? "active" : ""}`}
+          onClick={() => onChange({ isPreferred: !feedback.isPreferred })}
+          title={feedback.isPreferred ? "Unmark preferred" : "Mark as preferred"}
+          aria-pressed={feedback.isPreferred}
+        >
+          <FontAwesomeIcon icon={faStar} />
+        </button>
+
+        <div className="feedback-rating" role="group" aria-label="Rating">
+          {RATINGS.map((value) => (
+            <button
+              key={value}
+              className={feedback.rating === value ? "active" : ""}
+              onClick={() =>
+                onChange({ rating: feedback.rating === value ? null : value })
+              }
+              title={`Rate ${value} of 5`}
+            >
+              {value}
+            </button>
+          ))}
+        </div>
+
+        <button
+          className={`feedback-comment-btn ${feedback.comment ? "active" : ""}`}
+          onClick={openComment}
+          title={feedback.comment ? "Edit comment" : "Add comment"}
+        >
+          <FontAwesomeIcon icon={faComment} />
+        </button>
+      </div>
+
+      {editingComment ? (
+        <div className="feedback-comment-editor">
+          <textarea
+            value={draft}
+            autoFocus
+            rows={2}
+            placeholder="What made this answer better or worse?"
+            onChange={(e) => setDraft(e.target.value)}
+          />
+          <div className="feedback-comment-buttons">
+            <button onClick={() => setEditingComment(false)}>Cancel</button>
+            <button className="primary" onClick={saveComment}>
+              Save
+            </button>
+          </div>
+        </div>
+      ) : (
+        feedback.comment && (
+          <div className="feedback-comment" onClick={openComment}>
+            {feedback.comment}
+          </div>
+        )
+      )}
+    </div>
+  );
+};
+
+export default FeedbackBar;
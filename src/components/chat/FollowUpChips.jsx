@@ -0,0 +1,31 @@
+import React from "react";
+
+// Suggested next prompts under an answer. Clicking a chip puts it in the
+// prompt box to edit; its arrow sends it straight away.
+// `onPick(text, send)` receives which of the two was used.
+const FollowUpChips = ({ suggestions, onPick, disabled = false }) => (
+  <div className="follow-up-chips" aria-label="Suggested follow-ups">
+    {suggestions.map((text) => (
+      <span className="follow-up-chip" key={text}>
+        <button
+          onClick={() => onPick(text, false)}
+          disabled={disabled}
+          title="Put in the prompt box"
+        >
+          {text}
+        </button>
+        <button
+          className="follow-up-send"
+          onClick={() => onPick(text, true)}
+          disabled={disabled}
+          title="Send to all models now"
+          aria-label={`Send "${text}"`}
+        >
+          ➤
+        </button>
+      </span>
+    ))}
+  </div>
+);
+
+export default FollowUpChips;
@@ -0,0 +1,69 @@
+import React from "react";
+import ReactMarkdown from "react-markdown";
+import remarkGfm from "remark-gfm";
+import { Prism as SyntaxHighlighter } from "react-syntax-highlighter";
+import { duotoneDark } from "react-syntax-highlighter/dist/esm/styles/prism";
+import remarkDiffMarks from "../../utils/remarkDiffMarks";
+import remarkCitationLinks from "../../utils/remarkCitationLinks";
+
+// A streamed answer can stop inside a code fence; close it so the partial
+// Markdown renders as a code block instead of swallowing the rest as text.
+const closeOpenFences = (content) => {
+  const fences = content.match(/^\s*```/gm) || [];
+  return fences.length % 2 === 1 ? `${content}\n` + "```" : content;
+};
+
+// Lines flagged by remarkDiffMarks get a diff background inside the
+// highlighted block, since the markers can't be rendered in code. The
+// highlighter only passes line numbers to lineProps when it shows them.
+const diffLineProps = (kind, lines) => {
+  const changed = new Set(String(lines || "").split(",").map(Number));
+  return (lineNumber) =>
+    changed.has(lineNumber) ? { className: `diff-line diff-${kind}` } : {};
+};
+
+const markdownComponents = {
+  code({ inline, className, children, ...props }) {
+    const match = /language-(\w+)/.exec(className || "");
+    const diffKind = props["data-diff-kind"];
+
+    return !inline && match ? (
+      <SyntaxHighlighter
+        style={duotoneDark}
+        language={match[1]}
+        wrapLines={!!diffKind}
+        showLineNumbers={!!diffKind}
+        lineProps={
+          diffKind ? diffLineProps(diffKind, props["data-diff-lines"]) : undefined
+        }
+      >
+        {String(children)}
+      </SyntaxHighlighter>
+    ) : (
+      <code className={`inline-code ${diffKind ? `diff-${diffKind}` : ""}`}>
+        {children}
+      </code>
+    );
+  },
+};
+
+// `diff` ("ins" or "del") renders the change markers produced by diffWords.
+// `citations` ({ scope, count }) links [n] markers to the answer's sources.
+const MarkdownContent = ({
+  content,
+  streaming = false,
+  diff = null,
+  citations = null,
+}) => {
+  const plugins = [remarkGfm];
+  if (diff) plugins.push([remarkDiffMarks, { kind: diff }]);
+  if (citations?.count > 0) plugins.push([remarkCitationLinks, citations]);
+
+  return (
+    <ReactMarkdown remarkPlugins={plugins} components={markdownComponents}>
+      {streaming ? closeOpenFences(content) : content}
+    </ReactMarkdown>
+  );
+};
+
+export default MarkdownContent;
@@ -0,0 +1,105 @@
+import React, { useState } from "react";
+import {
+  CONFIG_FIELDS,
+  toModelConfig,
+  validateModelConfig,
+} from "../../utils/modelConfig";
+
+const rangeHint = ({ min = null, max = null } = {}) => {
+  if (min === null) return "";
+  return max !== null ? `${min} – ${max}` : `≥ ${min}`;
+};
+
+// Side drawer for one model's settings in the current session. Blank fields
+// use the model default. `onSave(config)` resolves to true once stored.
+const ModelConfigDrawer = ({ modelName, configuration = {}, limits = {}, onSave, onClose }) => {
+  const [values, setValues] = useState(() => ({
+    temperature: configuration.temperature ?? "",
+    top_p: configuration.top_p ?? "",
+    max_tokens: configuration.max_tokens ?? "",
+    system_prompt: configuration.system_prompt ?? "",
+  }));
+  const [saving, setSaving] = useState(false);
+
+  const errors = validateModelConfig(values, limits);
+  const hasErrors = Object.keys(errors).length > 0;
+
+  const setField = (key) => (e) =>
+    setValues((prev) => ({ ...prev, [key]: e.target.value }));
+
+  const handleSave = async () => {
+    if (hasErrors) return;
+    setSaving(true);
+    const saved = await onSave(toModelConfig(values));
+    setSaving(false);
+    if (saved) onClose();
+  };
+
+  const handleReset = () =>
+    setValues({ temperature: "", top_p: "", max_tokens: "", system_prompt: "" });
+
+  return (
+    <div className="config-overlay" onClick={onClose}>
+      <aside className="config-drawer" onClick={(e) => e.stopPropagation()}>
+        <div className="config-drawer-header">
+          <h3>{modelName} settings</h3>
+          <button className="config-close" onClick={onClose} title="Close">
+            ×
+          </button>
+        </div>
+
+        <p className="config-drawer-note">
+          Applies to this session only. Leave a field empty to use the model
+          default.
+        </p>
+
+        {CONFIG_FIELDS.map(({ key, label, step }) => (
+          <label className="config-field" key={key}>
+            <span>
+              {label}
+              <small>{rangeHint(limits[key])}</small>
+            </span>
+            <input
+              type="number"
+              step={step}
+              min={limits[key]?.min ?? undefined}
+              max={limits[key]?.max ?? undefined}
+              placeholder="Default"
+              value={values[key]}
+              onChange={setField(key)}
+            />
+            {errors[key] && <em className="config-error">{errors[key]}</em>}
+          </label>
+        ))}
+
+        <label className="config-field">
+          <span>System prompt</span>
+          <textarea
+            rows={6}
+            placeholder="Instructions sent before every prompt to this model"
+            value={values.system_prompt}
+            onChange={setField("system_prompt")}
+          />
+          {errors.system_prompt && (
+            <em className="config-error">{errors.system_prompt}</em>
+          )}
+        </label>
+
+        <div className="config-actions">
+          <button className="config-reset" onClick={handleReset}>
+            Reset to defaults
+          </button>
+          <button
+            className="config-save"
+            onClick={handleSave}
+            disabled={saving || hasErrors}
+          >
+            {saving ? "Saving…" : "Save"}
+          </button>
+        </div>
+      </aside>
+    </div>
+  );
+};
+
+export default ModelConfigDrawer;
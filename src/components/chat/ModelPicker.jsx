@@ -0,0 +1,112 @@
+import React, { useState } from "react";
+import {
+  capabilityList,
+  formatContextLength,
+  groupByProvider,
+} from "../../utils/modelCatalog";
+
+// Model selection step for a new session: searchable, grouped by provider,
+// and capped at the plan's models-per-prompt limit (`maxModels`, null for
+// unlimited).
+const ModelPicker = ({ catalog, selectedIds, onChange, maxModels = null }) => {
+  const [query, setQuery] = useState("");
+
+  const needle = query.trim().toLowerCase();
+  const matches = catalog.filter((model) =>
+    [model.name, model.provider, model.description, ...capabilityList(model.capabilities)]
+      .filter(Boolean)
+      .some((text) => String(text).toLowerCase().includes(needle))
+  );
+  const groups = groupByProvider(matches);
+
+  const limitReached = maxModels !== null && selectedIds.length >= maxModels;
+
+  const toggle = (modelId) => {
+    if (selectedIds.includes(modelId)) {
+      onChange(selectedIds.filter((id) => id !== modelId));
+    } else if (maxModels === 1) {
+      // With a single slot, picking another model swaps it in.
+      onChange([modelId]);
+    } else if (!limitReached) {
+      onChange([...selectedIds, modelId]);
+    }
+  };
+
+  return (
+    <div className="model-picker">
+      <div className="model-picker-header">
+        <div>
+          <h3>Choose models to compare</h3>
+          <span className="model-picker-count">
+            {selectedIds.length}
+            {maxModels !== null ? ` / ${maxModels}` : ""} selected
+          </span>
+        </div>
+        <input
+          type="search"
+          className="model-picker-search"
+          placeholder="Search models, providers or capabilities"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+        />
+      </div>
+
+      {limitReached && maxModels > 1 && (
+        <div className="model-picker-limit">
+          Your plan allows {maxModels} models per prompt. Deselect one to pick
+          another.
+        </div>
+      )}
+
+      {groups.length === 0 && (
+        <div className="rows-empty">No models match “{query}”.</div>
+      )}
+
+      {groups.map(({ provider, models }) => (
+        <section className="model-picker-group" key={provider}>
+          <h4>{provider}</h4>
+
+          {models.map((model) => {
+            const selected = selectedIds.includes(model.id);
+            const disabled = !selected && limitReached && maxModels !== 1;
+            const context = formatContextLength(model.context_length);
+
+            return (
+              <label
+                key={model.id}
+                className={`model-picker-item ${selected ? "selected" : ""} ${
+                  disabled ? "disabled" : ""
+                }`}
+              >
+                <input
+                  type="checkbox"
+                  checked={selected}
+                  disabled={disabled}
+                  onChange={() => toggle(model.id)}
+                />
+                <div className="model-picker-info">
+                  <span className="model-picker-name">{model.name}</span>
+                  {model.description && (
+                    <span className="model-picker-description">
+                      {model.description}
+                    </span>
+                  )}
+                </div>
+                <div className="model-picker-tags">
+                  {capabilityList(model.capabilities).map((capability) => (
+                    <span className="capability-tag" key={capability}>
+                      {capability}
+                    </span>
+                  ))}
+                  {context && <span className="context-tag">{context}</span>}
+                </div>
+              </label>
+            );
+          })}
+        </section>
+      ))}
+    </div>
+  );
+};
+
+export default ModelPicker;
@@ -0,0 +1,226 @@
+import React, { useRef, useState } from "react";
+import { toast } from "react-toastify";
+import { promptLibraryService } from "../../services/chat/prompts/PromptLibraryService";
+import {
+  extractVariables,
+  groupByFolder,
+  parseLibraryFile,
+  searchTemplates,
+  toLibraryJson,
+} from "../../utils/promptTemplates";
+import { downloadFile } from "../../utils/sessionExport";
+
+const EMPTY_DRAFT = { id: null, title: "", folder: "", content: "" };
+
+// Side drawer listing the user's saved prompts by folder, with an editor
+// and JSON import/export. It saves through the API itself and reports the
+// new list through `onTemplatesChange`; `onInsert(template)` puts one into
+// the prompt box.
+const PromptLibrary = ({ templates, onTemplatesChange, onInsert, onClose }) => {
+  const [query, setQuery] = useState("");
+  const [draft, setDraft] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const importInput = useRef(null);
+
+  const folders = [...new Set(templates.map((t) => t.folder).filter(Boolean))].sort();
+  const groups = groupByFolder(searchTemplates(templates, query));
+
+  const handleSave = async () => {
+    const template = {
+      title: draft.title.trim(),
+      folder: draft.folder.trim(),
+      content: draft.content,
+    };
+    setSaving(true);
+    const res = draft.id
+      ? await promptLibraryService.updateTemplate(draft.id, template)
+      : await promptLibraryService.createTemplate(template);
+    setSaving(false);
+
+    if (!res.ok) {
+      toast.error(res.error?.message || "Could not save the prompt");
+      return;
+    }
+    const saved = res.data.data.template;
+    onTemplatesChange(
+      draft.id
+        ? templates.map((t) => (t.id === saved.id ? saved : t))
+        : [...templates, saved]
+    );
+    setDraft(null);
+  };
+
+  const handleDelete = async (template) => {
+    const res = await promptLibraryService.deleteTemplate(template.id);
+    if (!res.ok) {
+      toast.error(res.error?.message || "Could not delete the prompt");
+      return;
+    }
+    onTemplatesChange(templates.filter((t) => t.id !== template.id));
+  };
+
+  const handleImportFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+
+    const { templates: imported, error } = parseLibraryFile(await file.text());
+    if (error) {
+      toast.error(error);
+      return;
+    }
+
+    const res = await promptLibraryService.importTemplates(imported);
+    if (!res.ok) {
+      toast.error(res.error?.message || "Could not import the prompts");
+      return;
+    }
+    onTemplatesChange([...templates, ...res.data.data.templates]);
+    toast.success(`Imported ${res.data.data.templates.length} prompts`);
+  };
+
+  const handleExport = () =>
+    downloadFile(toLibraryJson(templates), "prompt-library.json", "application/json");
+
+  const canSave = draft && draft.title.trim() && draft.content.trim() && !saving;
+
+  return (
+    <div className="config-overlay library-overlay" onClick={onClose}>
+      <aside className="config-drawer library-drawer" onClick={(e) => e.stopPropagation()}>
+        <div className="config-drawer-header">
+          <h3>Prompt library</h3>
+          <button className="config-close" onClick={onClose} title="Close">
+            ×
+          </button>
+        </div>
+
+        {draft ? (
+          <div className="library-editor">
+            <label className="config-field">
+              <span>Title</span>
+              <input
+                value={draft.title}
+                maxLength={120}
+                autoFocus
+                onChange={(e) => setDraft({ ...draft, title: e.target.value })}
+              />
+            </label>
+            <label className="config-field">
+              <span>Folder</span>
+              <input
+                list="library-folders"
+                value={draft.folder}
+                maxLength={100}
+                placeholder="None"
+                onChange={(e) => setDraft({ ...draft, folder: e.target.value })}
+              />
+              <datalist id="library-folders">
+                {folders.map((f) => (
+                  <option key={f} value={f} />
+                ))}
+              </datalist>
+            </label>
+            <label className="config-field">
+              <span>
+                Prompt
+                <small>Use {"{{name}}"} for parts to fill in</small>
+              </span>
+              <textarea
+                rows={10}
+                value={draft.content}
+                onChange={(e) => setDraft({ ...draft, content: e.target.value })}
+              />
+            </label>
+            {extractVariables(draft.content).length > 0 && (
+              <div className="library-variables">
+                {extractVariables(draft.content).map((name) => (
+                  <span className="config-badge" key={name}>
+                    {name}
+                  </span>
+                ))}
+              </div>
+            )}
+            <div className="config-actions">
+              <button className="config-reset" onClick={() => setDraft(null)}>
+                Cancel
+              </button>
+              <button className="config-save" onClick={handleSave} disabled={!canSave}>
+                {saving ? "Saving…" : "Save"}
+              </button>
+            </div>
+          </div>
+        ) : (
+          <>
+            <div className="library-toolbar">
+              <input
+                type="search"
+                placeholder="Search prompts"
+                value={query}
+                onChange={(e) => setQuery(e.target.value)}
+              />
+              <button onClick={() => setDraft(EMPTY_DRAFT)}>+ New</button>
+            </div>
+
+            <div className="library-list">
+              {templates.length === 0 && (
+                <p className="config-drawer-note">
+                  Save prompts you reuse, then type / in the prompt box to insert
+                  one.
+                </p>
+              )}
+              {groups.map(({ folder, templates: items }) => (
+                <section key={folder || "(none)"}>
+                  {folder && <h4 className="library-folder">{folder}</h4>}
+                  {items.map((t) => (
+                    <div className="library-item" key={t.id}>
+                      <button
+                        className="library-item-main"
+                        onClick={() => onInsert(t)}
+                        title="Insert into the prompt box"
+                      >
+                        <strong>{t.title}</strong>
+                        <span>{t.content}</span>
+                      </button>
+                      <div className="library-item-actions">
+                        <button
+                          onClick={() =>
+                            setDraft({ ...t, folder: t.folder || "" })
+                          }
+                        >
+                          Edit
+                        </button>
+                        <button onClick={() => handleDelete(t)}>Delete</button>
+                      </div>
+                    </div>
+                  ))}
+                </section>
+              ))}
+            </div>
+
+            <div className="config-actions">
+              <button className="config-reset" onClick={() => importInput.current?.click()}>
+                Import JSON
+              </button>
+              <button
+                className="config-reset"
+                onClick={handleExport}
+                disabled={templates.length === 0}
+              >
+                Export JSON
+              </button>
+              <input
+                ref={importInput}
+                type="file"
+                accept="application/json,.json"
+                hidden
+                onChange={handleImportFile}
+              />
+            </div>
+          </>
+        )}
+      </aside>
+    </div>
+  );
+};
+
+export default PromptLibrary;
@@ -0,0 +1,34 @@
+import React, { useState } from "react";
+import { FontAwesomeIcon } from "@fortawesome/react-fontawesome";
+import { faChevronDown, faChevronRight } from "@fortawesome/free-solid-svg-icons";
+import MarkdownContent from "./MarkdownContent";
+
+// Collapsible list of a response's thinking traces, in the order the model
+// produced them. Starts collapsed so answers stay easy to compare.
+const ReasoningSection = ({ traces, streaming = false }) => {
+  const [open, setOpen] = useState(false);
+
+  return (
+    <div className={`reasoning ${open ? "open" : ""}`}>
+      <button className="reasoning-toggle" onClick={() => setOpen(!open)}>
+        <FontAwesomeIcon icon={open ? faChevronDown : faChevronRight} />
+        {streaming ? "Reasoning…" : "Reasoning"}
+        <span className="reasoning-count">
+          {traces.length} {traces.length === 1 ? "step" : "steps"}
+        </span>
+      </button>
+
+      {open && (
+        <ol className="reasoning-steps">
+          {traces.map((trace, index) => (
+            <li key={index}>
+              <MarkdownContent content={trace} streaming={streaming} />
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+};
+
+export default ReasoningSection;
@@ -0,0 +1,47 @@
+import React from "react";
+import {
+  formatCost,
+  formatLatency,
+  formatTokens,
+} from "../../utils/responseStats";
+
+const NO_ANSWERS = { answers: 0, outputTokens: 0, cost: 0, avgLatencyMs: null };
+
+// Per-model totals for the open session, so speed and cost can be weighed
+// against answer quality while comparing. `stats` comes from toSessionStats,
+// so it covers the whole session rather than the loaded messages.
+const SessionSummaryBar = ({ models, stats }) => {
+  const summaries = models.map((model) => ({
+    model,
+    ...(stats[String(model.id)] || NO_ANSWERS),
+  }));
+
+  if (!summaries.some((s) => s.answers > 0)) return null;
+
+  const totalCost = summaries.reduce((sum, s) => sum + s.cost, 0);
+  const totalTokens = summaries.reduce((sum, s) => sum + s.outputTokens, 0);
+
+  return (
+    <div className="session-summary">
+      {summaries.map(({ model, answers, outputTokens, cost, avgLatencyMs }) => (
+        <div className="session-summary-item" key={model.id}>
+          <span className="session-summary-name">{model.name}</span>
+          <span title="Average latency">{formatLatency(avgLatencyMs)}</span>
+          <span title="Output tokens">{formatTokens(outputTokens)}</span>
+          <span title="Cost">{formatCost(cost)}</span>
+          <span className="session-summary-count">
+            {answers} {answers === 1 ? "answer" : "answers"}
+          </span>
+        </div>
+      ))}
+
+      <div className="session-summary-item total">
+        <span className="session-summary-name">Session</span>
+        <span>{formatTokens(totalTokens)}</span>
+        <span>{formatCost(totalCost)}</span>
+      </div>
+    </div>
+  );
+};
+
+export default SessionSummaryBar;
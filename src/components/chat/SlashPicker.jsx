@@ -0,0 +1,28 @@
+import React from "react";
+
+// Suggestions shown above the prompt box while it holds "/query". Keyboard
+// handling stays with the textarea; this only renders and takes clicks.
+const SlashPicker = ({ matches, activeIndex, onPick }) => (
+  <div className="slash-picker" role="listbox" aria-label="Saved prompts">
+    {matches.length === 0 ? (
+      <div className="slash-picker-empty">No saved prompts match.</div>
+    ) : (
+      matches.map((t, index) => (
+        <button
+          key={t.id}
+          role="option"
+          aria-selected={index === activeIndex}
+          className={index === activeIndex ? "active" : ""}
+          // Keep focus in the textarea so typing can continue.
+          onMouseDown={(e) => e.preventDefault()}
+          onClick={() => onPick(t)}
+        >
+          <strong>{t.title}</strong>
+          {t.folder && <small>{t.folder}</small>}
+        </button>
+      ))
+    )}
+  </div>
+);
+
+export default SlashPicker;
@@ -0,0 +1,58 @@
+import React, { useState } from "react";
+import "../../styles/ConfirmDialog.css";
+import { extractVariables, fillTemplate } from "../../utils/promptTemplates";
+
+// Asks for a value for each `{{variable}}` in a library prompt and hands the
+// filled-in text to `onInsert(text)`.
+const TemplateFillDialog = ({ template, onInsert, onCancel }) => {
+  const variables = extractVariables(template.content);
+  const [values, setValues] = useState({});
+
+  const missing = variables.filter((name) => !(values[name] || "").trim());
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (missing.length > 0) return;
+    onInsert(fillTemplate(template.content, values));
+  };
+
+  return (
+    <div className="confirm-overlay" onClick={onCancel}>
+      <form
+        className="confirm-dialog template-fill"
+        onClick={(e) => e.stopPropagation()}
+        onSubmit={handleSubmit}
+      >
+        <h3 className="confirm-title">{template.title}</h3>
+
+        {variables.map((name, index) => (
+          <label className="template-fill-field" key={name}>
+            {name}
+            <textarea
+              rows={2}
+              autoFocus={index === 0}
+              value={values[name] || ""}
+              onChange={(e) => setValues({ ...values, [name]: e.target.value })}
+              onKeyDown={(e) => {
+                if (e.key === "Enter" && (e.metaKey || e.ctrlKey)) handleSubmit(e);
+              }}
+            />
+          </label>
+        ))}
+
+        <pre className="template-preview">{fillTemplate(template.content, values)}</pre>
+
+        <div className="confirm-actions">
+          <button type="button" className="btn-cancel" onClick={onCancel}>
+            Cancel
+          </button>
+          <button type="submit" className="btn-confirm" disabled={missing.length > 0}>
+            Insert
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default TemplateFillDialog;
@@ -0,0 +1,34 @@
+import React from "react";
+
+// Horizontal bars for one leaderboard metric, in the table's order. Bars
+// are scaled to the largest value; models without one get an empty row.
+const MetricBarChart = ({ models, metric }) => {
+  const max = Math.max(0, ...models.map((m) => m[metric.key] ?? 0));
+
+  return (
+    <figure className="leaderboard-chart">
+      <figcaption>
+        {metric.label}
+        <small>{metric.better === "asc" ? "lower is better" : "higher is better"}</small>
+      </figcaption>
+      {models.map((m) => {
+        const value = m[metric.key];
+        return (
+          <div className="bar-row" key={m.model_id}>
+            <span className="bar-label" title={m.model_name}>
+              {m.model_name}
+            </span>
+            <span className="bar-track">
+              {value !== null && max > 0 && (
+                <span className="bar-fill" style={{ width: `${(value / max) * 100}%` }} />
+              )}
+            </span>
+            <span className="bar-value">{metric.format(value)}</span>
+          </div>
+        );
+      })}
+    </figure>
+  );
+};
+
+export default MetricBarChart;
@@ -0,0 +1,86 @@
+import React from "react";
+import { formatLatency } from "../../utils/responseStats";
+
+const WIDTH = 480;
+const HEIGHT = 280;
+const PAD = { top: 16, right: 24, bottom: 36, left: 44 };
+
+// Scatter of preferred rate against median latency: the best models sit
+// top left. Models missing either figure are left out and counted below.
+const QualitySpeedChart = ({ models }) => {
+  const points = models.filter(
+    (m) => m.preferred_rate !== null && m.median_latency_ms !== null
+  );
+  const maxLatency = Math.max(1, ...points.map((m) => m.median_latency_ms));
+  const x = (ms) => PAD.left + (ms / maxLatency) * (WIDTH - PAD.left - PAD.right);
+  const y = (rate) => PAD.top + (1 - rate) * (HEIGHT - PAD.top - PAD.bottom);
+
+  return (
+    <figure className="leaderboard-chart">
+      <figcaption>
+        Preferred rate vs. median latency
+        <small>top left is best</small>
+      </figcaption>
+      <svg
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        role="img"
+        aria-label="Preferred rate against median latency"
+      >
+        <line
+          className="axis"
+          x1={PAD.left}
+          y1={HEIGHT - PAD.bottom}
+          x2={WIDTH - PAD.right}
+          y2={HEIGHT - PAD.bottom}
+        />
+        <line
+          className="axis"
+          x1={PAD.left}
+          y1={PAD.top}
+          x2={PAD.left}
+          y2={HEIGHT - PAD.bottom}
+        />
+        {[0, 0.5, 1].map((rate) => (
+          <text key={rate} className="tick" x={PAD.left - 6} y={y(rate) + 4} textAnchor="end">
+            {rate * 100}%
+          </text>
+        ))}
+        <text className="tick" x={PAD.left} y={HEIGHT - 12}>
+          0
+        </text>
+        <text className="tick" x={WIDTH - PAD.right} y={HEIGHT - 12} textAnchor="end">
+          {formatLatency(maxLatency)}
+        </text>
+        {points.map((m) => (
+          <g key={m.model_id}>
+            <circle
+              className="point"
+              cx={x(m.median_latency_ms)}
+              cy={y(m.preferred_rate)}
+              r={5}
+            >
+              <title>
+                {m.model_name}: {Math.round(m.preferred_rate * 100)}%,{" "}
+                {formatLatency(m.median_latency_ms)}
+              </title>
+            </circle>
+            <text
+              className="point-label"
+              x={x(m.median_latency_ms) + 8}
+              y={y(m.preferred_rate) + 4}
+            >
+              {m.model_name}
+            </text>
+          </g>
+        ))}
+      </svg>
+      {points.length < models.length && (
+        <p className="leaderboard-note">
+          {models.length - points.length} models have no votes or latency yet.
+        </p>
+      )}
+    </figure>
+  );
+};
+
+export default QualitySpeedChart;
@@ -59,7 +59,7 @@ const StripePaymentForm = ({ plan, onBack, onSuccess }) => {
       });
 
       if (!paymentMethodResponse.ok) {
-        setError(paymentMethodResponse.data?.message || 'Failed to attach payment method');
+        setError(paymentMethodResponse.error.message || 'Failed to attach payment method');
         setLoading(false);
         return;
       }
@@ -71,7 +71,7 @@ const StripePaymentForm = ({ plan, onBack, onSuccess }) => {
       });
 
       if (!paymentIntentResponse.ok) {
-        setError(paymentIntentResponse.data?.message || 'Failed to create payment intent');
+        setError(paymentIntentResponse.error.message || 'Failed to create payment intent');
         setLoading(false);
         return;
       }
@@ -104,7 +104,7 @@ const StripePaymentForm = ({ plan, onBack, onSuccess }) => {
       });
 
       if (!processPaymentResponse.ok) {
-        setError(processPaymentResponse.data?.message || 'Payment processing failed');
+        setError(processPaymentResponse.error.message || 'Payment processing failed');
         setLoading(false);
         return;
       }
@@ -1,6 +1,7 @@
 import { Navigate } from "react-router-dom";
 import { useContext } from "react";
 import { AuthContext } from "../guards/context/AuthContext";
+import { getRefreshToken } from "../services/tokenStorage";
 
 const AuthGuard = ({ children }) => {
   const { token, logout } = useContext(AuthContext);
@@ -10,7 +11,9 @@ const AuthGuard = ({ children }) => {
   try {
     const payload = JSON.parse(atob(token.split(".")[1]));
     const now = Math.floor(Date.now() / 1000);
-    if (payload.exp && payload.exp < now) {
+    // An expired token is fine while a refresh token can renew it; apiClient
+    // refreshes on the next request.
+    if (payload.exp && payload.exp < now && !getRefreshToken()) {
       logout();
       return <Navigate to="/login" replace />;
     }
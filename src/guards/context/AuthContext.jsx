@@ -1,27 +1,38 @@
 import { createContext, useState, useEffect } from "react";
+import { authService } from "../../services/authService";
+import {
+  getToken,
+  getRefreshToken,
+  storeTokens,
+  clearTokens,
+} from "../../services/tokenStorage";
 
 export const AuthContext = createContext();
 
 export const AuthProvider = ({ children }) => {
-  const [token, setToken] = useState(localStorage.getItem("token") || sessionStorage.getItem("token"));
+  const [token, setToken] = useState(getToken());
 
-  const login = (newToken, remember = false) => {
-    if (remember) localStorage.setItem("token", newToken);
-    else sessionStorage.setItem("token", newToken);
+  const login = (newToken, remember = false, refreshToken = null) => {
+    storeTokens(newToken, refreshToken, remember);
     setToken(newToken);
   };
 
   const logout = () => {
+    // Revoke the refresh token server-side; local state is cleared regardless.
+    const refreshToken = getRefreshToken();
+    if (refreshToken) {
+      authService.logout(refreshToken).catch(() => {});
+    }
+
     localStorage.setItem("loggedOut", "true"); 
-    localStorage.removeItem("token");
-    sessionStorage.removeItem("token");
+    clearTokens();
     localStorage.removeItem("currentSessionId");
     sessionStorage.removeItem("currentSessionId");
     setToken(null);
   };
 
   useEffect(() => {
-    const t = localStorage.getItem("token") || sessionStorage.getItem("token");
+    const t = getToken();
     setToken(t);
   }, []);
 
@@ -31,6 +42,12 @@ export const AuthProvider = ({ children }) => {
     return () => window.removeEventListener('unauthorized', handleUnauthorized);
   }, [logout]);
 
+  useEffect(() => {
+    const handleRefreshed = (e) => setToken(e.detail.token);
+    window.addEventListener("tokenRefreshed", handleRefreshed);
+    return () => window.removeEventListener("tokenRefreshed", handleRefreshed);
+  }, []);
+
   return (
     <AuthContext.Provider value={{ token, setToken, login, logout }}>
       {children}
@@ -42,7 +42,7 @@ const ChangePassword = () => {
     setLoading(false);
 
     if (!res.ok) {
-      return setError(res.data.message || "Failed to update password.");
+      return setError(res.error.message || "Failed to update password.");
     }
 
     setSuccess("Password updated successfully.");
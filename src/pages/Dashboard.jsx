@@ -2,13 +2,77 @@ import React, { useState, useEffect, useRef } from "react";
 import "../styles/Dashboard.css";
 import { chatService } from "../services/chat/ChatService";
 import { sessionService } from "../services/chat/session/SessionService";
+import { feedbackService } from "../services/chat/feedback/FeedbackService";
+import { getCurrentSubscription } from "../services/paymentPlanService";
+import { toast } from "react-toastify";
 
-import ReactMarkdown from "react-markdown";
-import remarkGfm from "remark-gfm";
-import { Prism as SyntaxHighlighter } from "react-syntax-highlighter";
-import { duotoneDark } from "react-syntax-highlighter/dist/esm/styles/prism";
 import { useContext } from "react";
 import { AuthContext } from "../guards/context/AuthContext";
+import { runWithConcurrency } from "../utils/runWithConcurrency";
+import { buildModelThreads, buildTurnRows } from "../utils/sessionTurns";
+import { attachFeedback, EMPTY_FEEDBACK } from "../utils/responseFeedback";
+import { toResponseStats, toSessionStats } from "../utils/responseStats";
+import { toCitations, toFollowUps } from "../utils/responseExtras";
+import { hasPlanFeature, planLimit } from "../utils/planFeatures";
+import ChatBubble from "../components/chat/ChatBubble";
+import ComparisonRows from "../components/chat/ComparisonRows";
+import DiffView from "../components/chat/DiffView";
+import BlindComparison from "../components/chat/BlindComparison";
+import { toBlindRanks } from "../utils/blindComparison";
+import SessionSummaryBar from "../components/chat/SessionSummaryBar";
+import ModelPicker from "../components/chat/ModelPicker";
+import AddModelControl from "../components/chat/AddModelControl";
+import ConfirmDialog from "../components/Common/ConfirmDialog";
+import ModelConfigDrawer from "../components/chat/ModelConfigDrawer";
+import { configBadges } from "../utils/modelConfig";
+import ExportMenu from "../components/chat/ExportMenu";
+import BatchRunner from "../components/chat/BatchRunner";
+import PromptLibrary from "../components/chat/PromptLibrary";
+import SlashPicker from "../components/chat/SlashPicker";
+import TemplateFillDialog from "../components/chat/TemplateFillDialog";
+import { promptLibraryService } from "../services/chat/prompts/PromptLibraryService";
+import { extractVariables, searchTemplates } from "../utils/promptTemplates";
+import {
+  EXPORT_TYPES,
+  buildExportData,
+  downloadFile,
+  exportFileName,
+  toCsv,
+  toHtml,
+  toJson,
+  toMarkdown,
+} from "../utils/sessionExport";
+
+// Upper bound on prompts in flight at once when fanning out to models.
+const MAX_CONCURRENT_REQUESTS = 4;
+
+// Most saved prompts listed by the "/" picker at once.
+const SLASH_PICKER_LIMIT = 8;
+
+// Exports and batch reloads need the whole history, not the first page the
+// Dashboard loads.
+const FULL_HISTORY_LIMIT = 10000;
+
+const LAYOUT_STORAGE_KEY = "comparisonLayout";
+const LAYOUTS = [
+  { id: "columns", label: "Columns" },
+  { id: "rows", label: "Rows" },
+  { id: "diff", label: "Diff" },
+  { id: "blind", label: "Blind" },
+];
+
+// { [modelId]: { configuration, limits } } for a session, or null on failure.
+const fetchModelConfigs = async (sessionId) => {
+  const res = await sessionService.getModelsConfig(sessionId);
+  if (!res.ok) return null;
+
+  const configs = {};
+  (res.data.data.models || []).forEach((m) => {
+    configs[m.model_id] = { configuration: m.configuration || {}, limits: m.limits || {} };
+  });
+  return configs;
+};
+
 const Dashboard = ({
   sessionData,
   sessionMessages,
@@ -24,49 +88,53 @@ const Dashboard = ({
 
   const sessionId = sessionData?.id || null;
   const bottomRefs = useRef({});
+  const abortControllers = useRef({});
+  const turnCounter = useRef(0);
+  const [layout, setLayout] = useState(
+    localStorage.getItem(LAYOUT_STORAGE_KEY) || "columns"
+  );
+  const [subscription, setSubscription] = useState(null);
+  // Before the first prompt the user picks which catalog models the new
+  // session compares.
+  const [catalog, setCatalog] = useState([]);
+  const [selectedModelIds, setSelectedModelIds] = useState([]);
+  const [removeTarget, setRemoveTarget] = useState(null);
+  const [modelConfigs, setModelConfigs] = useState({});
+  const [configTarget, setConfigTarget] = useState(null);
+  // Column reordering: the model being dragged and the card it hovers.
+  const draggedModelId = useRef(null);
+  const [dropTargetId, setDropTargetId] = useState(null);
+  const dragHandles = useRef({});
+  // Thinking traces are a plan feature; `reasoning` maps response id to its
+  // ordered trace texts.
+  const reasoningEnabled = hasPlanFeature(subscription, "thinking_traces");
+  const [reasoning, setReasoning] = useState({});
   const { token } = useContext(AuthContext);
   const [isSubmitting, setIsSubmitting] = useState(false);
+  // Prompt library: saved templates, the open drawer, the template whose
+  // variables are being filled in, and the "/" picker's highlighted row.
+  const [templates, setTemplates] = useState([]);
+  const [libraryOpen, setLibraryOpen] = useState(false);
+  const [fillTarget, setFillTarget] = useState(null);
+  const [slashIndex, setSlashIndex] = useState(0);
+  const [slashDismissed, setSlashDismissed] = useState(false);
+  const [batchOpen, setBatchOpen] = useState(false);
+  // Blind-layout ranks, response id to rank (1 = best).
+  const [blindRanks, setBlindRanks] = useState({});
+  // Summary bar totals per model, from the server.
+  const [sessionStats, setSessionStats] = useState({});
 
   useEffect(() => {
     const load = async () => {
       if (sessionData && sessionModels?.length > 0) {
-        const mappedModels = sessionModels.map((m) => ({
-          id: m.model_id,
-          name: m.model_name_full,
-          visible: Number(m.is_visible),
-        }));
-
-        const msgMap = {};
-        mappedModels.forEach((m) => {
-          msgMap[m.id] = [];
+        const threads = buildModelThreads(sessionModels, sessionMessages);
+        threads.models.forEach((m) => {
           bottomRefs.current[m.id] = bottomRefs.current[m.id] || React.createRef();
         });
+        turnCounter.current = threads.turnCount;
 
-        // Group messages by prompt_id for responses
-        const promptMap = {};
-        sessionMessages?.forEach((msg) => {
-           if (msg.type === "prompt") {
-             promptMap[msg.id] = msg;
-           }
-         });
-
-        sessionMessages?.forEach((msg) => {
-           if (msg.type === "response" && msgMap[msg.model_id]) {
-             // Add the corresponding prompt first, if not already added
-             const prompt = promptMap[msg.prompt_id];
-             if (prompt && !msgMap[msg.model_id].some(m => m.type === "prompt" && m.content === prompt.content)) {
-               msgMap[msg.model_id].push({ type: "prompt", content: prompt.content });
-             }
-             // Then add the response
-             msgMap[msg.model_id].push({
-               type: "response",
-               content: msg.content,
-             });
-           }
-         });
-
-        setModels(mappedModels);
-        setMessages(msgMap);
+        setModels(threads.models);
+        setMessages(threads.messages);
         return;
       }
 
@@ -74,26 +142,69 @@ const Dashboard = ({
         const res = await chatService.getModels();
         if (!res.ok) return;
 
-        const mappedModels = res.data.data.map((m) => ({
-          id: m.id,
-          name: m.name,
-          visible: 1,
-        }));
+        // Start from the catalog's default models, or every model when none
+        // is flagged; the plan limit is applied on top in `pickedModelIds`.
+        const available = res.data.data;
+        const defaults = available.filter((m) => m.is_default);
 
-        const msgMap = {};
-        mappedModels.forEach((m) => {
-          msgMap[m.id] = [];
-          bottomRefs.current[m.id] = React.createRef();
-        });
-
-        setModels(mappedModels);
-        setMessages(msgMap);
+        turnCounter.current = 0;
+        setCatalog(available);
+        setSelectedModelIds(
+          (defaults.length > 0 ? defaults : available).map((m) => m.id)
+        );
+        setModels([]);
+        setMessages({});
       }
     };
 
     load();
   }, [sessionData, sessionModels, sessionMessages]);
 
+  useEffect(() => {
+    promptLibraryService.getTemplates().then((res) => {
+      if (res.ok) setTemplates(res.data.data.templates);
+    });
+  }, []);
+
+  useEffect(() => {
+    getCurrentSubscription()
+      .then((res) => setSubscription(res.data))
+      .catch(() => setSubscription(null));
+  }, []);
+
+  useEffect(() => {
+    if (!sessionId) return;
+
+    feedbackService.getBlindVotes(sessionId).then((res) => {
+      setBlindRanks(res.ok ? toBlindRanks(res.data.data.votes) : {});
+    });
+  }, [sessionId]);
+
+  useEffect(() => {
+    if (!sessionId || !reasoningEnabled) return;
+
+    const loadReasoning = async () => {
+      const res = await sessionService.getThinkingTraces(sessionId);
+      if (!res.ok) return;
+
+      const bySession = {};
+      Object.entries(res.data.data.traces || {}).forEach(([responseId, traces]) => {
+        bySession[responseId] = traces.map((t) => t.content);
+      });
+      setReasoning(bySession);
+    };
+
+    loadReasoning();
+  }, [sessionId, reasoningEnabled]);
+
+  useEffect(() => {
+    if (!sessionId) return;
+
+    fetchModelConfigs(sessionId).then((configs) => {
+      if (configs) setModelConfigs(configs);
+    });
+  }, [sessionId]);
+
   useEffect(() => {
     const restoreSession = async () => {
       if (sessionData) return;
@@ -105,12 +216,16 @@ const Dashboard = ({
         const sessionRes = await sessionService.getSessionById(storedSessionId);
         const modelRes = await sessionService.getSessionModels(storedSessionId);
         const msgRes = await sessionService.getSessionMessages(storedSessionId);
+        const feedbackRes = await feedbackService.getSessionFeedback(storedSessionId);
 
         if (!sessionRes.ok || !modelRes.ok) return;
 
         onSessionChange(
           sessionRes.data.data.session,
-          msgRes?.data?.data?.messages || [],
+          attachFeedback(
+            msgRes?.data?.data?.messages || [],
+            feedbackRes?.data?.data?.feedback || []
+          ),
           modelRes.data.data.models
         );
       } catch (err) {
@@ -148,21 +263,553 @@ const Dashboard = ({
     }
   };
 
+  const maxModels = planLimit(subscription, "max_models_per_prompt");
+  const pickedModelIds =
+    maxModels === null ? selectedModelIds : selectedModelIds.slice(0, maxModels);
+
   const generateTitle = (text) =>
     text.trim().split(/\s+/).slice(0, 3).join(" ");
 
   const isSending = Object.values(loadingModels).some(Boolean);
 
-  const handleSubmit = async () => {
-    if (!prompt.trim() || isSending) return;
+  // Reloaded once answers stop arriving: after a turn, a retry or a batch.
+  useEffect(() => {
+    if (!sessionId || isSending || batchOpen) return;
+
+    sessionService.getSessionStats(sessionId).then((res) => {
+      if (res.ok) setSessionStats(toSessionStats(res.data.data.stats));
+    });
+  }, [sessionId, isSending, batchOpen]);
+
+  // Pending responses get a client-side key so streamed tokens, stops,
+  // failures and retries update the right bubble even when it is not last.
+  const responseKey = useRef(0);
+  const nextResponseKey = () => `pending-${++responseKey.current}`;
+
+  const updateResponse = (modelId, key, update) => {
+    setMessages((prev) => ({
+      ...prev,
+      [modelId]: (prev[modelId] || []).map((msg) =>
+        msg.key === key ? { ...msg, ...update(msg) } : msg
+      ),
+    }));
+  };
+
+  const appendToken = (modelId, key, token) => {
+    updateResponse(modelId, key, (msg) => ({
+      content: msg.content + token,
+      streaming: true,
+    }));
+  };
+
+  const handleStop = (modelId) => {
+    const inFlight = abortControllers.current[modelId];
+    if (!inFlight) return;
+
+    inFlight.controller.abort();
+    delete abortControllers.current[modelId];
+    updateResponse(modelId, inFlight.key, () => ({
+      pending: false,
+      streaming: false,
+      stopped: true,
+    }));
+    setLoadingModels((prev) => ({ ...prev, [modelId]: false }));
+  };
+
+  const handleStopAll = () => {
+    Object.keys(abortControllers.current).forEach(handleStop);
+  };
+
+  // Sends one prompt to one model and settles the pending bubble `key`
+  // with the answer, a "stopped" marker or an error the user can retry.
+  const sendToModel = async (activeSessionId, modelId, promptText, key) => {
+    const inFlight = abortControllers.current[modelId];
+    if (!inFlight || inFlight.controller.signal.aborted) return;
+
+    const startedAt = performance.now();
+
+    try {
+      const res = await chatService.sendPromptToModel(
+        activeSessionId,
+        modelId,
+        promptText,
+        {
+          onToken: (token) => appendToken(modelId, key, token),
+          signal: inFlight.controller.signal,
+        }
+      );
+
+      // A stopped model has already been marked by handleStop.
+      if (res.aborted) return;
+
+      if (res.ok) {
+        const response = res.data?.data?.response;
+        const traces = res.data?.data?.thinking_traces;
+        if (response?.id && traces?.length) {
+          setReasoning((prev) => ({
+            ...prev,
+            [response.id]: traces.map((t) => t.content),
+          }));
+        }
+        updateResponse(modelId, key, (msg) => ({
+          content: response?.content || msg.content,
+          id: response?.id,
+          promptId: res.data?.data?.prompt?.id,
+          // Older servers don't report generation time; fall back to the
+          // round trip measured here.
+          stats: toResponseStats(response, performance.now() - startedAt),
+          followUps: toFollowUps(response?.follow_up_suggestions),
+          citations: toCitations(response?.source_citations),
+          pending: false,
+          streaming: false,
+        }));
+      } else {
+        updateResponse(modelId, key, () => ({
+          pending: false,
+          streaming: false,
+          error: res.error?.message || "The model did not respond.",
+        }));
+      }
+    } catch (err) {
+      console.error(`Prompt to model ${modelId} failed`, err);
+      updateResponse(modelId, key, () => ({
+        pending: false,
+        streaming: false,
+        error: "The model did not respond.",
+      }));
+    } finally {
+      if (abortControllers.current[modelId] === inFlight) {
+        delete abortControllers.current[modelId];
+      }
+      setLoadingModels((prev) => ({ ...prev, [modelId]: false }));
+    }
+  };
+
+  const handleRetry = (modelId, msg) => {
+    if (!sessionId || loadingModels[modelId]) return;
+
+    abortControllers.current[modelId] = {
+      controller: new AbortController(),
+      key: msg.key,
+    };
+    setLoadingModels((prev) => ({ ...prev, [modelId]: true }));
+    updateResponse(modelId, msg.key, () => ({
+      content: "",
+      pending: true,
+      stopped: false,
+      error: null,
+    }));
+
+    sendToModel(sessionId, modelId, msg.prompt, msg.key);
+  };
+
+  const setResponseFeedback = (responseId, feedback) => {
+    setMessages((prev) => {
+      const next = {};
+      Object.entries(prev).forEach(([modelId, list]) => {
+        next[modelId] = list.map((msg) =>
+          msg.id === responseId ? { ...msg, feedback } : msg
+        );
+      });
+      return next;
+    });
+  };
+
+  const savePreferred = async (msg, isPreferred) => {
+    const previous = msg.feedback || EMPTY_FEEDBACK;
+    setResponseFeedback(msg.id, { ...previous, isPreferred });
+
+    const res = await feedbackService.setPreferred(msg.id, isPreferred);
+    if (!res.ok) {
+      setResponseFeedback(msg.id, previous);
+      toast.error(res.error?.message || "Could not save preference");
+    }
+    return res.ok;
+  };
+
+  // Only one answer per prompt can be preferred: starring a response clears
+  // the star on the other models' answers to the same turn.
+  const handleFeedback = async (modelId, msg, changes) => {
+    if ("isPreferred" in changes) {
+      const saved = await savePreferred(msg, changes.isPreferred);
+      if (!saved || !changes.isPreferred) return;
+
+      const others = Object.entries(messages)
+        .filter(([id]) => id !== String(modelId))
+        .flatMap(([, list]) => list)
+        .filter((m) => m.turn === msg.turn && m.feedback?.isPreferred);
+
+      await Promise.all(others.map((m) => savePreferred(m, false)));
+      return;
+    }
+
+    const previous = msg.feedback || EMPTY_FEEDBACK;
+    const next = { ...previous, ...changes };
+    setResponseFeedback(msg.id, next);
+
+    const res = await feedbackService.saveFeedback(msg.id, {
+      rating: next.rating,
+      comment: next.comment || null,
+    });
+    if (!res.ok) {
+      setResponseFeedback(msg.id, previous);
+      toast.error(res.error?.message || "Could not save feedback");
+    }
+  };
+
+  const handleBlindRank = async (responseIds) => {
+    const res = await feedbackService.saveBlindRanking(sessionId, responseIds);
+    if (!res.ok) {
+      toast.error(res.error?.message || "Could not save the vote");
+      return false;
+    }
+    setBlindRanks((prev) => ({ ...prev, ...toBlindRanks(res.data.data.votes) }));
+    return true;
+  };
+
+  const loadCatalog = async () => {
+    if (catalog.length > 0) return;
+    const res = await chatService.getModels();
+    if (res.ok) setCatalog(res.data.data);
+  };
+
+  // Exports read the stored session rather than the Dashboard state, so
+  // answers still streaming aren't included half-written.
+  const handleExport = async (typeId) => {
+    const type = EXPORT_TYPES.find((t) => t.id === typeId);
+    if (!type || !sessionId) return;
+
+    try {
+      const [sessionRes, modelRes, msgRes, feedbackRes, tracesRes] = await Promise.all([
+        sessionService.getSessionById(sessionId),
+        sessionService.getSessionModels(sessionId),
+        sessionService.getSessionMessages(sessionId, FULL_HISTORY_LIMIT),
+        feedbackService.getSessionFeedback(sessionId),
+        reasoningEnabled ? sessionService.getThinkingTraces(sessionId) : null,
+      ]);
+      const failed = [sessionRes, modelRes, msgRes].find((res) => !res.ok);
+      if (failed) {
+        toast.error(failed.error?.message || "Could not load the session to export");
+        return;
+      }
+
+      const raw = {
+        session: sessionRes.data.data.session,
+        models: modelRes.data.data.models || [],
+        messages: msgRes.data.data.messages || [],
+        feedback: feedbackRes.ok ? feedbackRes.data.data.feedback || [] : [],
+        thinkingTraces: tracesRes?.ok ? tracesRes.data.data.traces || {} : {},
+      };
+      const exportedAt = new Date();
+      const data = buildExportData(raw);
+
+      const content =
+        typeId === "markdown"
+          ? toMarkdown(data, exportedAt)
+          : typeId === "html"
+          ? await toHtml(data, exportedAt)
+          : typeId === "csv"
+          ? toCsv(data)
+          : toJson(raw, exportedAt);
+
+      downloadFile(
+        content,
+        exportFileName(raw.session.title, type.extension, exportedAt),
+        type.mime
+      );
+    } catch (err) {
+      console.error("Export failed", err);
+      toast.error("Could not export the session");
+    }
+  };
+
+  // Batch answers are written straight to the session, so it is reloaded
+  // from the server to show them like any other turns.
+  const handleBatchClose = async (changed) => {
+    setBatchOpen(false);
+    if (!changed || !sessionId) return;
+
+    const [sessionRes, modelRes, msgRes, feedbackRes] = await Promise.all([
+      sessionService.getSessionById(sessionId),
+      sessionService.getSessionModels(sessionId),
+      sessionService.getSessionMessages(sessionId, FULL_HISTORY_LIMIT),
+      feedbackService.getSessionFeedback(sessionId),
+    ]);
+    if (!sessionRes.ok || !modelRes.ok || !msgRes.ok) {
+      toast.error("Could not reload the session; reopen it to see the batch answers");
+      return;
+    }
+
+    onSessionChange(
+      sessionRes.data.data.session,
+      attachFeedback(
+        msgRes.data.data.messages || [],
+        feedbackRes.ok ? feedbackRes.data.data.feedback || [] : []
+      ),
+      modelRes.data.data.models
+    );
+  };
+
+  // "/" followed by a query (and nothing else) opens the saved-prompt picker.
+  const slashQuery = /^\/(\S*)$/.exec(prompt)?.[1];
+  const slashOpen = slashQuery !== undefined && !slashDismissed && !isSending;
+  const slashMatches = slashOpen
+    ? searchTemplates(templates, slashQuery).slice(0, SLASH_PICKER_LIMIT)
+    : [];
+  const slashActive = Math.min(slashIndex, Math.max(slashMatches.length - 1, 0));
+
+  const handlePromptChange = (value) => {
+    setPrompt(value);
+    setSlashIndex(0);
+    setSlashDismissed(false);
+  };
+
+  // Templates with variables go through the fill-in form first.
+  const insertTemplate = (template) => {
+    setLibraryOpen(false);
+    if (extractVariables(template.content).length > 0) {
+      setFillTarget(template);
+    } else {
+      setPrompt(template.content);
+    }
+  };
+
+  // Returns true when the key was used by the "/" picker.
+  const handleSlashKey = (e) => {
+    if (!slashOpen) return false;
+
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      const step = e.key === "ArrowDown" ? 1 : -1;
+      const count = Math.max(slashMatches.length, 1);
+      setSlashIndex((slashActive + step + count) % count);
+      return true;
+    }
+    if ((e.key === "Enter" || e.key === "Tab") && slashMatches.length > 0) {
+      e.preventDefault();
+      insertTemplate(slashMatches[slashActive]);
+      return true;
+    }
+    if (e.key === "Escape") {
+      e.preventDefault();
+      setSlashDismissed(true);
+      return true;
+    }
+    return false;
+  };
+
+  const availableModels = catalog.filter(
+    (entry) => !models.some((m) => String(m.id) === String(entry.id))
+  );
+  const visibleCount = models.filter((m) => m.visible === 1).length;
+  const atModelLimit = maxModels !== null && visibleCount >= maxModels;
+
+  // Replays earlier prompts to a newly added model one turn at a time, in
+  // conversation order. Stopping the model ends the replay.
+  const replayPrompts = async (activeSessionId, modelId, rows) => {
+    for (const row of rows) {
+      const key = nextResponseKey();
+      const inFlight = { controller: new AbortController(), key };
+      abortControllers.current[modelId] = inFlight;
+      setLoadingModels((prev) => ({ ...prev, [modelId]: true }));
+      setMessages((prev) => ({
+        ...prev,
+        [modelId]: [
+          ...(prev[modelId] || []),
+          { type: "prompt", content: row.prompt, turn: row.turn },
+          {
+            key,
+            turn: row.turn,
+            type: "response",
+            content: "",
+            prompt: row.prompt,
+            pending: true,
+          },
+        ],
+      }));
+
+      await sendToModel(activeSessionId, modelId, row.prompt, key);
+      if (inFlight.controller.signal.aborted) break;
+    }
+  };
+
+  const handleAddModel = async (modelId, backfill) => {
+    const entry = catalog.find((m) => String(m.id) === modelId);
+    if (!entry || !sessionId) return false;
+
+    const res = await sessionService.assignModelToSession(sessionId, entry.id);
+    if (!res.ok) {
+      toast.error(res.error?.message || "Could not add model");
+      return false;
+    }
+    const visibilityRes = await sessionService.updateModelVisibility(sessionId, entry.id, {
+      is_visible: 1,
+    });
+    if (!visibilityRes.ok) {
+      // Undo the assignment so the session doesn't keep a model it can't show.
+      await sessionService.removeModelFromSession(sessionId, entry.id);
+      toast.error(visibilityRes.error?.message || "Could not add model");
+      return false;
+    }
+
+    const history = buildTurnRows(models, messages).filter((row) => row.prompt);
+
+    bottomRefs.current[entry.id] = React.createRef();
+    setModels((prev) => [...prev, { id: entry.id, name: entry.name, visible: 1 }]);
+    setMessages((prev) => ({ ...prev, [entry.id]: [] }));
+
+    fetchModelConfigs(sessionId).then((configs) => {
+      if (configs) setModelConfigs(configs);
+    });
+
+    if (backfill && history.length > 0) {
+      replayPrompts(sessionId, entry.id, history);
+    }
+    return true;
+  };
+
+  const handleRemoveConfirm = async () => {
+    const model = removeTarget;
+    setRemoveTarget(null);
+    if (!model) return;
+
+    const res = await sessionService.removeModelFromSession(sessionId, model.id);
+    if (!res.ok) {
+      toast.error(res.error?.message || "Could not remove model");
+      return;
+    }
+
+    setModels((prev) => prev.filter((m) => m.id !== model.id));
+    setMessages((prev) => {
+      const next = { ...prev };
+      delete next[model.id];
+      return next;
+    });
+    delete bottomRefs.current[model.id];
+  };
+
+  const handleSaveConfig = async (modelId, configuration) => {
+    const res = await sessionService.updateModelConfig(sessionId, modelId, configuration);
+    if (!res.ok) {
+      toast.error(res.error?.message || "Could not save model settings");
+      return false;
+    }
+
+    const saved = res.data.data;
+    setModelConfigs((prev) => ({
+      ...prev,
+      [modelId]: { configuration: saved.configuration || {}, limits: saved.limits || {} },
+    }));
+    return true;
+  };
+
+  // Moves a model to `toIndex`, saves the new order and puts it back if the
+  // server rejects it. The first model is the session's baseline.
+  const moveModel = async (modelId, toIndex) => {
+    const from = models.findIndex((m) => m.id === modelId);
+    if (from < 0 || toIndex < 0 || toIndex >= models.length || from === toIndex) {
+      return;
+    }
+
+    const previousOrder = models.map((m) => m.id);
+    const next = [...models];
+    const [moved] = next.splice(from, 1);
+    next.splice(toIndex, 0, moved);
+    setModels(next);
+
+    const res = await sessionService.reorderModels(
+      sessionId,
+      next.map((m) => m.id)
+    );
+    if (!res.ok) {
+      setModels((prev) =>
+        [...prev].sort(
+          (a, b) => previousOrder.indexOf(a.id) - previousOrder.indexOf(b.id)
+        )
+      );
+      toast.error(res.error?.message || "Could not save model order");
+    }
+  };
+
+  const canReorder = !!sessionId && models.length > 1;
+
+  const handleDragStart = (e, modelId) => {
+    draggedModelId.current = modelId;
+    e.dataTransfer.effectAllowed = "move";
+    e.dataTransfer.setData("text/plain", modelId);
+    const card = e.currentTarget.closest(".model-card");
+    if (card) e.dataTransfer.setDragImage(card, 20, 20);
+  };
+
+  const handleDragOver = (e, modelId) => {
+    if (!draggedModelId.current) return;
+    e.preventDefault();
+    if (dropTargetId !== modelId) setDropTargetId(modelId);
+  };
+
+  const handleDrop = (e, index) => {
+    e.preventDefault();
+    const modelId = draggedModelId.current;
+    draggedModelId.current = null;
+    setDropTargetId(null);
+    if (modelId) moveModel(modelId, index);
+  };
+
+  const handleDragEnd = () => {
+    draggedModelId.current = null;
+    setDropTargetId(null);
+  };
+
+  // Arrow keys on the drag handle move the card one place; Home/End send it
+  // to either end. Focus follows the handle to its new position.
+  const handleReorderKey = (e, modelId, index) => {
+    const targets = {
+      ArrowLeft: index - 1,
+      ArrowUp: index - 1,
+      ArrowRight: index + 1,
+      ArrowDown: index + 1,
+      Home: 0,
+      End: models.length - 1,
+    };
+    if (!(e.key in targets)) return;
+
+    e.preventDefault();
+    moveModel(modelId, targets[e.key]);
+    requestAnimationFrame(() => dragHandles.current[modelId]?.focus());
+  };
+
+  const reasoningFor = (msg) =>
+    reasoningEnabled ? reasoning[msg.id] || [] : null;
+
+  // A follow-up chip either fills the prompt box or is sent right away.
+  const handleFollowUp = (text, send) => {
+    if (send) handleSubmit(text);
+    else handlePromptChange(text);
+  };
+
+  const handleLayoutChange = (next) => {
+    setLayout(next);
+    localStorage.setItem(LAYOUT_STORAGE_KEY, next);
+  };
+
+  // Sends `text` (the prompt box by default) to every visible model.
+  const handleSubmit = async (text = prompt) => {
+    if (!text.trim() || isSending) return;
     setError("");
 
     try {
       let activeSessionId = sessionData?.id || null;
+      let activeModels = models;
 
       if (!activeSessionId) {
+        const chosen = catalog.filter((m) => pickedModelIds.includes(m.id));
+        if (chosen.length === 0) {
+          toast.error("Select at least one model to compare");
+          return;
+        }
+
         const createRes = await sessionService.createSession(
-          generateTitle(prompt)
+          generateTitle(text)
         );
         if (!createRes.ok) throw new Error("Create failed");
 
@@ -171,55 +818,82 @@ const Dashboard = ({
 
         localStorage.setItem("currentSessionId", activeSessionId);
 
-        const modelsRes = await chatService.getModels();
-        if (modelsRes.ok) {
-          for (const m of modelsRes.data.data) {
-            await sessionService.assignModelToSession(activeSessionId, m.id);
-            await sessionService.updateModelVisibility(activeSessionId, m.id, {
-              is_visible: 1,
-            });
+        // Assigned one at a time so the session keeps the picker's order. A
+        // model the server turns down is left out of the session view.
+        const added = [];
+        for (const m of chosen) {
+          const assignRes = await sessionService.assignModelToSession(activeSessionId, m.id);
+          if (!assignRes.ok) {
+            toast.error(assignRes.error?.message || `Could not add ${m.name}`);
+            continue;
           }
+          const visibilityRes = await sessionService.updateModelVisibility(
+            activeSessionId,
+            m.id,
+            { is_visible: 1 }
+          );
+          if (!visibilityRes.ok) {
+            toast.error(visibilityRes.error?.message || `Could not show ${m.name}`);
+            continue;
+          }
+          added.push(m);
         }
 
+        activeModels = added.map((m) => ({ id: m.id, name: m.name, visible: 1 }));
+        const msgMap = {};
+        activeModels.forEach((m) => {
+          msgMap[m.id] = [];
+          bottomRefs.current[m.id] = React.createRef();
+        });
+        setModels(activeModels);
+        setMessages(msgMap);
+
         onSessionChange(newSession, [], []);
         onSessionCreated(newSession);
+
+        if (activeModels.length === 0) return;
       }
 
       await sessionService.activateSession(activeSessionId);
 
+      const targets = activeModels.filter((m) => m.visible === 1);
+      const promptText = text;
+      const turn = ++turnCounter.current;
+
       const loaders = {};
-      models.forEach((m) => {
-        if (m.visible === 1) loaders[m.id] = true;
+      const keys = {};
+      targets.forEach((m) => {
+        loaders[m.id] = true;
+        keys[m.id] = nextResponseKey();
+        abortControllers.current[m.id] = {
+          controller: new AbortController(),
+          key: keys[m.id],
+        };
       });
       setLoadingModels(loaders);
 
-      const newMessages = { ...messages };
-      Object.keys(newMessages).forEach((id) => {
-        newMessages[id].push({ type: "prompt", content: prompt });
+      setMessages((prev) => {
+        const next = {};
+        Object.keys(prev).forEach((id) => {
+          next[id] = [...prev[id], { type: "prompt", content: promptText, turn }];
+          if (keys[id]) {
+            next[id].push({
+              key: keys[id],
+              turn,
+              type: "response",
+              content: "",
+              prompt: promptText,
+              pending: true,
+            });
+          }
+        });
+        return next;
       });
-      setMessages({ ...newMessages });
-
-      for (const model of models) {
-        if (model.visible !== 1) continue;
-
-        const res = await chatService.sendPromptToModel(
-          activeSessionId,
-          model.id,
-          prompt
-        );
-
-        if (res.ok) {
-          newMessages[model.id].push({
-            type: "response",
-            content: res.data?.data?.response?.content || "",
-          });
-        }
-
-        setLoadingModels((prev) => ({ ...prev, [model.id]: false }));
-        setMessages({ ...newMessages });
-      }
-
       setPrompt("");
+
+      await runWithConcurrency(targets, MAX_CONCURRENT_REQUESTS, (model) =>
+        sendToModel(activeSessionId, model.id, promptText, keys[model.id])
+      );
     } catch (err) {
       console.error(err);
       setError("Error sending prompt");
@@ -228,12 +902,131 @@ const Dashboard = ({
 
   return (
     <main className="dashboard">
+      <div className="dashboard-toolbar">
+        {layout !== "blind" && <SessionSummaryBar models={models} stats={sessionStats} />}
+        {sessionId && <ExportMenu onExport={handleExport} disabled={isSending} />}
+        {sessionId && (
+          <button
+            className="add-model-btn"
+            onClick={() => setBatchOpen(true)}
+            disabled={isSending || visibleCount === 0}
+            title="Run a file of prompts against the visible models"
+          >
+            Batch
+          </button>
+        )}
+        {sessionId && (
+          <AddModelControl
+            available={availableModels}
+            onOpen={loadCatalog}
+            onAdd={handleAddModel}
+            disabled={isSending || atModelLimit}
+            disabledReason={
+              atModelLimit
+                ? `Your plan allows ${maxModels} models per prompt`
+                : "Wait for the current answers to finish"
+            }
+          />
+        )}
+        <div className="layout-toggle" role="group" aria-label="Layout">
+          {LAYOUTS.map(({ id, label }) => (
+            <button
+              key={id}
+              className={layout === id ? "active" : ""}
+              onClick={() => handleLayoutChange(id)}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {!sessionId ? (
+        <ModelPicker
+          catalog={catalog}
+          selectedIds={pickedModelIds}
+          onChange={setSelectedModelIds}
+          maxModels={maxModels}
+        />
+      ) : layout === "rows" ? (
+        <ComparisonRows
+          models={models}
+          messages={messages}
+          loadingModels={loadingModels}
+          onRetry={handleRetry}
+          onFeedback={handleFeedback}
+          reasoningFor={reasoningFor}
+          onFollowUp={handleFollowUp}
+          followUpDisabled={isSending}
+        />
+      ) : layout === "diff" ? (
+        <DiffView models={models} messages={messages} />
+      ) : layout === "blind" ? (
+        <BlindComparison
+          sessionId={sessionId}
+          models={models}
+          messages={messages}
+          ranks={blindRanks}
+          onRank={handleBlindRank}
+        />
+      ) : (
       <div className="models-row">
-        {models.map((model) => (
-          <div className="model-card" key={model.id}>
+        {models.map((model, index) => (
+          <div
+            className={`model-card ${dropTargetId === model.id ? "drop-target" : ""}`}
+            key={model.id}
+            onDragOver={(e) => handleDragOver(e, model.id)}
+            onDrop={(e) => handleDrop(e, index)}
+          >
             <div className="model-card-header">
+              {canReorder && (
+                <button
+                  className="drag-handle"
+                  ref={(el) => {
+                    dragHandles.current[model.id] = el;
+                  }}
+                  draggable
+                  onDragStart={(e) => handleDragStart(e, model.id)}
+                  onDragEnd={handleDragEnd}
+                  onKeyDown={(e) => handleReorderKey(e, model.id, index)}
+                  title="Drag or use arrow keys to reorder"
+                  aria-label={`Reorder ${model.name}, position ${index + 1} of ${models.length}`}
+                >
+                  ⠿
+                </button>
+              )}
               <span className="model-title">{model.name}</span>
 
+              {loadingModels[model.id] && (
+                <button
+                  className="stop-btn"
+                  onClick={() => handleStop(model.id)}
+                  title="Stop generating"
+                >
+                  Stop
+                </button>
+              )}
+
+              {sessionId && (
+                <button
+                  className="config-btn"
+                  onClick={() => setConfigTarget(model)}
+                  title="Model settings for this session"
+                >
+                  ⚙
+                </button>
+              )}
+
+              {sessionId && models.length > 1 && !loadingModels[model.id] && (
+                <button
+                  className="remove-model-btn"
+                  onClick={() => setRemoveTarget(model)}
+                  title="Remove from session"
+                >
+                  ×
+                </button>
+              )}
+
               <label
                 className={`switch ${
                   (!sessionId || models.length === 1)
@@ -253,70 +1046,71 @@ const Dashboard = ({
               </label>
             </div>
 
+            {configBadges(modelConfigs[model.id]?.configuration).length > 0 && (
+              <div className="model-config-badges">
+                {configBadges(modelConfigs[model.id].configuration).map((badge) => (
+                  <span className="config-badge" key={badge}>
+                    {badge}
+                  </span>
+                ))}
+              </div>
+            )}
+
             <div className="model-card-content">
               <div className="chat-window">
                 {(messages[model.id] || []).map((msg, idx) => (
-                  <div
-                    key={idx}
-                    className={`chat-bubble ${
-                      msg.type === "prompt" ? "msg-user" : "msg-ai"
-                    }`}
-                  >
-                    <ReactMarkdown
-                      remarkPlugins={[remarkGfm]}
-                      components={{
-                        code({ inline, className, children }) {
-                          const match =
-                            /language-(\w+)/.exec(className || "");
-                          return !inline && match ? (
-                            <SyntaxHighlighter
-                              style={duotoneDark}
-                              language={match[1]}
-                            >
-                              {String(children)}
-                            </SyntaxHighlighter>
-                          ) : (
-                            <code className="inline-code">{children}</code>
-                          );
-                        },
-                      }}
-                    >
-                      {msg.content}
-                    </ReactMarkdown>
-                  </div>
+                  <ChatBubble
+                    key={msg.key || idx}
+                    msg={msg}
+                    onRetry={() => handleRetry(model.id, msg)}
+                    retryDisabled={!sessionId || !!loadingModels[model.id]}
+                    onFeedback={(changes) =>
+                      handleFeedback(model.id, msg, changes)
+                    }
+                    reasoning={reasoningFor(msg)}
+                    onFollowUp={handleFollowUp}
+                    followUpDisabled={isSending}
+                  />
                 ))}
 
-                {loadingModels[model.id] && (
-                  <div className="chat-bubble msg-ai typing">
-                    <div className="dot-loader">
-                      <span></span>
-                      <span></span>
-                      <span></span>
-                    </div>
-                  </div>
-                )}
-
                 <div ref={bottomRefs.current[model.id]} />
               </div>
             </div>
           </div>
         ))}
       </div>
+      )}
 
       <div className="prompt-box">
+        {slashOpen && (
+          <SlashPicker
+            matches={slashMatches}
+            activeIndex={slashActive}
+            onPick={insertTemplate}
+          />
+        )}
         <div className="prompt-inner">
+          <button
+            className="library-btn"
+            onClick={() => setLibraryOpen(true)}
+            disabled={isSending}
+            title="Prompt library (or type / in the prompt box)"
+          >
+            ☰
+          </button>
           <textarea
             className="prompt-input"
-            placeholder="Ask anything…"
+            placeholder="Ask anything… or type / for saved prompts"
             value={prompt}
             disabled={isSending}
             rows={1}
-            onChange={(e) => setPrompt(e.target.value)}
+            onChange={(e) => handlePromptChange(e.target.value)}
             onKeyDown={(e) => {
               if (isSending) {
                 e.preventDefault();
                 return;
               }
+              if (handleSlashKey(e)) return;
               if (e.key === "Enter" && !e.shiftKey) {
                 e.preventDefault();
                 handleSubmit();
@@ -324,15 +1118,75 @@ const Dashboard = ({
             }}
           />
 
-          <button
-            className="submit-btn"
-            onClick={handleSubmit}
-            disabled={!prompt.trim() || isSending}
-          >
-            ➤
-          </button>
+          {isSending ? (
+            <button
+              className="submit-btn stop"
+              onClick={handleStopAll}
+              title="Stop all models"
+            >
+              ■
+            </button>
+          ) : (
+            <button
+              className="submit-btn"
+              onClick={() => handleSubmit()}
+              disabled={!prompt.trim()}
+            >
+              ➤
+            </button>
+          )}
         </div>
       </div>
+
+      {libraryOpen && (
+        <PromptLibrary
+          templates={templates}
+          onTemplatesChange={setTemplates}
+          onInsert={insertTemplate}
+          onClose={() => setLibraryOpen(false)}
+        />
+      )}
+
+      {batchOpen && (
+        <BatchRunner
+          sessionId={sessionId}
+          models={models.filter((m) => m.visible === 1)}
+          onClose={handleBatchClose}
+        />
+      )}
+
+      {fillTarget && (
+        <TemplateFillDialog
+          template={fillTarget}
+          onInsert={(text) => {
+            setPrompt(text);
+            setFillTarget(null);
+          }}
+          onCancel={() => setFillTarget(null)}
+        />
+      )}
+
+      {configTarget && (
+        <ModelConfigDrawer
+          key={configTarget.id}
+          modelName={configTarget.name}
+          configuration={modelConfigs[configTarget.id]?.configuration}
+          limits={modelConfigs[configTarget.id]?.limits}
+          onSave={(configuration) => handleSaveConfig(configTarget.id, configuration)}
+          onClose={() => setConfigTarget(null)}
+        />
+      )}
+
+      <ConfirmDialog
+        open={!!removeTarget}
+        title="Remove Model"
+        message={`Remove "${removeTarget?.name}" from this session? Its earlier answers stay saved but are no longer shown.`}
+        confirmText="Remove"
+        cancelText="Cancel"
+        danger
+        onConfirm={handleRemoveConfirm}
+        onCancel={() => setRemoveTarget(null)}
+      />
     </main>
   );
 };
@@ -0,0 +1,166 @@
+import React, { useEffect, useState } from "react";
+import "../styles/Dashboard.css";
+import "../styles/Leaderboard.css";
+import { leaderboardService } from "../services/chat/leaderboard/LeaderboardService";
+import {
+  LEADERBOARD_METRICS,
+  LEADERBOARD_RANGES,
+  LEADERBOARD_SCOPES,
+  metricByKey,
+  sortModels,
+} from "../utils/leaderboard";
+import MetricBarChart from "../components/leaderboard/MetricBarChart";
+import QualitySpeedChart from "../components/leaderboard/QualitySpeedChart";
+
+// Sample sizes behind the averages, shown on hover.
+const metricTitle = (key, model) => {
+  if (key === "avg_rating") return `${model.ratings} ratings`;
+  if (key === "preferred_rate") {
+    return `Preferred in ${model.preferred} of ${model.contested} decided comparisons`;
+  }
+  return undefined;
+};
+
+// Models ranked by the ratings and preferred answers users gave them and by
+// their recorded latency, speed and cost, over a time range and either the
+// user's own sessions or everyone's.
+const Leaderboard = () => {
+  const [range, setRange] = useState("30d");
+  const [scope, setScope] = useState("mine");
+  const [sort, setSort] = useState({ key: "preferred_rate", direction: "desc" });
+  // The last response, tagged with the filters it was fetched for, so a
+  // filter change shows "Loading" until its own answer arrives.
+  const [result, setResult] = useState(null);
+
+  const filterKey = `${range}:${scope}`;
+
+  useEffect(() => {
+    let cancelled = false;
+    leaderboardService.getLeaderboard({ range, scope }).then((res) => {
+      if (cancelled) return;
+      setResult({
+        filterKey: `${range}:${scope}`,
+        models: res.ok ? res.data.data.models : null,
+        error: res.ok ? null : res.error?.message || "Could not load the leaderboard",
+      });
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [range, scope]);
+
+  const loading = result?.filterKey !== filterKey;
+  const models = sortModels(result?.models || [], sort.key, sort.direction);
+  const chartMetric = metricByKey(sort.key) || metricByKey("preferred_rate");
+
+  // A new column starts in its "best first" direction; clicking it again
+  // flips it.
+  const handleSort = (key) => {
+    if (sort.key === key) {
+      setSort({ key, direction: sort.direction === "asc" ? "desc" : "asc" });
+      return;
+    }
+    const metric = metricByKey(key);
+    const direction = metric ? metric.better : key === "model_name" ? "asc" : "desc";
+    setSort({ key, direction });
+  };
+
+  const sortIndicator = (key) =>
+    sort.key === key ? (sort.direction === "asc" ? " ▲" : " ▼") : "";
+
+  const columns = [
+    { key: "model_name", label: "Model" },
+    { key: "answers", label: "Answers" },
+    ...LEADERBOARD_METRICS,
+  ];
+
+  return (
+    <main className="leaderboard">
+      <div className="leaderboard-header">
+        <h2>Model leaderboard</h2>
+        <div className="leaderboard-filters">
+          <div className="layout-toggle" role="group" aria-label="Time range">
+            {LEADERBOARD_RANGES.map(({ id, label }) => (
+              <button
+                key={id}
+                className={range === id ? "active" : ""}
+                onClick={() => setRange(id)}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+          <div className="layout-toggle" role="group" aria-label="Sessions">
+            {LEADERBOARD_SCOPES.map(({ id, label }) => (
+              <button
+                key={id}
+                className={scope === id ? "active" : ""}
+                onClick={() => setScope(id)}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="leaderboard-message">Loading leaderboard…</div>
+      ) : result.error ? (
+        <div className="leaderboard-message error">{result.error}</div>
+      ) : models.length === 0 ? (
+        <div className="leaderboard-message">
+          No answers in this range yet. Compare some models and rate their answers
+          to fill the leaderboard.
+        </div>
+      ) : (
+        <>
+          <div className="leaderboard-table-wrap">
+            <table className="leaderboard-table">
+              <thead>
+                <tr>
+                  <th>#</th>
+                  {columns.map(({ key, label }) => (
+                    <th
+                      key={key}
+                      aria-sort={sort.key === key ? `${sort.direction}ending` : "none"}
+                    >
+                      <button onClick={() => handleSort(key)}>
+                        {label}
+                        {sortIndicator(key)}
+                      </button>
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {models.map((m, index) => (
+                  <tr key={m.model_id}>
+                    <td>{index + 1}</td>
+                    <td className="leaderboard-model">
+                      <strong>{m.model_name}</strong>
+                      <small>{m.provider}</small>
+                    </td>
+                    <td>{m.answers.toLocaleString()}</td>
+                    {LEADERBOARD_METRICS.map((metric) => (
+                      <td key={metric.key} title={metricTitle(metric.key, m)}>
+                        {metric.format(m[metric.key])}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="leaderboard-charts">
+            <MetricBarChart models={models} metric={chartMetric} />
+            <QualitySpeedChart models={models} />
+          </div>
+        </>
+      )}
+    </main>
+  );
+};
+
+export default Leaderboard;
@@ -25,9 +25,9 @@ const Login = () => {
       const res = await authService.login({ email, password });
       setLoading(false);
 
-      if (!res.ok) return setError(res.data.message || "Login failed.");
+      if (!res.ok) return setError(res.error.message || "Login failed.");
 
-      login(res.data.data.token, remember);
+      login(res.data.data.token, remember, res.data.data.refresh_token);
       toast.success("Login successful!");
       navigate("/dashboard");
     } catch {
@@ -22,7 +22,7 @@ useEffect(() => {
     setFetching(false);
 
     if (!res.ok) {
-      setError(res.data.message || "Failed to fetch profile.");
+      setError(res.error.message || "Failed to fetch profile.");
       return;
     }
 
@@ -63,7 +63,7 @@ useEffect(() => {
     setLoading(false);
 
     if (!res.ok) {
-      setError(res.data.message || "Failed to update profile.");
+      setError(res.error.message || "Failed to update profile.");
       return;
     }
 
@@ -0,0 +1,117 @@
+import React, { useEffect, useState } from "react";
+import { useParams } from "react-router-dom";
+import "../styles/Dashboard.css";
+import { sessionShareService } from "../services/chat/session/SessionShareService";
+import { buildModelThreads } from "../utils/sessionTurns";
+import ChatBubble from "../components/chat/ChatBubble";
+import ComparisonRows from "../components/chat/ComparisonRows";
+import DiffView from "../components/chat/DiffView";
+import SessionSummaryBar from "../components/chat/SessionSummaryBar";
+
+const LAYOUTS = [
+  { id: "columns", label: "Columns" },
+  { id: "rows", label: "Rows" },
+  { id: "diff", label: "Diff" },
+];
+
+// Read-only view of a session opened from a share link. It renders the same
+// bubbles, layouts and Markdown as the Dashboard, without any controls that
+// change the session. Works signed out, except for team links.
+const SharedSession = () => {
+  const { token } = useParams();
+  const [shared, setShared] = useState(null);
+  const [error, setError] = useState(null);
+  const [layout, setLayout] = useState("columns");
+
+  useEffect(() => {
+    sessionShareService.getSharedSession(token).then((res) => {
+      if (!res.ok) {
+        setError(res.error?.message || "This share link could not be opened.");
+        return;
+      }
+
+      const { share, session, models, messages } = res.data.data;
+      const threads = buildModelThreads(models, messages);
+      const visible = threads.models.filter((m) => m.visible === 1);
+      setShared({
+        share,
+        session,
+        models: visible.length > 0 ? visible : threads.models,
+        messages: threads.messages,
+      });
+    });
+  }, [token]);
+
+  if (error) {
+    return (
+      <main className="dashboard shared-view">
+        <div className="shared-message">{error}</div>
+      </main>
+    );
+  }
+
+  if (!shared) {
+    return (
+      <main className="dashboard shared-view">
+        <div className="shared-message">Loading shared comparison…</div>
+      </main>
+    );
+  }
+
+  const { share, session, models, messages } = shared;
+
+  return (
+    <main className="dashboard shared-view">
+      <header className="shared-header">
+        <h1>{session.title}</h1>
+        <span className="shared-badge">Read-only</span>
+        {share.expires_at && (
+          <span className="shared-expiry">
+            Link expires {new Date(share.expires_at).toLocaleDateString()}
+          </span>
+        )}
+      </header>
+
+      <div className="dashboard-toolbar">
+        <SessionSummaryBar models={models} messages={messages} />
+        <div className="layout-toggle" role="group" aria-label="Layout">
+          {LAYOUTS.map(({ id, label }) => (
+            <button
+              key={id}
+              className={layout === id ? "active" : ""}
+              onClick={() => setLayout(id)}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {layout === "rows" ? (
+        <ComparisonRows models={models} messages={messages} />
+      ) : layout === "diff" ? (
+        <DiffView models={models} messages={messages} />
+      ) : (
+        <div className="models-row">
+          {models.map((model) => (
+            <div className="model-card" key={model.id}>
+              <div className="model-card-header">
+                <span className="model-title">{model.name}</span>
+              </div>
+
+              <div className="model-card-content">
+                <div className="chat-window">
+                  {(messages[model.id] || []).map((msg, idx) => (
+                    <ChatBubble key={idx} msg={msg} />
+                  ))}
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </main>
+  );
+};
+
+export default SharedSession;
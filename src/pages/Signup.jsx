@@ -4,6 +4,7 @@ import "../styles/auth.css";
 
 import { signupModel } from "../models/signupModel";
 import { authService } from "../services/authService";
+import { API_ERROR_TYPES } from "../services/ApiError";
 
 const Signup = () => {
   const navigate = useNavigate();
@@ -41,18 +42,18 @@ const Signup = () => {
     setLoading(false);
 
     if (!res.ok) {
-      const { status, data } = res;
+      const { error } = res;
 
-      if (status === 429) {
-        const retryAfter = data.retry_after || 60;
+      if (error.type === API_ERROR_TYPES.RATE_LIMIT) {
+        const retryAfter = error.retryAfter || 60;
         return setError(`Too many requests. Try again in ${Math.ceil(retryAfter / 60)} minutes.`);
       }
 
-      if (data.error_code === "EMAIL_EXISTS") {
+      if (error.code === "EMAIL_EXISTS") {
         return setError("This email address is already registered.");
       }
 
-      return setError(data.message || "Failed to register.");
+      return setError(error.message || "Failed to register.");
     }
 
     navigate("/login");
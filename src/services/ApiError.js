@@ -0,0 +1,124 @@
+// Error object attached as `error` to every failed apiClient result, so
+// callers can branch on `type` instead of parsing status codes and bodies.
+export const API_ERROR_TYPES = {
+  NETWORK: "network",
+  TIMEOUT: "timeout",
+  HTTP: "http",
+  VALIDATION: "validation",
+  RATE_LIMIT: "rate_limit",
+  UNAUTHORIZED: "unauthorized",
+  ABORTED: "aborted",
+};
+
+const DEFAULT_MESSAGES = {
+  [API_ERROR_TYPES.NETWORK]: "Network error. Check your connection and try again.",
+  [API_ERROR_TYPES.TIMEOUT]: "The server took too long to respond.",
+  [API_ERROR_TYPES.HTTP]: "Something went wrong. Try again.",
+  [API_ERROR_TYPES.VALIDATION]: "Some fields are invalid.",
+  [API_ERROR_TYPES.RATE_LIMIT]: "Too many requests. Try again shortly.",
+  [API_ERROR_TYPES.UNAUTHORIZED]: "Your session has expired. Please sign in again.",
+  [API_ERROR_TYPES.ABORTED]: "Request cancelled",
+};
+
+export class ApiError extends Error {
+  constructor({
+    type,
+    status = 0,
+    message,
+    code = null,
+    fieldErrors = {},
+    retryAfter = null,
+    data = null,
+  }) {
+    super(message || DEFAULT_MESSAGES[type] || DEFAULT_MESSAGES.http);
+    this.name = "ApiError";
+    this.type = type;
+    this.status = status;
+    this.code = code;
+    this.fieldErrors = fieldErrors;
+    this.retryAfter = retryAfter;
+    this.data = data;
+  }
+
+  // First message for a field, as produced by the PHP Validator
+  // (`errors: { field: ["message", ...] }`).
+  fieldError(field) {
+    return this.fieldErrors[field]?.[0] || null;
+  }
+
+  static fromResponse(response, data) {
+    const status = response.status;
+    const body = data && typeof data === "object" ? data : {};
+    const code = body.error_code || null;
+
+    if (status === 429) {
+      return new ApiError({
+        type: API_ERROR_TYPES.RATE_LIMIT,
+        status,
+        code,
+        retryAfter: parseRetryAfter(response.headers.get("Retry-After"), body),
+        message: body.message,
+        data,
+      });
+    }
+
+    if (status === 401) {
+      return new ApiError({
+        type: API_ERROR_TYPES.UNAUTHORIZED,
+        status,
+        code,
+        message: body.message,
+        data,
+      });
+    }
+
+    if (code === "VALIDATION_ERROR" || (status === 422 && body.errors)) {
+      const fieldErrors = normalizeFieldErrors(body.errors);
+      const firstFieldError = Object.values(fieldErrors)[0]?.[0];
+      return new ApiError({
+        type: API_ERROR_TYPES.VALIDATION,
+        status,
+        code,
+        fieldErrors,
+        // "Validation failed" says nothing; prefer the first field message.
+        message:
+          body.message && body.message !== "Validation failed"
+            ? body.message
+            : firstFieldError,
+        data,
+      });
+    }
+
+    return new ApiError({
+      type: API_ERROR_TYPES.HTTP,
+      status,
+      code,
+      message: body.message,
+      data,
+    });
+  }
+}
+
+const normalizeFieldErrors = (errors) => {
+  if (!errors || typeof errors !== "object") return {};
+
+  const result = {};
+  Object.entries(errors).forEach(([field, messages]) => {
+    result[field] = Array.isArray(messages) ? messages : [String(messages)];
+  });
+  return result;
+};
+
+// Retry-After is either delta-seconds or an HTTP date; the PHP Response
+// also mirrors it as `retry_after` in the body. Returns seconds.
+const parseRetryAfter = (header, body) => {
+  const raw = header ?? body.retry_after;
+  if (raw === undefined || raw === null || raw === "") return null;
+
+  const seconds = Number(raw);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds);
+
+  const date = Date.parse(raw);
+  if (Number.isNaN(date)) return null;
+  return Math.max(0, Math.ceil((date - Date.now()) / 1000));
+};
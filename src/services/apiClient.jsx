@@ -1,53 +1,450 @@
 import { HTTP_HEADERS } from "./config/HTTP_HEADERS";
+import { ApiError, API_ERROR_TYPES } from "./ApiError";
+import {
+  getToken,
+  getRefreshToken,
+  replaceTokens,
+  secondsUntilExpiry,
+} from "./tokenStorage";
 
-const getToken = () => {
-  return localStorage.getItem("token") || sessionStorage.getItem("token");
+const BASE_URL = import.meta.env.VITE_API_BASE_URL;
+
+// Refresh proactively when the access token has less than this left.
+const REFRESH_MARGIN_SECONDS = 60;
+
+// Requests that must never trigger a refresh themselves.
+const NO_REFRESH_URLS = ["login", "signup", "refresh", "logout"];
+
+let refreshPromise = null;
+
+// Exchanges the refresh token for a new access token. Concurrent callers share
+// one in-flight refresh, so requests that hit an expired token queue behind it
+// and retry with the new token. Resolves to true on success.
+const refreshAccessToken = () => {
+  if (refreshPromise) return refreshPromise;
+
+  const refreshToken = getRefreshToken();
+  if (!refreshToken) return Promise.resolve(false);
+
+  refreshPromise = (async () => {
+    try {
+      const response = await fetch(`${BASE_URL}refresh`, {
+        method: "POST",
+        headers: HTTP_HEADERS,
+        body: JSON.stringify({ refresh_token: refreshToken }),
+      });
+      if (!response.ok) return false;
+
+      const data = await response.json();
+      const token = data?.data?.token;
+      if (!token) return false;
+
+      replaceTokens(token, data.data.refresh_token);
+      window.dispatchEvent(
+        new CustomEvent("tokenRefreshed", { detail: { token } })
+      );
+      return true;
+    } catch {
+      return false;
+    } finally {
+      refreshPromise = null;
+    }
+  })();
+
+  return refreshPromise;
 };
 
-const BASE_URL = import.meta.env.VITE_API_BASE_URL;
+// fetch() with the bearer token attached. Refreshes an expiring token before
+// sending, and on a 401 refreshes once and retries. Resolves to null when the
+// user could not be re-authenticated, after dispatching `unauthorized`.
+const authorizedFetch = async (url, init) => {
+  const canRefresh = !NO_REFRESH_URLS.includes(url);
+
+  if (canRefresh && getRefreshToken()) {
+    const remaining = secondsUntilExpiry(getToken() || "");
+    if (remaining !== null && remaining < REFRESH_MARGIN_SECONDS) {
+      await refreshAccessToken();
+    }
+  }
+
+  const send = () => {
+    const token = getToken();
+    return fetch(`${BASE_URL}${url}`, {
+      ...init,
+      headers: {
+        ...init.headers,
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      },
+    });
+  };
+
+  let response = await send();
+
+  if (response.status === 401 && canRefresh && (await refreshAccessToken())) {
+    response = await send();
+  }
+
+  // A 401 from login or signup is a bad credential, not a lost session.
+  if (response.status === 401 && canRefresh) {
+    window.dispatchEvent(new CustomEvent('unauthorized'));
+    return null;
+  }
+
+  return response;
+};
+
+const DEFAULT_TIMEOUT_MS = Number(import.meta.env.VITE_API_TIMEOUT_MS) || 30000;
+const DEFAULT_GET_RETRIES = 2;
+const RETRY_BASE_DELAY_MS = 500;
+const MAX_RETRY_DELAY_MS = 10000;
+
+const failure = (error) => ({
+  ok: false,
+  status: error.status,
+  data: error.data || { message: error.message },
+  error,
+});
+
+const abortedResult = () => ({
+  ...failure(new ApiError({ type: API_ERROR_TYPES.ABORTED })),
+  aborted: true,
+});
 
+// Reads a body that may be JSON, empty, or an HTML error page from a proxy.
+// Anything that isn't JSON is flagged `unreadable`, which only matters on a
+// 2xx, where callers expect data; an empty 2xx body becomes `{}`.
+const readBody = async (response) => {
+  const text = await response.text();
+  if (!text) return { data: null };
+
+  try {
+    return { data: JSON.parse(text) };
+  } catch {
+    return { data: null, unreadable: true };
+  }
+};
+
+const unreadableBody = (response) =>
+  failure(
+    new ApiError({
+      type: API_ERROR_TYPES.HTTP,
+      status: response.status,
+      message: "The server sent a response that could not be read.",
+    })
+  );
+
+// Aborts after `timeout` ms, or when the caller's own signal aborts.
+// `timedOut()` tells the two apart afterwards.
+const withTimeout = (signal, timeout) => {
+  const controller = new AbortController();
+  let timedOut = false;
+
+  const onAbort = () => controller.abort();
+  if (signal?.aborted) controller.abort();
+  else signal?.addEventListener("abort", onAbort);
+
+  const timer =
+    timeout > 0
+      ? setTimeout(() => {
+          timedOut = true;
+          controller.abort();
+        }, timeout)
+      : null;
+
+  return {
+    signal: controller.signal,
+    timedOut: () => timedOut,
+    clear: () => {
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", onAbort);
+    },
+  };
+};
+
+const errorFromException = (exception, timedOut) => {
+  if (timedOut) {
+    return new ApiError({ type: API_ERROR_TYPES.TIMEOUT });
+  }
+  console.error("Request failed", exception);
+  return new ApiError({ type: API_ERROR_TYPES.NETWORK });
+};
+
+const isRetryable = (error) =>
+  error.type === API_ERROR_TYPES.NETWORK ||
+  error.type === API_ERROR_TYPES.TIMEOUT ||
+  error.type === API_ERROR_TYPES.RATE_LIMIT ||
+  (error.type === API_ERROR_TYPES.HTTP && error.status >= 500);
+
+// Exponential backoff with jitter; a server-provided Retry-After wins.
+const retryDelay = (attempt, error) => {
+  if (error.retryAfter !== null && error.retryAfter !== undefined) {
+    return Math.min(error.retryAfter * 1000, MAX_RETRY_DELAY_MS);
+  }
+  const base = RETRY_BASE_DELAY_MS * 2 ** attempt;
+  return Math.min(base + Math.random() * base, MAX_RETRY_DELAY_MS);
+};
+
+const sleep = (ms, signal) =>
+  new Promise((resolve) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+
+// Request options, accepted by every method:
+//   signal  - AbortSignal; a cancelled request resolves with `aborted: true`
+//   timeout - ms before giving up (0 disables it)
+//   retries - extra attempts on network, timeout, 429 and 5xx errors;
+//             GETs retry by default, other methods never do unless asked
+//
+// Results are `{ ok, status, data }`; failures also carry `error`, an ApiError.
 export const apiClient = {
-  get: async (url) => {
-    return request(url, "GET");
+  get: async (url, options) => {
+    return request(url, "GET", null, options);
+  },
+
+  post: async (url, payload, options) => {
+    return request(url, "POST", payload, options);
   },
 
-  post: async (url, payload) => {
-    return request(url, "POST", payload);
+  put: async (url, payload, options) => {
+    return request(url, "PUT", payload, options);
   },
 
-  put: async (url, payload) => {
-    return request(url, "PUT", payload);
+  delete: async (url, options) => {
+    return request(url, "DELETE", null, options);
   },
 
-  delete: async (url) => {
-    return request(url, "DELETE");
+  // POST that reads the body incrementally and hands each text chunk to
+  // `onChunk`. Falls back to a buffered JSON read when the server answers
+  // with a plain JSON body instead of a stream. No timeout unless given,
+  // since generation can legitimately run long.
+  stream: async (url, payload, onChunk, options) => {
+    return streamRequest(url, "POST", payload, onChunk, options);
   },
 };
 
-const request = async (url, method, payload = null) => {
-  const token = getToken();
+const request = async (url, method, payload = null, options = {}) => {
+  const {
+    signal,
+    timeout = DEFAULT_TIMEOUT_MS,
+    retries = method === "GET" ? DEFAULT_GET_RETRIES : 0,
+  } = options;
 
-  const headers = {
-    ...HTTP_HEADERS,
-    ...(token ? { Authorization: `Bearer ${token}` } : {}),
-  };
+  for (let attempt = 0; ; attempt++) {
+    const result = await attemptRequest(url, method, payload, signal, timeout);
+
+    if (
+      result.ok ||
+      result.aborted ||
+      attempt >= retries ||
+      !isRetryable(result.error)
+    ) {
+      return result;
+    }
+
+    await sleep(retryDelay(attempt, result.error), signal);
+    if (signal?.aborted) return abortedResult();
+  }
+};
+
+const attemptRequest = async (url, method, payload, signal, timeout) => {
+  const timer = withTimeout(signal, timeout);
+
+  try {
+    const response = await authorizedFetch(url, {
+      method,
+      headers: HTTP_HEADERS,
+      body: payload ? JSON.stringify(payload) : null,
+      signal: timer.signal,
+    });
+
+    if (!response) {
+      return failure(new ApiError({ type: API_ERROR_TYPES.UNAUTHORIZED, status: 401 }));
+    }
+
+    const { data, unreadable } = await readBody(response);
+
+    if (!response.ok) {
+      return failure(ApiError.fromResponse(response, data));
+    }
+    if (unreadable) return unreadableBody(response);
+
+    return { ok: true, status: response.status, data: data ?? {} };
+
+  } catch (exception) {
+    if (exception.name === "AbortError" && !timer.timedOut()) {
+      return abortedResult();
+    }
+    return failure(errorFromException(exception, timer.timedOut()));
+  } finally {
+    timer.clear();
+  }
+};
+
+const streamRequest = async (url, method, payload, onChunk, options = {}) => {
+  const { signal, timeout = 0 } = options;
+  const timer = withTimeout(signal, timeout);
 
   try {
-    const response = await fetch(`${BASE_URL}${url}`, {
+    const response = await authorizedFetch(url, {
       method,
-      headers,
+      headers: {
+        ...HTTP_HEADERS,
+        Accept: "text/event-stream, application/json",
+      },
       body: payload ? JSON.stringify(payload) : null,
+      signal: timer.signal,
+    });
+
+    if (!response) {
+      return failure(new ApiError({ type: API_ERROR_TYPES.UNAUTHORIZED, status: 401 }));
+    }
+
+    const contentType = response.headers.get("Content-Type") || "";
+
+    if (!response.ok || !response.body || !isStreamType(contentType)) {
+      const { data, unreadable } = await readBody(response);
+      if (!response.ok) return failure(ApiError.fromResponse(response, data));
+      if (unreadable) return unreadableBody(response);
+      return { ok: true, status: response.status, data: data ?? {}, streamed: false };
+    }
+
+    const { data, failed } = contentType.includes("text/event-stream")
+      ? await readEventStream(response.body, onChunk)
+      : await readTextStream(response.body, onChunk);
+
+    if (failed) {
+      return failure(
+        new ApiError({
+          type: API_ERROR_TYPES.HTTP,
+          status: response.status,
+          message: data?.message,
+          code: data?.error_code || null,
+          data,
+        })
+      );
+    }
+
+    return { ok: true, status: response.status, data, streamed: true };
+  } catch (exception) {
+    if (exception.name === "AbortError" && !timer.timedOut()) {
+      return abortedResult();
+    }
+    return failure(errorFromException(exception, timer.timedOut()));
+  } finally {
+    timer.clear();
+  }
+};
+
+const isStreamType = (contentType) =>
+  contentType.includes("text/event-stream") ||
+  contentType.includes("text/plain");
+
+// Wraps streamed text in the same envelope the buffered chat endpoint returns,
+// so callers can read `data.data.response.content` either way.
+const toChatEnvelope = (content) => ({
+  success: true,
+  data: { response: { content } },
+});
+
+const readTextStream = async (body, onChunk) => {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let content = "";
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    const text = decoder.decode(value, { stream: true });
+    if (text) {
+      content += text;
+      onChunk(text);
+    }
+  }
+
+  // Flush a multi-byte character left incomplete by the last chunk.
+  const rest = decoder.decode();
+  if (rest) {
+    content += rest;
+    onChunk(rest);
+  }
+
+  return { data: toChatEnvelope(content), failed: false };
+};
+
+// Server-sent events: `data:` lines carry either `{"token": "..."}` or raw
+// text. An `event: done` frame may carry the final JSON envelope and an
+// `event: error` frame ends the stream as failed.
+const readEventStream = async (body, onChunk) => {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+  let content = "";
+  let final = null;
+  let failed = false;
+
+  const handleEvent = (raw) => {
+    let event = "message";
+    const dataLines = [];
+
+    raw.split("\n").forEach((line) => {
+      if (line.startsWith("event:")) event = line.slice(6).trim();
+      else if (line.startsWith("data:")) dataLines.push(line.slice(5).replace(/^ /, ""));
     });
 
-    if (response.status === 401) {
-      window.dispatchEvent(new CustomEvent('unauthorized'));
-      return { ok: false, status: 401, data: { message: "Unauthorized" } };
+    const data = dataLines.join("\n");
+    if (!data || data === "[DONE]") return;
+
+    let parsed = null;
+    try {
+      parsed = JSON.parse(data);
+    } catch {
+      parsed = null;
+    }
+
+    if (event === "error") {
+      failed = true;
+      final = parsed || { message: data };
+      return;
+    }
+
+    if (event === "done") {
+      if (parsed) final = parsed;
+      return;
     }
 
-    const data = await response.json();
-    return { ok: response.ok, status: response.status, data };
+    const text = parsed && typeof parsed === "object" ? parsed.token ?? "" : data;
+    if (text) {
+      content += text;
+      onChunk(text);
+    }
+  };
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true }).replace(/\r\n/g, "\n");
 
-  } catch (error) {
-    return { ok: false, status: 500, data: { message: "Network error" } };
+    let boundary = buffer.indexOf("\n\n");
+    while (boundary !== -1) {
+      handleEvent(buffer.slice(0, boundary));
+      buffer = buffer.slice(boundary + 2);
+      boundary = buffer.indexOf("\n\n");
+    }
   }
+
+  // Flush a multi-byte character left incomplete by the last chunk.
+  buffer += decoder.decode();
+  if (buffer.trim()) handleEvent(buffer);
+
+  return { data: final || toChatEnvelope(content), failed };
 };
@@ -9,6 +9,10 @@ export const authService = {
     return apiClient.post("login", payload);
   },
 
+  logout: async (refreshToken) => {
+    return apiClient.post("logout", { refresh_token: refreshToken });
+  },
+
   getProfile: async () => {return apiClient.get("profile");},
   updateProfile: async (payload) => apiClient.put("profile", payload),
 
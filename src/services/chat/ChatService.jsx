@@ -1,5 +1,8 @@
 import { apiClient } from "../apiClient";
 const API_VERSION = import.meta.env.VITE_API_VERSION;
+const STREAMING_ENABLED = import.meta.env.VITE_CHAT_STREAMING === "true";
+// Model calls can take far longer than ordinary API requests.
+const CHAT_TIMEOUT_MS = 120000;
 
 export const chatService = {
 
@@ -8,8 +11,19 @@ export const chatService = {
     return res;
   },
 
-  sendPromptToModel: (sessionId, modelId, content) => {
-    console.log('sendPromptToModel URL:', `sessions/${sessionId}/models/${modelId}/chat`);
-    return apiClient.post(`sessions/${sessionId}/models/${modelId}/chat`, { content });
+  // When streaming is enabled and `onToken` is given, tokens are delivered as
+  // they arrive; the resolved value has the same shape as the buffered call.
+  // `signal` cancels the request.
+  sendPromptToModel: (sessionId, modelId, content, { onToken, signal } = {}) => {
+    const url = `sessions/${sessionId}/models/${modelId}/chat`;
+
+    if (STREAMING_ENABLED && onToken) {
+      return apiClient.stream(url, { content, stream: true }, onToken, {
+        signal,
+        timeout: CHAT_TIMEOUT_MS,
+      });
+    }
+
+    return apiClient.post(url, { content }, { signal, timeout: CHAT_TIMEOUT_MS });
   }
 };
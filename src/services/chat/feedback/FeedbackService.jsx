@@ -0,0 +1,24 @@
+import { apiClient } from "../../apiClient";
+
+export const feedbackService = {
+  getSessionFeedback: (sessionId) =>
+    apiClient.get(`sessions/${sessionId}/feedback`),
+
+  setPreferred: (responseId, isPreferred) =>
+    apiClient.put(`responses/${responseId}/preferred`, {
+      is_preferred: isPreferred,
+    }),
+
+  // Replaces the stored rating and comment; send null to clear either.
+  saveFeedback: (responseId, { rating, comment }) =>
+    apiClient.put(`responses/${responseId}/feedback`, {
+      rating,
+      feedback_text: comment,
+    }),
+
+  getBlindVotes: (sessionId) => apiClient.get(`sessions/${sessionId}/blind-votes`),
+
+  // Response ids of one turn's answers, best first; one id is a plain vote.
+  saveBlindRanking: (sessionId, responseIds) =>
+    apiClient.put(`sessions/${sessionId}/blind-votes`, { ranking: responseIds }),
+};
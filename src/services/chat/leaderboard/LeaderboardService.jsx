@@ -0,0 +1,7 @@
+import { apiClient } from "../../apiClient";
+
+export const leaderboardService = {
+  // range: "7d" | "30d" | "90d" | "all"; scope: "mine" | "all"
+  getLeaderboard: ({ range, scope }) =>
+    apiClient.get(`leaderboard?range=${range}&scope=${scope}`),
+};
@@ -0,0 +1,16 @@
+import { apiClient } from "../../apiClient";
+
+export const promptLibraryService = {
+  getTemplates: () => apiClient.get("prompt-templates"),
+
+  // template: { title, folder, content }
+  createTemplate: (template) => apiClient.post("prompt-templates", template),
+
+  updateTemplate: (id, template) =>
+    apiClient.put(`prompt-templates/${id}`, template),
+
+  deleteTemplate: (id) => apiClient.delete(`prompt-templates/${id}`),
+
+  importTemplates: (templates) =>
+    apiClient.post("prompt-templates/import", { templates }),
+};
@@ -0,0 +1,12 @@
+import { apiClient } from "../../apiClient";
+
+export const sessionMetadataService = {
+  getMetadata: (sessionId) => apiClient.get(`sessions/${sessionId}/metadata`),
+
+  // Only the keys given are changed: { tags: [], category: "", pinned: bool }.
+  // An empty category clears it.
+  updateMetadata: (sessionId, changes) =>
+    apiClient.put(`sessions/${sessionId}/metadata`, changes),
+
+  getTags: () => apiClient.get("session-tags"),
+};
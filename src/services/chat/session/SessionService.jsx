@@ -2,12 +2,26 @@
 import { apiClient } from "../../apiClient";
 
 export const sessionService = {
-  getSessions: () => apiClient.get("sessions"),
+  // params: { q, from, to, model_ids: [], page, limit }; blanks are skipped.
+  getSessions: (params = {}) => {
+    const query = new URLSearchParams();
+    Object.entries(params).forEach(([key, value]) => {
+      const text = Array.isArray(value) ? value.join(",") : value;
+      if (text !== undefined && text !== null && text !== "") {
+        query.set(key, text);
+      }
+    });
+    const search = query.toString();
+    return apiClient.get(search ? `sessions?${search}` : "sessions");
+  },
 
   getActiveSession: () => apiClient.get("sessions/active"),
 
   createSession: (title) => apiClient.post("sessions", { title }),
 
+  // payload: { title, models: [modelId], prompts: [{ content, responses }] }
+  importSession: (payload) => apiClient.post("sessions/import", payload),
+
   activateSession: (id) => apiClient.put(`sessions/${id}/activate`),
 
   getSessionById: (id) => apiClient.get(`sessions/${id}`), 
@@ -20,6 +34,9 @@ export const sessionService = {
   assignModelToSession: (sessionId, modelId) =>
     apiClient.post(`sessions/${sessionId}/models`, { model_id: modelId }),
 
+  removeModelFromSession: (sessionId, modelId) =>
+    apiClient.delete(`sessions/${sessionId}/models/${modelId}`),
+
   getSessionModels: (sessionId) =>
     apiClient.get(`sessions/${sessionId}/models`),
 
@@ -29,7 +46,31 @@ export const sessionService = {
   updateModelVisibility: (sessionId, modelId, payload) =>
     apiClient.put(`sessions/${sessionId}/models/${modelId}`, payload),
 
-  getSessionMessages: (sessionId) =>
-    apiClient.get(`sessions/${sessionId}/messages`),
+  reorderModels: (sessionId, modelIds) =>
+    apiClient.put(`sessions/${sessionId}/models-order`, { model_ids: modelIds }),
+
+  getModelsConfig: (sessionId) =>
+    apiClient.get(`sessions/${sessionId}/models-config`),
+
+  updateModelConfig: (sessionId, modelId, configuration) =>
+    apiClient.put(`sessions/${sessionId}/models-config`, {
+      model_id: modelId,
+      configuration,
+    }),
+
+  // The server returns the first 50 rows unless a larger `limit` is given.
+  getSessionMessages: (sessionId, limit) =>
+    apiClient.get(
+      limit
+        ? `sessions/${sessionId}/messages?limit=${limit}`
+        : `sessions/${sessionId}/messages`
+    ),
+
+  getThinkingTraces: (sessionId) =>
+    apiClient.get(`sessions/${sessionId}/thinking-traces`),
+
+  // Per-model totals over every stored answer, however much history is loaded.
+  getSessionStats: (sessionId) =>
+    apiClient.get(`sessions/${sessionId}/stats`),
   
 };
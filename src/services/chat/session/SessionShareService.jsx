@@ -0,0 +1,17 @@
+import { apiClient } from "../../apiClient";
+
+export const sessionShareService = {
+  getShares: (sessionId) => apiClient.get(`sessions/${sessionId}/shares`),
+
+  // options: { scope: "public" | "team", expires_in_days }; omit the expiry
+  // for a link that lasts until revoked.
+  createShare: (sessionId, options) =>
+    apiClient.post(`sessions/${sessionId}/shares`, options),
+
+  revokeShare: (shareId) => apiClient.delete(`shares/${shareId}`),
+
+  // Public: works without signing in, except for team links.
+  getSharedSession: (token) =>
+    apiClient.get(`shared/${encodeURIComponent(token)}`),
+};
+
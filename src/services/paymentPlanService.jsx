@@ -4,7 +4,7 @@ const getPaymentPlans = async () => {
   try {
     const response = await apiClient.get('billing/plans');
     if (!response.ok) {
-      throw new Error(response.data.message || 'Failed to fetch payment plans');
+      throw response.error;
     }
     return response.data;
   } catch (error) {
@@ -17,7 +17,7 @@ const getCurrentSubscription = async () => {
   try {
     const response = await apiClient.get('billing/subscription');
     if (!response.ok) {
-      throw new Error(response.data.message || 'Failed to fetch current subscription');
+      throw response.error;
     }
     return response.data;
   } catch (error) {
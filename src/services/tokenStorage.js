@@ -0,0 +1,43 @@
+// Access and refresh tokens live together: in localStorage when the user
+// asked to be remembered, otherwise in sessionStorage.
+const TOKEN_KEY = "token";
+const REFRESH_TOKEN_KEY = "refreshToken";
+
+const storageHolding = (key) =>
+  localStorage.getItem(key) ? localStorage : sessionStorage;
+
+export const getToken = () =>
+  localStorage.getItem(TOKEN_KEY) || sessionStorage.getItem(TOKEN_KEY);
+
+export const getRefreshToken = () =>
+  localStorage.getItem(REFRESH_TOKEN_KEY) ||
+  sessionStorage.getItem(REFRESH_TOKEN_KEY);
+
+export const storeTokens = (token, refreshToken, remember) => {
+  const storage = remember ? localStorage : sessionStorage;
+  storage.setItem(TOKEN_KEY, token);
+  if (refreshToken) storage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+};
+
+// Replaces the tokens in whichever storage the current session uses.
+export const replaceTokens = (token, refreshToken) => {
+  storeTokens(token, refreshToken, storageHolding(TOKEN_KEY) === localStorage);
+};
+
+export const clearTokens = () => {
+  [localStorage, sessionStorage].forEach((storage) => {
+    storage.removeItem(TOKEN_KEY);
+    storage.removeItem(REFRESH_TOKEN_KEY);
+  });
+};
+
+// Seconds until the access token's `exp` claim; null when it has none.
+export const secondsUntilExpiry = (token) => {
+  try {
+    const payload = JSON.parse(atob(token.split(".")[1]));
+    if (!payload.exp) return null;
+    return payload.exp - Math.floor(Date.now() / 1000);
+  } catch {
+    return null;
+  }
+};
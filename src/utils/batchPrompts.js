@@ -0,0 +1,120 @@
+// Batch runs: a file of prompts sent to every model in a session. CSV files
+// need a "prompt" column; JSONL files hold one JSON string or
+// `{ "prompt": "..." }` object per line.
+
+export const MAX_BATCH_PROMPTS = 500;
+
+// Rows of a CSV document as arrays of strings. Quoted fields may contain
+// commas, line breaks and doubled quotes.
+const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter((r) => r.some((cell) => cell.trim() !== ""));
+};
+
+const parseCsv = (text) => {
+  const [header, ...rows] = parseCsvRows(text);
+  const column = (header || []).findIndex(
+    (name) => name.trim().toLowerCase() === "prompt"
+  );
+  if (column === -1) {
+    return { error: 'The CSV needs a header row with a "prompt" column.' };
+  }
+  return { prompts: rows.map((r) => r[column] || "") };
+};
+
+const parseJsonl = (text) => {
+  const prompts = [];
+  const lines = text.split(/\r?\n/);
+
+  for (let i = 0; i < lines.length; i++) {
+    if (!lines[i].trim()) continue;
+
+    let entry;
+    try {
+      entry = JSON.parse(lines[i]);
+    } catch {
+      return { error: `Line ${i + 1} is not valid JSON.` };
+    }
+
+    const prompt = typeof entry === "string" ? entry : entry?.prompt;
+    if (typeof prompt !== "string") {
+      return { error: `Line ${i + 1} has no "prompt".` };
+    }
+    prompts.push(prompt);
+  }
+
+  return { prompts };
+};
+
+// Returns { prompts } with blank prompts dropped, or { error }.
+export const parseBatchFile = (text, fileName = "") => {
+  const body = text.replace(/^\uFEFF/, "");
+  const isJsonl =
+    /\.(jsonl|ndjson)$/i.test(fileName) ||
+    (!/\.csv$/i.test(fileName) && /^\s*\{/.test(body));
+
+  const { prompts, error } = isJsonl ? parseJsonl(body) : parseCsv(body);
+  if (error) return { error };
+
+  const kept = prompts.map((p) => p.trim()).filter(Boolean);
+  if (kept.length === 0) {
+    return { error: "The file has no prompts." };
+  }
+  if (kept.length > MAX_BATCH_PROMPTS) {
+    return {
+      error: `The file has ${kept.length} prompts; a batch can run at most ${MAX_BATCH_PROMPTS}.`,
+    };
+  }
+  return { prompts: kept };
+};
+
+// Key of one prompt × model cell in the progress grid.
+export const cellKey = (promptIndex, modelId) => `${promptIndex}:${modelId}`;
+
+// Every cell in run order: all models for the first prompt, then the next,
+// so the session's turns are stored roughly in file order.
+export const batchCells = (prompts, models) =>
+  prompts.flatMap((prompt, promptIndex) =>
+    models.map((model) => ({
+      key: cellKey(promptIndex, model.id),
+      promptIndex,
+      modelId: model.id,
+    }))
+  );
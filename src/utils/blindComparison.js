@@ -0,0 +1,82 @@
+// Blind comparison: each turn's answers are shown in a shuffled order as
+// "Model A", "Model B", … and the evaluator ranks them, best first. A vote is
+// a ranking with one answer. Ranks are stored apart from the preferred star
+// (GET/PUT sessions/{id}/blind-votes) and arrive here as `ranks`, a map of
+// response id to rank (1 = best).
+
+export const blindLabel = (index) => `Model ${String.fromCharCode(65 + index)}`;
+
+// 32-bit FNV-1a hash of a string, used to seed the shuffle.
+const hashSeed = (seed) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < seed.length; i++) {
+    hash ^= seed.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+// Fisher-Yates shuffle driven by a small seeded generator (mulberry32), so
+// the same seed always gives the same order and a reload doesn't reshuffle
+// answers the evaluator has already read.
+export const seededShuffle = (items, seed) => {
+  let state = hashSeed(String(seed));
+  const random = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
+
+// The rows from GET sessions/{id}/blind-votes as a `ranks` map.
+export const toBlindRanks = (votes = []) =>
+  Object.fromEntries(votes.map((v) => [v.response_id, v.rank]));
+
+// Rank of a model's answer in a buildTurnRows row, or null when unranked.
+export const turnRank = (row, id, ranks) => ranks[row.responses[id]?.id] ?? null;
+
+// The model whose answer was ranked best in a buildTurnRows row, or null.
+export const turnWinner = (row, ranks) =>
+  Object.keys(row.responses).find((id) => turnRank(row, id, ranks) === 1) || null;
+
+// Win rates over the voted turns. A model that answered a voted turn has
+// competed in it; the preferred answer's model won it.
+//
+// Returns { votedTurns, models: [{ id, name, wins, contests, winRate }] },
+// best rate first; `winRate` is null for a model with no contests yet.
+export const computeWinRates = (models, rows, ranks) => {
+  const tally = {};
+  models.forEach((m) => {
+    tally[m.id] = { id: m.id, name: m.name, wins: 0, contests: 0 };
+  });
+
+  let votedTurns = 0;
+  rows.forEach((row) => {
+    const winner = turnWinner(row, ranks);
+    if (!winner) return;
+
+    votedTurns++;
+    Object.entries(row.responses).forEach(([id, msg]) => {
+      if (!tally[id] || msg.error) return;
+      tally[id].contests++;
+      if (id === winner) tally[id].wins++;
+    });
+  });
+
+  const rated = Object.values(tally).map((t) => ({
+    ...t,
+    winRate: t.contests > 0 ? t.wins / t.contests : null,
+  }));
+  rated.sort((a, b) => (b.winRate ?? -1) - (a.winRate ?? -1));
+
+  return { votedTurns, models: rated };
+};
@@ -0,0 +1,43 @@
+import { formatCost, formatLatency } from "./responseStats";
+
+export const LEADERBOARD_RANGES = [
+  { id: "7d", label: "7 days" },
+  { id: "30d", label: "30 days" },
+  { id: "90d", label: "90 days" },
+  { id: "all", label: "All time" },
+];
+
+export const LEADERBOARD_SCOPES = [
+  { id: "mine", label: "My sessions" },
+  { id: "all", label: "All sessions" },
+];
+
+const formatRating = (value) => (value === null ? "—" : value.toFixed(2));
+const formatPercent = (value) =>
+  value === null ? "—" : `${Math.round(value * 100)}%`;
+const formatSpeed = (value) => (value === null ? "—" : `${value.toFixed(1)} tok/s`);
+
+// Leaderboard columns, keyed by the API's field names. `better` says which
+// direction ranks a model higher, which is also the first sort direction.
+export const LEADERBOARD_METRICS = [
+  { key: "avg_rating", label: "Avg rating", better: "desc", format: formatRating },
+  { key: "preferred_rate", label: "Preferred", better: "desc", format: formatPercent },
+  { key: "median_latency_ms", label: "Median latency", better: "asc", format: formatLatency },
+  { key: "tokens_per_second", label: "Speed", better: "desc", format: formatSpeed },
+  { key: "cost_per_answer", label: "Cost / answer", better: "asc", format: formatCost },
+];
+
+export const metricByKey = (key) => LEADERBOARD_METRICS.find((m) => m.key === key);
+
+// Sorted copy of the models; ones without a value for `key` always go last.
+export const sortModels = (models, key, direction) => {
+  const factor = direction === "asc" ? 1 : -1;
+  return [...models].sort((a, b) => {
+    const x = a[key];
+    const y = b[key];
+    if (x === null || x === undefined) return y === null || y === undefined ? 0 : 1;
+    if (y === null || y === undefined) return -1;
+    if (typeof x === "string") return factor * x.localeCompare(y);
+    return factor * (x - y);
+  });
+};
@@ -0,0 +1,34 @@
+// Helpers for the /v1/models catalog used by the model picker.
+
+// Capabilities are stored as a JSON list (["text", "vision"]) but older rows
+// may hold a map of name → enabled; both come out as a list of names.
+export const capabilityList = (capabilities) => {
+  if (Array.isArray(capabilities)) return capabilities;
+  if (capabilities && typeof capabilities === "object") {
+    return Object.keys(capabilities).filter((name) => capabilities[name]);
+  }
+  return [];
+};
+
+export const formatContextLength = (tokens) => {
+  if (!tokens) return null;
+  return tokens >= 1000 ? `${Math.round(tokens / 1000)}k ctx` : `${tokens} ctx`;
+};
+
+// [{ provider, models }] sorted by provider, models by display order.
+export const groupByProvider = (models) => {
+  const groups = {};
+  models.forEach((model) => {
+    const provider = model.provider || model.owned_by || "other";
+    (groups[provider] ||= []).push(model);
+  });
+
+  return Object.keys(groups)
+    .sort()
+    .map((provider) => ({
+      provider,
+      models: groups[provider].sort(
+        (a, b) => (a.display_order ?? 0) - (b.display_order ?? 0)
+      ),
+    }));
+};
@@ -0,0 +1,64 @@
+// Per-session model settings stored in session_models.configuration. Empty
+// fields fall back to the model's own defaults.
+
+export const CONFIG_FIELDS = [
+  { key: "temperature", label: "Temperature", step: 0.1 },
+  { key: "top_p", label: "Top P", step: 0.05 },
+  { key: "max_tokens", label: "Max tokens", step: 1, integer: true },
+];
+
+const isBlank = (value) => value === undefined || value === null || value === "";
+
+// Checks form values against the limits the server reports for the model
+// and returns { [field]: message } for every invalid field.
+export const validateModelConfig = (values, limits = {}) => {
+  const errors = {};
+
+  CONFIG_FIELDS.forEach(({ key, integer }) => {
+    if (isBlank(values[key])) return;
+
+    const number = Number(values[key]);
+    const { min = null, max = null } = limits[key] || {};
+
+    if (Number.isNaN(number)) {
+      errors[key] = "Must be a number";
+    } else if (integer && !Number.isInteger(number)) {
+      errors[key] = "Must be a whole number";
+    } else if ((min !== null && number < min) || (max !== null && number > max)) {
+      if (min === null) errors[key] = `At most ${max}`;
+      else if (max === null) errors[key] = `At least ${min}`;
+      else errors[key] = `Between ${min} and ${max}`;
+    }
+  });
+
+  const maxLength = limits.system_prompt?.max_length;
+  if (maxLength && (values.system_prompt || "").trim().length > maxLength) {
+    errors.system_prompt = `At most ${maxLength} characters`;
+  }
+
+  return errors;
+};
+
+// Drops blank fields and converts numbers so only explicit settings are saved.
+export const toModelConfig = (values) => {
+  const config = {};
+
+  CONFIG_FIELDS.forEach(({ key }) => {
+    if (!isBlank(values[key])) config[key] = Number(values[key]);
+  });
+
+  const systemPrompt = (values.system_prompt || "").trim();
+  if (systemPrompt) config.system_prompt = systemPrompt;
+
+  return config;
+};
+
+// Short labels for the settings that differ from the model defaults.
+export const configBadges = (configuration = {}) => {
+  const badges = [];
+  if (!isBlank(configuration.temperature)) badges.push(`temp ${configuration.temperature}`);
+  if (!isBlank(configuration.top_p)) badges.push(`top_p ${configuration.top_p}`);
+  if (!isBlank(configuration.max_tokens)) badges.push(`max ${configuration.max_tokens} tok`);
+  if (configuration.system_prompt) badges.push("system prompt");
+  return badges;
+};
@@ -0,0 +1,17 @@
+// Subscription `features` come back either as a list of feature names (the
+// free tier and tier configs) or as a map of name → enabled (plan rows).
+export const hasPlanFeature = (subscription, feature) => {
+  const features = subscription?.features;
+  if (Array.isArray(features)) return features.includes(feature);
+  return !!features?.[feature];
+};
+
+// Numeric plan limits live on the subscription row (`max_models_per_prompt`)
+// or, for the free tier fallback, under `limits`. Returns null when
+// unlimited (-1) or unknown.
+export const planLimit = (subscription, limit) => {
+  const value = subscription?.[limit] ?? subscription?.limits?.[limit];
+  if (value === undefined || value === null) return null;
+  const number = Number(value);
+  return number < 0 ? null : number;
+};
@@ -0,0 +1,100 @@
+// Prompt library templates: `{{name}}` placeholders are filled in before a
+// saved prompt goes into the prompt box.
+
+export const LIBRARY_FORMAT = "llm-comparison-prompt-library";
+export const LIBRARY_VERSION = 1;
+
+const VARIABLE_PATTERN = /\{\{\s*([\w.-]+)\s*\}\}/g;
+
+// Placeholder names in order of first appearance.
+export const extractVariables = (content = "") => [
+  ...new Set([...content.matchAll(VARIABLE_PATTERN)].map((m) => m[1])),
+];
+
+// Replaces each placeholder with its value; ones without a value are kept
+// so nothing is silently dropped.
+export const fillTemplate = (content, values) =>
+  content.replace(VARIABLE_PATTERN, (match, name) =>
+    values[name] !== undefined && values[name] !== "" ? values[name] : match
+  );
+
+// Templates whose title, folder or text contains the query.
+export const searchTemplates = (templates, query) => {
+  const q = query.trim().toLowerCase();
+  if (!q) return templates;
+  return templates.filter((t) =>
+    [t.title, t.folder, t.content].some((field) =>
+      (field || "").toLowerCase().includes(q)
+    )
+  );
+};
+
+// [{ folder, templates }] with unfiled templates first; folders by name.
+export const groupByFolder = (templates) => {
+  const groups = new Map();
+  templates.forEach((t) => {
+    const folder = t.folder || "";
+    if (!groups.has(folder)) groups.set(folder, []);
+    groups.get(folder).push(t);
+  });
+
+  return [...groups.entries()]
+    .sort(([a], [b]) => (a === "" ? -1 : b === "" ? 1 : a.localeCompare(b)))
+    .map(([folder, items]) => ({ folder, templates: items }));
+};
+
+export const toLibraryJson = (templates, exportedAt = new Date()) =>
+  JSON.stringify(
+    {
+      format: LIBRARY_FORMAT,
+      version: LIBRARY_VERSION,
+      exported_at: exportedAt.toISOString(),
+      templates: templates.map(({ title, folder, content }) => ({
+        title,
+        folder: folder || null,
+        content,
+      })),
+    },
+    null,
+    2
+  );
+
+// Parses a library export. Returns { templates } or { error }.
+export const parseLibraryFile = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    return { error: "The file is not valid JSON." };
+  }
+
+  if (!data || data.format !== LIBRARY_FORMAT || !Array.isArray(data.templates)) {
+    return { error: "This is not a prompt library file." };
+  }
+  if (!Number.isInteger(data.version) || data.version > LIBRARY_VERSION) {
+    return { error: `Unsupported library version: ${data.version}.` };
+  }
+
+  const invalid = data.templates.findIndex(
+    (t) =>
+      !t ||
+      typeof t.title !== "string" ||
+      !t.title.trim() ||
+      typeof t.content !== "string" ||
+      !t.content.trim()
+  );
+  if (invalid !== -1) {
+    return { error: `Prompt ${invalid + 1} needs a title and text.` };
+  }
+  if (data.templates.length === 0) {
+    return { error: "The file has no prompts." };
+  }
+
+  return {
+    templates: data.templates.map((t) => ({
+      title: t.title,
+      folder: typeof t.folder === "string" ? t.folder : null,
+      content: t.content,
+    })),
+  };
+};
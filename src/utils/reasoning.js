@@ -0,0 +1,29 @@
+// Same tag styles ChatService::extractAndStoreThinkingTraces recognises.
+const REASONING_BLOCK =
+  /<think>([\s\S]*?)<\/think>|<thinking>([\s\S]*?)<\/thinking>|\[THINKING\]([\s\S]*?)\[\/THINKING\]/gi;
+const OPEN_REASONING = /<think>|<thinking>|\[THINKING\]/i;
+
+/**
+ * Separates reasoning blocks from the answer in raw model output.
+ *
+ * While a response streams the closing tag may not have arrived yet, so an
+ * unterminated block at the end is treated as reasoning in progress rather
+ * than leaking into the answer. Returns `{ traces, answer }`.
+ */
+export const splitReasoning = (content = "") => {
+  const traces = [];
+  let answer = content.replace(REASONING_BLOCK, (match, ...groups) => {
+    const text = groups.slice(0, 3).find((g) => g !== undefined) || "";
+    if (text.trim()) traces.push(text.trim());
+    return "";
+  });
+
+  const open = answer.search(OPEN_REASONING);
+  if (open !== -1) {
+    const partial = answer.slice(open).replace(OPEN_REASONING, "").trim();
+    if (partial) traces.push(partial);
+    answer = answer.slice(0, open);
+  }
+
+  return { traces, answer: answer.trim() };
+};
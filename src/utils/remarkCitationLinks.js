@@ -0,0 +1,56 @@
+import { citationId } from "./responseExtras";
+
+const MARKER = /\[(\d+)\]/g;
+
+/**
+ * Remark plugin that turns citation markers like "[2]" into links to the
+ * numbered source under the answer.
+ *
+ * Options: `{ scope, count }`. Only markers from 1 to `count` are linked;
+ * anything else stays plain text. Code, and text already inside a link,
+ * are left alone.
+ */
+const remarkCitationLinks = ({ scope, count }) => {
+  return (tree) => {
+    const splitText = (node) => {
+      const parts = [];
+      let last = 0;
+
+      for (const match of node.value.matchAll(MARKER)) {
+        const n = Number(match[1]);
+        if (n < 1 || n > count) continue;
+
+        if (match.index > last) {
+          parts.push({ type: "text", value: node.value.slice(last, match.index) });
+        }
+        parts.push({
+          type: "link",
+          url: `#${citationId(scope, n)}`,
+          children: [{ type: "text", value: match[0] }],
+          data: { hProperties: { className: ["citation-ref"] } },
+        });
+        last = match.index + match[0].length;
+      }
+
+      if (parts.length === 0) return [node];
+      if (last < node.value.length) {
+        parts.push({ type: "text", value: node.value.slice(last) });
+      }
+      return parts;
+    };
+
+    const walk = (parent) => {
+      if (!parent.children) return;
+
+      parent.children = parent.children.flatMap((node) => {
+        if (node.type === "text") return splitText(node);
+        if (node.type !== "link" && node.type !== "linkReference") walk(node);
+        return [node];
+      });
+    };
+
+    walk(tree);
+  };
+};
+
+export default remarkCitationLinks;
@@ -0,0 +1,104 @@
+import { DIFF_MARK_START, DIFF_MARK_END } from "./wordDiff";
+
+const MARKERS = new RegExp(`[${DIFF_MARK_START}${DIFF_MARK_END}]`, "g");
+
+const stripMarkers = (value) => value.replace(MARKERS, "");
+
+/**
+ * Remark plugin that renders the markers inserted by diffWords.
+ *
+ * Options: `{ kind: "ins" | "del" }`. Marked prose becomes <ins>/<del>
+ * elements; inline code and code blocks can't hold elements, so the markers
+ * are stripped and the `data-diff-kind` / `data-diff-lines` attributes tell
+ * the code renderer what to highlight instead.
+ *
+ * A marked word can straddle nodes (`**bold**` puts its markers either side
+ * of a strong node), so whether we're inside a mark is tracked across the
+ * whole tree in document order.
+ */
+const remarkDiffMarks = ({ kind }) => {
+  return (tree) => {
+    let open = false;
+
+    const splitText = (node) => {
+      const parts = [];
+      let buffer = "";
+
+      const flush = () => {
+        if (!buffer) return;
+        parts.push(
+          open
+            ? {
+                type: "text",
+                value: buffer,
+                data: { hName: kind, hProperties: { className: [`diff-${kind}`] } },
+              }
+            : { type: "text", value: buffer }
+        );
+        buffer = "";
+      };
+
+      for (const char of node.value) {
+        if (char === DIFF_MARK_START || char === DIFF_MARK_END) {
+          flush();
+          open = char === DIFF_MARK_START;
+        } else {
+          buffer += char;
+        }
+      }
+      flush();
+
+      return parts;
+    };
+
+    const markInlineCode = (node) => {
+      const marked = open || MARKERS.test(node.value);
+      MARKERS.lastIndex = 0;
+      node.value = stripMarkers(node.value);
+      if (marked) {
+        node.data = { ...node.data, hProperties: { dataDiffKind: kind } };
+      }
+    };
+
+    const markCodeBlock = (node) => {
+      const changedLines = [];
+
+      node.value.split("\n").forEach((line, index) => {
+        let changed = open;
+        for (const char of line) {
+          if (char === DIFF_MARK_START) {
+            open = true;
+            changed = true;
+          } else if (char === DIFF_MARK_END) {
+            open = false;
+          }
+        }
+        if (changed) changedLines.push(index + 1);
+      });
+
+      node.value = stripMarkers(node.value);
+      if (changedLines.length > 0) {
+        node.data = {
+          ...node.data,
+          hProperties: { dataDiffKind: kind, dataDiffLines: changedLines.join(",") },
+        };
+      }
+    };
+
+    const walk = (parent) => {
+      if (!parent.children) return;
+
+      parent.children = parent.children.flatMap((node) => {
+        if (node.type === "text") return splitText(node);
+        if (node.type === "inlineCode") markInlineCode(node);
+        else if (node.type === "code") markCodeBlock(node);
+        else walk(node);
+        return [node];
+      });
+    };
+
+    walk(tree);
+  };
+};
+
+export default remarkDiffMarks;
@@ -0,0 +1,33 @@
+// Follow-up suggestions and source citations stored with a response. Both
+// arrive as JSON columns, decoded or not depending on the endpoint, and
+// either may be missing.
+
+const parseList = (raw) => {
+  if (Array.isArray(raw)) return raw;
+  if (typeof raw !== "string" || !raw) return [];
+  try {
+    const parsed = JSON.parse(raw);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+};
+
+// Suggested next prompts as plain strings.
+export const toFollowUps = (raw) =>
+  parseList(raw).filter((s) => typeof s === "string" && s.trim());
+
+// Sources as [{ title, url }]; the answer's [n] marker refers to entry n-1.
+// Entries are kept in place, even unusable ones, so numbering still lines
+// up with the markers; those come back with a null url.
+export const toCitations = (raw) =>
+  parseList(raw).map((c) => {
+    const url = typeof c === "string" ? c : c?.url;
+    return {
+      title: typeof c?.title === "string" && c.title ? c.title : null,
+      url: typeof url === "string" && /^https?:\/\//i.test(url) ? url : null,
+    };
+  });
+
+// Element id of citation `n` under one answer, the target of its [n] links.
+export const citationId = (scope, n) => `cite-${scope}-${n}`;
@@ -0,0 +1,20 @@
+export const EMPTY_FEEDBACK = { isPreferred: false, rating: null, comment: "" };
+
+// Puts the rows from GET sessions/{id}/feedback onto the matching response
+// messages as `feedback`, so a reopened session shows its stars and ratings.
+export const attachFeedback = (sessionMessages = [], feedbackRows = []) => {
+  const byResponse = {};
+  feedbackRows.forEach((row) => {
+    byResponse[row.response_id] = {
+      isPreferred: !!row.is_preferred,
+      rating: row.rating ?? null,
+      comment: row.feedback_text || "",
+    };
+  });
+
+  return sessionMessages.map((msg) =>
+    msg.type === "response" && byResponse[msg.id]
+      ? { ...msg, feedback: byResponse[msg.id] }
+      : msg
+  );
+};
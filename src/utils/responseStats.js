@@ -0,0 +1,42 @@
+// Latency, token and cost figures for a response, read from the chat
+// endpoint's `response` object or a getSessionMessages thread row. Fields
+// the server didn't record stay null and render as "—".
+export const toResponseStats = (response = {}, fallbackLatencyMs = null) => {
+  const number = (value) =>
+    value === null || value === undefined || value === "" ? null : Number(value);
+
+  return {
+    latencyMs: number(response.generation_time_ms) ?? fallbackLatencyMs,
+    outputTokens: number(response.output_tokens),
+    cost: number(response.cost),
+  };
+};
+
+export const formatLatency = (ms) => {
+  if (ms === null || ms === undefined) return "—";
+  return ms < 1000 ? `${Math.round(ms)} ms` : `${(ms / 1000).toFixed(1)} s`;
+};
+
+export const formatTokens = (tokens) =>
+  tokens === null || tokens === undefined
+    ? "—"
+    : `${tokens.toLocaleString()} tok`;
+
+export const formatCost = (cost) =>
+  cost === null || cost === undefined ? "—" : `$${cost.toFixed(4)}`;
+
+// The rows from GET sessions/{id}/stats keyed by model id, as totals over
+// every stored answer: answers counted, tokens and cost summed, latency
+// averaged over the answers that report one.
+export const toSessionStats = (rows = []) =>
+  Object.fromEntries(
+    rows.map((row) => [
+      String(row.model_id),
+      {
+        answers: row.answers,
+        outputTokens: row.output_tokens,
+        cost: row.cost,
+        avgLatencyMs: row.avg_latency_ms,
+      },
+    ])
+  );
@@ -0,0 +1,24 @@
+// Runs `worker` for every item with at most `limit` calls in flight at once.
+// Results keep the order of `items` and are shaped like Promise.allSettled,
+// so a failing item never stops the others.
+export const runWithConcurrency = async (items, limit, worker) => {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const runNext = async () => {
+    while (next < items.length) {
+      const index = next++;
+      try {
+        const value = await worker(items[index], index);
+        results[index] = { status: "fulfilled", value };
+      } catch (reason) {
+        results[index] = { status: "rejected", reason };
+      }
+    }
+  };
+
+  const poolSize = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: poolSize }, runNext));
+
+  return results;
+};
@@ -0,0 +1,247 @@
+import { groupIntoTurns } from "./sessionTurns";
+import { attachFeedback, EMPTY_FEEDBACK } from "./responseFeedback";
+import {
+  toResponseStats,
+  formatCost,
+  formatLatency,
+  formatTokens,
+} from "./responseStats";
+
+// Session exports are built in the browser from the same endpoints the
+// Dashboard reads: getSessionById, getSessionModels, getSessionMessages and
+// the session's feedback rows.
+
+export const EXPORT_FORMAT = "llm-comparison-session";
+export const EXPORT_VERSION = 1;
+
+export const EXPORT_TYPES = [
+  { id: "markdown", label: "Markdown", extension: "md", mime: "text/markdown" },
+  { id: "html", label: "HTML (printable)", extension: "html", mime: "text/html" },
+  { id: "csv", label: "CSV", extension: "csv", mime: "text/csv" },
+  { id: "json", label: "JSON", extension: "json", mime: "application/json" },
+];
+
+// Folds the raw rows into { session, models, turns } where each turn holds
+// the prompt and one answer per session model, in column order.
+export const buildExportData = ({ session, models = [], messages = [], feedback = [] }) => {
+  const orderedModels = [...models]
+    .sort((a, b) => (a.display_order ?? 0) - (b.display_order ?? 0))
+    .map((m) => ({
+      id: m.model_id,
+      name: m.model_name_full,
+      provider: m.provider || "",
+    }));
+
+  const turns = groupIntoTurns(attachFeedback(messages, feedback)).map((turn) => ({
+    index: turn.id,
+    prompt: turn.content,
+    answers: orderedModels
+      .filter((model) => turn.responses[model.id])
+      .map((model) => {
+        const response = turn.responses[model.id];
+        return {
+          model,
+          content: response.content || "",
+          createdAt: response.created_at,
+          inputTokens:
+            response.input_tokens === null || response.input_tokens === undefined
+              ? null
+              : Number(response.input_tokens),
+          stats: toResponseStats(response),
+          feedback: response.feedback || EMPTY_FEEDBACK,
+        };
+      }),
+  }));
+
+  return { session, models: orderedModels, turns };
+};
+
+const statsLine = ({ stats, feedback }) =>
+  [
+    formatLatency(stats.latencyMs),
+    formatTokens(stats.outputTokens),
+    formatCost(stats.cost),
+    feedback.rating ? `rated ${feedback.rating}/5` : null,
+    feedback.isPreferred ? "preferred" : null,
+  ]
+    .filter(Boolean)
+    .join(" · ");
+
+// One section per prompt and one sub-section per model's answer. Answers
+// are already Markdown, so they're copied in unchanged.
+export const toMarkdown = ({ session, models, turns }, exportedAt = new Date()) => {
+  const lines = [
+    `# ${session.title}`,
+    "",
+    `Exported ${exportedAt.toLocaleString()} · ${models.map((m) => m.name).join(", ")}`,
+    "",
+  ];
+
+  turns.forEach((turn) => {
+    lines.push(`## Prompt ${turn.index}`, "");
+    turn.prompt.split("\n").forEach((line) => lines.push(`> ${line}`));
+    lines.push("");
+
+    turn.answers.forEach((answer) => {
+      lines.push(`### ${answer.model.name}`, "", `_${statsLine(answer)}_`, "");
+      lines.push(answer.content.trim(), "");
+      if (answer.feedback.comment) {
+        lines.push(`**Note:** ${answer.feedback.comment}`, "");
+      }
+    });
+  });
+
+  return lines.join("\n");
+};
+
+const CSV_COLUMNS = [
+  "turn",
+  "prompt",
+  "model",
+  "model_id",
+  "response",
+  "latency_ms",
+  "input_tokens",
+  "output_tokens",
+  "cost",
+  "rating",
+  "preferred",
+  "comment",
+];
+
+// Quotes every text cell and defuses leading formula characters, since
+// prompts and answers are user-controlled and the file is meant for
+// spreadsheets.
+const csvCell = (value) => {
+  if (value === null || value === undefined) return "";
+  if (typeof value === "number") return String(value);
+  const text = /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+  return `"${text.replace(/"/g, '""')}"`;
+};
+
+// One row per prompt × model.
+export const toCsv = ({ turns }) => {
+  const rows = [CSV_COLUMNS.join(",")];
+
+  turns.forEach((turn) => {
+    turn.answers.forEach(({ model, content, inputTokens, stats, feedback }) => {
+      rows.push(
+        [
+          turn.index,
+          turn.prompt,
+          model.name,
+          String(model.id),
+          content,
+          stats.latencyMs,
+          inputTokens,
+          stats.outputTokens,
+          stats.cost,
+          feedback.rating,
+          feedback.isPreferred ? "yes" : "no",
+          feedback.comment,
+        ]
+          .map(csvCell)
+          .join(",")
+      );
+    });
+  });
+
+  return rows.join("\r\n");
+};
+
+// The raw rows as the API returned them, so nothing is lost and the file
+// can be imported again.
+export const toJson = (
+  { session, models, messages, feedback, thinkingTraces = {} },
+  exportedAt = new Date()
+) =>
+  JSON.stringify(
+    {
+      format: EXPORT_FORMAT,
+      version: EXPORT_VERSION,
+      exported_at: exportedAt.toISOString(),
+      session,
+      models,
+      messages,
+      feedback,
+      thinking_traces: thinkingTraces,
+    },
+    null,
+    2
+  );
+
+const escapeHtml = (text) =>
+  String(text).replace(
+    /[&<>"']/g,
+    (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]
+  );
+
+const PRINT_STYLES = `
+  body { font: 15px/1.6 system-ui, sans-serif; color: #1f2328; max-width: 860px; margin: 2rem auto; padding: 0 1rem; }
+  h1 { margin-bottom: 0.25rem; }
+  .export-meta, .export-stats { color: #656d76; font-size: 0.85rem; margin: 0.25rem 0 0.75rem; }
+  .export-turn { border-top: 2px solid #d0d7de; margin-top: 2rem; padding-top: 0.5rem; }
+  .export-prompt { white-space: pre-wrap; background: #f6f8fa; border-left: 4px solid #0969da; margin: 0; padding: 0.75rem 1rem; }
+  .export-answer { margin-top: 1.25rem; }
+  .export-answer h3 { margin-bottom: 0; }
+  .export-preferred { color: #9a6700; font-size: 0.8rem; font-weight: normal; margin-left: 0.5rem; }
+  .export-note { font-style: italic; color: #656d76; }
+  pre { overflow-x: auto; border-radius: 6px; }
+  .inline-code { background: #eff1f3; border-radius: 4px; padding: 0.1em 0.3em; }
+  table { border-collapse: collapse; }
+  th, td { border: 1px solid #d0d7de; padding: 0.3rem 0.6rem; }
+  @media print {
+    body { margin: 0; max-width: none; }
+    .export-answer, pre, blockquote { break-inside: avoid; }
+    pre { white-space: pre-wrap; }
+  }
+`;
+
+// A standalone document with its styles inlined, so it opens and prints
+// the same anywhere. The renderer is loaded only when an HTML export is
+// requested.
+export const toHtml = async (data, exportedAt = new Date()) => {
+  const [{ renderToStaticMarkup }, { createElement }, { default: ExportDocument }] =
+    await Promise.all([
+      import("react-dom/server"),
+      import("react"),
+      import("../components/chat/ExportDocument"),
+    ]);
+
+  const body = renderToStaticMarkup(createElement(ExportDocument, { ...data, exportedAt }));
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(data.session.title)}</title>
+<style>${PRINT_STYLES}</style>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+};
+
+export const exportFileName = (title, extension, date = new Date()) => {
+  const slug =
+    String(title || "session")
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "")
+      .slice(0, 60) || "session";
+  return `${slug}-${date.toISOString().slice(0, 10)}.${extension}`;
+};
+
+export const downloadFile = (content, fileName, mime) => {
+  const url = URL.createObjectURL(new Blob([content], { type: `${mime};charset=utf-8` }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
@@ -0,0 +1,48 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const startOfDay = (date) =>
+  new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime();
+
+export const sessionActivity = (session) =>
+  session.last_message_at || session.created_at;
+
+// Heading for a session's last activity: Today, Yesterday, Last 7 days,
+// Last 30 days, then the month ("March 2026").
+export const dateGroupLabel = (dateStr, now = new Date()) => {
+  if (!dateStr) return "Older";
+
+  const date = new Date(dateStr);
+  const days = Math.floor((startOfDay(now) - startOfDay(date)) / DAY_MS);
+
+  if (days <= 0) return "Today";
+  if (days === 1) return "Yesterday";
+  if (days < 7) return "Last 7 days";
+  if (days < 30) return "Last 30 days";
+  return date.toLocaleString("en-GB", { month: "long", year: "numeric" });
+};
+
+// Pinned sessions first, then most recent activity first, matching the
+// order GET /sessions returns.
+export const sortSessions = (sessions) =>
+  [...sessions].sort(
+    (a, b) =>
+      Number(!!b.pinned) - Number(!!a.pinned) ||
+      new Date(sessionActivity(b)) - new Date(sessionActivity(a))
+  );
+
+// Splits a sortSessions-ordered list into [{ label, sessions }] runs, with
+// pinned sessions under their own heading.
+export const groupSessionsByDate = (sessions, now = new Date()) => {
+  const groups = [];
+
+  sessions.forEach((session) => {
+    const label = session.pinned
+      ? "Pinned"
+      : dateGroupLabel(sessionActivity(session), now);
+    const last = groups[groups.length - 1];
+    if (last && last.label === label) last.sessions.push(session);
+    else groups.push({ label, sessions: [session] });
+  });
+
+  return groups;
+};
@@ -0,0 +1,159 @@
+import { EXPORT_FORMAT, EXPORT_VERSION } from "./sessionExport";
+import { groupIntoTurns } from "./sessionTurns";
+import { toCitations, toFollowUps } from "./responseExtras";
+
+// Reading a JSON session export (see toJson) back in: schema checks, model
+// mapping against this instance's catalog, and the payload for
+// POST sessions/import.
+
+const isObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+// Parses and validates an export file's text. Returns { data } or
+// { error } with a message that can be shown as-is.
+export const parseSessionExport = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    return { error: "The file is not valid JSON." };
+  }
+
+  if (!isObject(data) || data.format !== EXPORT_FORMAT) {
+    return { error: "This is not a session export file." };
+  }
+  if (!Number.isInteger(data.version) || data.version > EXPORT_VERSION) {
+    return { error: `Unsupported export version: ${data.version}.` };
+  }
+  if (!isObject(data.session) || typeof data.session.title !== "string") {
+    return { error: "The export has no session details." };
+  }
+  if (!Array.isArray(data.models) || data.models.length === 0) {
+    return { error: "The export lists no models." };
+  }
+  if (data.models.some((m) => !isObject(m) || !m.model_id)) {
+    return { error: "The export has a model without an id." };
+  }
+  if (!Array.isArray(data.messages)) {
+    return { error: "The export has no message history." };
+  }
+
+  const badMessage = data.messages.find(
+    (m) =>
+      !isObject(m) ||
+      !["prompt", "response"].includes(m.type) ||
+      !m.id ||
+      typeof m.content !== "string" ||
+      (m.type === "response" && (!m.prompt_id || !m.model_id))
+  );
+  if (badMessage) {
+    return { error: "The export's message history is malformed." };
+  }
+
+  return {
+    data: {
+      ...data,
+      feedback: Array.isArray(data.feedback) ? data.feedback.filter(isObject) : [],
+      thinking_traces: isObject(data.thinking_traces) ? data.thinking_traces : {},
+    },
+  };
+};
+
+// Counts for the preview: turns as the Dashboard would show them and
+// answers per exported model.
+export const summarizeExport = ({ messages }) => {
+  const answers = {};
+  messages.forEach((m) => {
+    if (m.type === "response") answers[m.model_id] = (answers[m.model_id] || 0) + 1;
+  });
+
+  return { turns: groupIntoTurns(messages).length, answers };
+};
+
+// Picks a catalog model for each exported one: the same id, otherwise the
+// same name from the same provider. Unmatched models map to "" (skipped).
+export const matchModels = (exportModels, catalog) => {
+  const mapping = {};
+
+  exportModels.forEach((m) => {
+    const byId = catalog.find((c) => String(c.id) === String(m.model_id));
+    const byName = catalog.find(
+      (c) =>
+        c.name === m.model_name_full &&
+        (!m.provider || !c.provider || c.provider === m.provider)
+    );
+    mapping[m.model_id] = String((byId || byName)?.id ?? "");
+  });
+
+  return mapping;
+};
+
+// Returns the exported models mapped onto the same catalog model, which the
+// import can't hold as separate columns.
+export const duplicateMappings = (mapping) => {
+  const seen = {};
+  const duplicates = new Set();
+
+  Object.entries(mapping).forEach(([from, to]) => {
+    if (!to) return;
+    if (seen[to]) {
+      duplicates.add(seen[to]);
+      duplicates.add(from);
+    } else {
+      seen[to] = from;
+    }
+  });
+
+  return duplicates;
+};
+
+// Builds the request body: mapped models in their exported column order and
+// each prompt with the answers of mapped models plus their feedback,
+// follow-up suggestions, citations and thinking traces.
+export const buildImportPayload = (data, mapping, title) => {
+  const models = [...data.models]
+    .sort((a, b) => (a.display_order ?? 0) - (b.display_order ?? 0))
+    .map((m) => mapping[m.model_id])
+    .filter(Boolean);
+
+  const feedbackByResponse = {};
+  data.feedback.forEach((row) => {
+    feedbackByResponse[row.response_id] = row;
+  });
+
+  const responsesByPrompt = {};
+  data.messages.forEach((m) => {
+    if (m.type !== "response" || !mapping[m.model_id]) return;
+
+    const feedback = feedbackByResponse[m.id] || {};
+    const traces = data.thinking_traces[m.id];
+    (responsesByPrompt[m.prompt_id] ||= []).push({
+      model_id: mapping[m.model_id],
+      content: m.content,
+      created_at: m.created_at,
+      output_tokens: m.output_tokens,
+      generation_time_ms: m.generation_time_ms,
+      input_tokens: m.input_tokens,
+      cost: m.cost,
+      follow_up_suggestions: toFollowUps(m.follow_up_suggestions),
+      source_citations: toCitations(m.source_citations),
+      thinking_traces: (Array.isArray(traces) ? traces : [])
+        .filter((t) => isObject(t) && typeof t.content === "string" && t.content.trim())
+        .map((t) => ({ trace_type: t.trace_type, content: t.content })),
+      is_preferred: !!feedback.is_preferred,
+      rating: feedback.rating ?? null,
+      feedback_text: feedback.feedback_text ?? null,
+    });
+  });
+
+  const prompts = data.messages
+    .filter((m) => m.type === "prompt" && responsesByPrompt[m.id])
+    .map((m) => ({
+      content: m.content,
+      created_at: m.created_at,
+      input_tokens: m.input_tokens,
+      responses: responsesByPrompt[m.id],
+    }));
+
+  return { title: title.trim() || data.session.title, models, prompts };
+};
@@ -0,0 +1,115 @@
+import { toResponseStats } from "./responseStats";
+import { toCitations, toFollowUps } from "./responseExtras";
+
+// The chat endpoint stores one prompt row per model, so a prompt fanned out
+// to four models comes back from getSessionMessages as four prompts with the
+// same content, each answered once. This folds them back into turns: one
+// user prompt and the response each model gave to it.
+//
+// Prompts replayed to a model added later are stored after the rest of the
+// history, so a prompt that doesn't continue the current turn goes back to
+// the earliest turn with the same text that its model hasn't answered yet.
+//
+// Returns [{ id, content, responses: { [modelId]: responseMessage } }] in
+// conversation order; `id` is the 1-based position of the turn.
+export const groupIntoTurns = (sessionMessages = []) => {
+  const responsesByPrompt = {};
+
+  sessionMessages.forEach((msg) => {
+    if (msg.type === "response") {
+      (responsesByPrompt[msg.prompt_id] ||= []).push(msg);
+    }
+  });
+
+  const turns = [];
+  let current = null;
+
+  sessionMessages.forEach((msg) => {
+    if (msg.type !== "prompt") return;
+
+    const responses = responsesByPrompt[msg.id] || [];
+    const accepts = (turn) =>
+      turn.content === msg.content &&
+      responses.every((r) => !turn.responses[r.model_id]);
+
+    let target = current && accepts(current) ? current : turns.find(accepts);
+
+    if (!target) {
+      current = { id: turns.length + 1, content: msg.content, responses: {} };
+      turns.push(current);
+      target = current;
+    }
+
+    responses.forEach((r) => {
+      target.responses[r.model_id] = r;
+    });
+  });
+
+  return turns;
+};
+
+// Collects every model's Dashboard thread back into one row per turn, keyed
+// by the `turn` each prompt and response message carries:
+// [{ turn, prompt, responses: { [modelId]: message } }] in turn order.
+export const buildTurnRows = (models, messages) => {
+  const rows = new Map();
+
+  models.forEach((model) => {
+    (messages[model.id] || []).forEach((msg) => {
+      if (msg.turn === undefined) return;
+
+      if (!rows.has(msg.turn)) {
+        rows.set(msg.turn, { turn: msg.turn, prompt: "", responses: {} });
+      }
+
+      const row = rows.get(msg.turn);
+      if (msg.type === "prompt") row.prompt = msg.content;
+      else row.responses[model.id] = msg;
+    });
+  });
+
+  return [...rows.values()].sort((a, b) => a.turn - b.turn);
+};
+
+// Turns stored rows into the Dashboard's per-model threads. `sessionModels`
+// are the getSessionModels rows; `sessionMessages` the thread rows, with
+// `feedback` attached where known. Each thread holds the turns its model
+// answered, tagged with the turn so the rows layout can line answers up.
+//
+// Returns { models: [{ id, name, visible }], messages: { [modelId]: [] },
+// turnCount }.
+export const buildModelThreads = (sessionModels = [], sessionMessages = []) => {
+  const models = sessionModels.map((m) => ({
+    id: m.model_id,
+    name: m.model_name_full,
+    visible: Number(m.is_visible),
+  }));
+
+  const messages = {};
+  models.forEach((m) => {
+    messages[m.id] = [];
+  });
+
+  const turns = groupIntoTurns(sessionMessages);
+  turns.forEach((turn) => {
+    Object.entries(turn.responses).forEach(([modelId, response]) => {
+      if (!messages[modelId]) return;
+      messages[modelId].push(
+        { type: "prompt", content: turn.content, turn: turn.id },
+        {
+          type: "response",
+          content: response.content,
+          turn: turn.id,
+          id: response.id,
+          promptId: response.prompt_id,
+          feedback: response.feedback,
+          stats: toResponseStats(response),
+          followUps: toFollowUps(response.follow_up_suggestions),
+          citations: toCitations(response.source_citations),
+        }
+      );
+    });
+  });
+
+  return { models, messages, turnCount: turns.length };
+};
@@ -0,0 +1,125 @@
+// Word-level diff between two Markdown answers, computed entirely in the
+// browser. Changed words are wrapped in private-use marker characters rather
+// than HTML so each side stays valid Markdown; remarkDiffMarks turns the
+// markers into <ins>/<del> after parsing.
+export const DIFF_MARK_START = "\uE000";
+export const DIFF_MARK_END = "\uE001";
+
+// Above this many LCS cells (~24MB) the unmatched middle of two very long
+// answers is reported as changed instead of being aligned word by word.
+const MAX_LCS_CELLS = 6_000_000;
+
+// Tokens that only mean something to Markdown when they open a line (list
+// bullets, headings, quotes, fences, rules, table rows). Wrapping them would
+// turn the block into a plain paragraph, so they are never marked.
+const STRUCTURAL_TOKEN =
+  /^(?:#{1,6}|[-*+]|\d+[.)]|>+|(?:```|~~~).*|[-*_=]{3,}|\|.*|\[\^[^\]]+\]:)$/;
+
+const tokenize = (text) => text.match(/\s+|\S+/g) || [];
+
+const isWhitespace = (token) => /^\s/.test(token);
+
+// Marks which entries of `a` and `b` belong to their longest common
+// subsequence. Common prefix and suffix are matched up front so the
+// quadratic table only covers the part that actually differs.
+const matchCommon = (a, b) => {
+  const keepA = new Uint8Array(a.length);
+  const keepB = new Uint8Array(b.length);
+
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    keepA[start] = keepB[start] = 1;
+    start++;
+  }
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+    keepA[endA] = keepB[endB] = 1;
+  }
+
+  const n = endA - start;
+  const m = endB - start;
+  if (n === 0 || m === 0 || (n + 1) * (m + 1) > MAX_LCS_CELLS) {
+    return { keepA, keepB };
+  }
+
+  const width = m + 1;
+  const lengths = new Uint32Array((n + 1) * width);
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lengths[i * width + j] =
+        a[start + i] === b[start + j]
+          ? lengths[(i + 1) * width + j + 1] + 1
+          : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+    }
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (a[start + i] === b[start + j]) {
+      keepA[start + i] = keepB[start + j] = 1;
+      i++;
+      j++;
+    } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+
+  return { keepA, keepB };
+};
+
+// Rebuilds the original text with every changed word wrapped in markers.
+// Whitespace is copied through untouched so line structure is preserved.
+const markChanges = (tokens, keep) => {
+  let wordIndex = 0;
+  let lineStart = true;
+
+  return tokens
+    .map((token) => {
+      if (isWhitespace(token)) {
+        if (token.includes("\n")) lineStart = true;
+        return token;
+      }
+
+      const changed = !keep[wordIndex++];
+      const structural = lineStart && STRUCTURAL_TOKEN.test(token);
+      lineStart = false;
+
+      return changed && !structural
+        ? `${DIFF_MARK_START}${token}${DIFF_MARK_END}`
+        : token;
+    })
+    .join("");
+};
+
+/**
+ * Compares two answers word by word.
+ *
+ * Returns `{ left, right, similarity }`: `left` is the first text with words
+ * missing from the second marked, `right` is the second text with words it
+ * added marked, and `similarity` is the share of words they have in common
+ * as a whole percentage.
+ */
+export const diffWords = (leftText = "", rightText = "") => {
+  const leftTokens = tokenize(leftText);
+  const rightTokens = tokenize(rightText);
+  const leftWords = leftTokens.filter((t) => !isWhitespace(t));
+  const rightWords = rightTokens.filter((t) => !isWhitespace(t));
+
+  const { keepA, keepB } = matchCommon(leftWords, rightWords);
+
+  const common = keepA.reduce((sum, kept) => sum + kept, 0);
+  const total = leftWords.length + rightWords.length;
+
+  return {
+    left: markChanges(leftTokens, keepA),
+    right: markChanges(rightTokens, keepB),
+    similarity: total === 0 ? 100 : Math.round((200 * common) / total),
+  };
+};